@@ -0,0 +1,461 @@
+// 图片批处理工具的类型声明
+
+import { EventEmitter } from 'events';
+
+export type OutputFormat = 'avif' | 'webp' | 'jpeg' | 'jpg' | 'png';
+
+export type CropGravity =
+  | 'top-left' | 'top' | 'top-right'
+  | 'left' | 'center' | 'right'
+  | 'bottom-left' | 'bottom' | 'bottom-right';
+
+/** 焦点坐标，x、y 为 0-1 之间的比例 */
+export interface FocalPoint {
+  x: number;
+  y: number;
+}
+
+/** 输出格式及其编码参数，未指定的参数使用各格式的默认值 */
+export interface FormatOptions {
+  format: OutputFormat;
+  quality?: number;
+  alphaQuality?: number;
+  lossless?: boolean;
+  nearLossless?: boolean;
+  smartSubsample?: boolean;
+  effort?: number;
+  chromaSubsampling?: '4:4:4' | '4:2:0';
+  progressive?: boolean;
+  mozjpeg?: boolean;
+  compressionLevel?: number;
+  palette?: boolean;
+  background?: string;
+}
+
+/** serve 命令的参数 */
+export interface ServeOptions {
+  widths?: number[];
+  qualities?: number[];
+  maxAge?: number;
+  /** 服务缓存（输出目录下的 .serve-cache/）的总大小上限（MB），超过时淘汰最久未使用的缓存，默认 256 */
+  cacheMaxSize?: number;
+}
+
+/** 响应式图片清单参数 */
+export interface ResponsiveOptions {
+  /** 生成文件的文件名（不含扩展名），默认 'responsive' */
+  fileName?: string;
+  /** 是否生成 <fileName>.json，默认 true */
+  manifest?: boolean;
+  /** 是否生成 <fileName>.html（<img srcset> / <picture> 片段），默认 false */
+  html?: boolean;
+  /** 生成可导入的模块，默认 false */
+  module?: false | 'esm' | 'cjs';
+  /** 输出文件的URL前缀，默认 '' */
+  publicPath?: string;
+  /** 设置后 srcset 使用宽度描述符 */
+  sizes?: string | null;
+}
+
+export interface ResponsiveOutput {
+  scale: number;
+  format: string;
+  /** 相对输出目录的路径 */
+  path: string;
+  width: number;
+  height: number;
+  bytes: number;
+  /** 输出文件内容的 SHA-256 */
+  hash: string;
+  url: string;
+}
+
+export interface ResponsiveImage {
+  /** 显示尺寸 */
+  width: number;
+  height: number;
+  /** 回退格式的 1 倍图 URL */
+  src: string;
+  /** 回退格式的 MIME 类型 */
+  type: string;
+  /** 各格式的 srcset */
+  srcset: Partial<Record<'avif' | 'webp' | 'jpeg' | 'png', string>>;
+  outputs: ResponsiveOutput[];
+}
+
+/** responsive.json 的内容，键为相对输入目录的源文件路径 */
+export interface ResponsiveManifest {
+  version: number;
+  config: string;
+  publicPath: string;
+  images: Record<string, ResponsiveImage>;
+}
+
+/** 图集参数，每个倍数的输出打包为 PNG 图集和 TexturePacker JSON (Hash) 坐标文件 */
+export interface AtlasOptions {
+  /** 图集文件名（不含扩展名和倍数后缀），默认 'atlas' */
+  fileName?: string;
+  /** 单张图集的最大宽高（像素），默认 2048 */
+  maxWidth?: number;
+  maxHeight?: number;
+  /** 图片之间的间距（像素），默认 2 */
+  padding?: number;
+  /** 裁掉图片四周的透明边缘，默认 false */
+  trim?: boolean;
+  /** 是否生成 <fileName>.css，默认 false */
+  css?: boolean;
+  /** CSS 类名前缀，默认 '<fileName>-' */
+  cssPrefix?: string | null;
+}
+
+export type PlaceholderType = 'lqip' | 'blurhash' | 'thumbhash' | 'color';
+
+export interface PlaceholderOptions {
+  /** 侧车文件名（不含扩展名），默认 'placeholders' */
+  fileName?: string;
+  /** 生成的占位数据类型，默认全部；宽高比总是生成 */
+  types?: PlaceholderType[];
+  /** LQIP 的最长边（像素），默认 16 */
+  lqipSize?: number;
+  /** LQIP 的 WebP 品质，默认 40 */
+  lqipQuality?: number;
+  /** BlurHash 横向、纵向的分量数（1-9），默认 [4, 3] */
+  blurhashComponents?: [number, number];
+}
+
+/** 占位数据侧车文件 <fileName>.json 中的单条记录，按输出文件相对输出目录的路径索引 */
+export interface PlaceholderEntry {
+  /** 源文件相对输入目录的路径 */
+  source: string;
+  /** 输出画面的宽高比（宽 / 高） */
+  aspectRatio: number;
+  /** base64 编码的极小 WebP data URI */
+  lqip?: string;
+  blurhash?: string;
+  /** base64 编码的 ThumbHash */
+  thumbhash?: string;
+  /** 主色与平均色（#rrggbb），全透明图片为 null */
+  dominantColor?: string | null;
+  averageColor?: string | null;
+}
+
+export type OverlayPosition =
+  | 'top-left' | 'top' | 'top-right'
+  | 'left' | 'center' | 'right'
+  | 'bottom-left' | 'bottom' | 'bottom-right';
+
+interface OverlayBase {
+  /** 默认 'bottom-right' */
+  position?: OverlayPosition;
+  /** 与输出边缘的距离（1 倍图像素），默认 16 */
+  margin?: number;
+  /** 不透明度 (0-1)，默认 1 */
+  opacity?: number;
+}
+
+/** 图片叠加层（PNG / SVG 等） */
+export interface ImageOverlay extends OverlayBase {
+  type: 'image';
+  input: string;
+  /** 相对输出宽度的比例 (0-1] */
+  width?: number;
+  /** 相对输出高度的比例 (0-1] */
+  height?: number;
+}
+
+/** 文字叠加层（通过 SVG 渲染） */
+export interface TextOverlay extends OverlayBase {
+  type: 'text';
+  text: string;
+  /** 字号（1 倍图像素），默认 24 */
+  fontSize?: number;
+  fontFamily?: string;
+  fontWeight?: string | number;
+  color?: string;
+}
+
+/** 输出保留的元数据 */
+export interface MetadataOptions {
+  /** true 保留全部 EXIF，false 全部移除，或要保留的 EXIF 字段名（如 'Copyright'） */
+  exif?: boolean | string[];
+  /** 是否保留 XMP 和 IPTC 数据块 */
+  xmp?: boolean;
+}
+
+/** 感知画质校验参数 */
+export interface QualityGuardOptions {
+  /** SSIM 阈值（0-1） */
+  minSsim: number;
+  /** 'flag' 只标记低于阈值的输出（默认）；'target' 选择 SSIM 达标的最低品质 */
+  mode?: 'flag' | 'target';
+}
+
+/** 单图规则的匹配条件，全部满足时规则生效 */
+export interface RuleMatch {
+  /** 相对输入目录路径的glob模式，多个模式满足任意一个即可 */
+  glob?: string | string[];
+  /** 文件名（含扩展名）的正则表达式 */
+  regex?: string;
+  /** 源图宽高（像素，按 autoOrient 旋转后） */
+  minWidth?: number;
+  maxWidth?: number;
+  minHeight?: number;
+  maxHeight?: number;
+  /** 源图是否有透明通道 */
+  hasAlpha?: boolean;
+  /** 源图宽高比（宽 / 高） */
+  minAspectRatio?: number;
+  maxAspectRatio?: number;
+}
+
+/** 规则可覆盖的处理参数 */
+export type RuleOptions = Pick<ImageConfig,
+  'targetWidth' | 'targetHeight' | 'cropPosition' | 'cropDebug' | 'fit' | 'background' | 'blurSigma' |
+  'withoutEnlargement' | 'keepOriginalSize' | 'focalPointSidecar' | 'autoOrient' | 'colorProfile' | 'metadata' |
+  'animated' | 'maxFrames' | 'maxAnimationPixels' | 'quality' | 'maxBytes' | 'minQuality' | 'qualityGuard' |
+  'formats' | 'overlays'>;
+
+/** 单图规则：按顺序匹配，按配置的 ruleMatch 由第一条或最后一条匹配的规则生效 */
+export interface ImageRule {
+  /** 显示在日志和运行报告中，默认 'rules[序号]' */
+  name?: string;
+  match: RuleMatch;
+  options: RuleOptions;
+}
+
+/** 单个配置，未指定的配置项使用默认值（见 README 的配置参数说明） */
+export interface ImageConfig {
+  name?: string;
+  inputDir?: string;
+  outputDir?: string;
+  targetWidth?: number;
+  targetHeight?: number;
+  cropPosition?: CropGravity | 'entropy' | 'attention' | FocalPoint;
+  focalPointSidecar?: boolean;
+  /** 裁剪缩放后合成的水印与叠加层 */
+  overlays?: Array<ImageOverlay | TextOverlay>;
+  /** 按 EXIF 方向旋转原图后再裁剪，默认 true */
+  autoOrient?: boolean;
+  /** 色彩配置，默认 'srgb' */
+  colorProfile?: 'srgb' | 'embed-srgb' | 'keep';
+  /** 输出保留的元数据，默认 'strip' */
+  metadata?: 'strip' | 'keep' | MetadataOptions;
+  /** 动图输出为动画 WebP（其它格式输出第一帧），false 时只输出第一帧，默认 true */
+  animated?: boolean;
+  /** 动图的最大帧数，超过时只输出第一帧，默认 300 */
+  maxFrames?: number;
+  /** 动图所有帧的像素总数上限（宽 × 高 × 帧数），默认 100000000 */
+  maxAnimationPixels?: number;
+  cropDebug?: boolean;
+  fit?: 'cover' | 'contain' | 'inside' | 'outside';
+  background?: string;
+  blurSigma?: number;
+  withoutEnlargement?: boolean;
+  scales?: number[];
+  quality?: number;
+  /** 输出文件大小预算（字节），可按倍数设置，如 { "1": 50000, "2": 100000 } */
+  maxBytes?: number | Record<string, number>;
+  /** 大小预算下品质搜索的最低品质，默认 30 */
+  minQuality?: number | Record<string, number>;
+  /** 编码后解码比较 SSIM，标记或按阈值选择品质 */
+  qualityGuard?: QualityGuardOptions | null;
+  formats?: Array<OutputFormat | FormatOptions>;
+  /** 单图规则，按文件覆盖处理参数 */
+  rules?: ImageRule[];
+  /** 多条规则匹配同一文件时生效的规则：'first' 第一条，'last' 最后一条，默认 'first' */
+  ruleMatch?: 'first' | 'last';
+  keepOriginalSize?: boolean;
+  maxWorkers?: number;
+  /** 单个任务（文件 × 倍数）的超时毫秒数，0 表示不限制，默认 120000 */
+  jobTimeout?: number;
+  /** 任务失败、超时或Worker崩溃后的最多重试次数，默认 1 */
+  retries?: number;
+  /** 源图像素数上限（宽 × 高），默认 268402689 */
+  limitInputPixels?: number;
+  /** 源图解码问题的失败级别，默认 'warning' */
+  failOn?: 'none' | 'truncated' | 'error' | 'warning';
+  /** 损坏或无法处理的源文件的隔离目录 */
+  quarantineDir?: string | null;
+  /** 'list' 记录到隔离目录的 quarantine.json，'move' 同时移动源文件，默认 'list' */
+  quarantineMode?: 'list' | 'move';
+  /** @deprecated 线程数由全局线程池决定 */
+  threadsPerScale?: number;
+  supportedFormats?: string[];
+  cache?: boolean;
+  recursive?: boolean;
+  include?: string[];
+  exclude?: string[];
+  followSymlinks?: boolean;
+  includeHidden?: boolean;
+  layout?: 'folders' | 'suffix';
+  filenameTemplate?: string | null;
+  onConflict?: 'error' | 'suffix' | 'overwrite';
+  serve?: ServeOptions | null;
+  /** 响应式图片清单，null 或未设置时不生成，设为 {} 时只生成 responsive.json */
+  responsive?: ResponsiveOptions | null;
+  atlas?: AtlasOptions | null;
+  placeholders?: PlaceholderOptions | null;
+}
+
+/** 合并默认值后的配置 */
+export type ResolvedImageConfig = ImageConfig & Required<Pick<ImageConfig,
+  'inputDir' | 'outputDir' | 'targetWidth' | 'targetHeight' | 'scales' | 'quality' | 'formats' | 'supportedFormats'>>;
+
+/** 日志输出对象，缺少的方法对应的日志会被忽略 */
+export interface ProcessorLogger {
+  log?(...args: unknown[]): void;
+  warn?(...args: unknown[]): void;
+  error?(...args: unknown[]): void;
+}
+
+export interface ProcessorOptions {
+  /** 忽略增量缓存，重新处理所有文件 */
+  force?: boolean;
+  /** 全局Worker线程数，默认取各配置 maxWorkers 的最大值（不超过CPU核心数） */
+  concurrency?: number;
+  /** Worker线程的CPU优先级（0-19） */
+  nice?: number;
+  /** 处理流水线，默认 'jobs'；'per-scale' 为原有的按倍数分组布局，用于基准测试对比 */
+  pipeline?: 'jobs' | 'fanout' | 'per-scale';
+  /** 中止后 run() 以 signal.reason 拒绝，正在执行的Worker线程被终止 */
+  signal?: AbortSignal;
+  /** 接收处理日志，默认不输出 */
+  logger?: ProcessorLogger;
+}
+
+export interface OutputResult {
+  scale: number;
+  format: string;
+  path: string;
+  /** 缓存清单中没有记录时为 null */
+  width: number | null;
+  height: number | null;
+  bytes: number | null;
+  /** 输出字节数 / 源文件字节数 */
+  compressionRatio: number | null;
+  /** 实际使用的品质，无损或未使用品质参数时为 null */
+  quality: number | null;
+  /** 设置了 maxBytes 时的大小预算 */
+  maxBytes?: number;
+  /** 在最低品质下仍超出大小预算 */
+  overBudget?: boolean;
+  /** 设置了 qualityGuard 时输出相对未编码缩放结果的 SSIM */
+  ssim?: number;
+  minSsim?: number;
+  /** SSIM 低于 minSsim */
+  belowSsim?: boolean;
+  /** 动画输出的帧数（height 为单帧高度） */
+  frames?: number;
+  /** 是否为增量缓存命中（本次未重新生成） */
+  cached: boolean;
+}
+
+export interface FileResult {
+  /** 配置名称 */
+  config: string;
+  /** 相对输入目录的路径 */
+  file: string;
+  /** 源文件路径 */
+  path: string;
+  /** 匹配的单图规则名称 */
+  rule: string | null;
+  status: 'success' | 'failed' | 'skipped';
+  sourceBytes: number | null;
+  outputBytes: number;
+  durationMs: number;
+  /** 是否因 withoutEnlargement 未放大 */
+  capped: boolean;
+  /** 是否有输出超出大小预算 */
+  overBudget: boolean;
+  /** 是否有输出的 SSIM 低于阈值 */
+  belowSsim: boolean;
+  /** 源文件损坏或超过像素上限 */
+  badInput: boolean;
+  /** 重试后仍超过 jobTimeout */
+  timedOut: boolean;
+  outputs: OutputResult[];
+  errors: Array<{ scale: number; message: string }>;
+}
+
+export interface RunSummary {
+  configs: number;
+  inputs: number;
+  succeeded: number;
+  failed: number;
+  skipped: number;
+  overBudget: number;
+  belowSsim: number;
+  badInputs: number;
+  outputs: number;
+  sourceBytes: number;
+  outputBytes: number;
+}
+
+export interface RunResult {
+  startedAt: string;
+  finishedAt: string;
+  durationMs: number;
+  summary: RunSummary;
+  files: FileResult[];
+}
+
+export interface ProgressEvent {
+  processed: number;
+  total: number;
+  config: string;
+  file: string;
+  scale: number;
+  success: boolean;
+}
+
+export interface ProcessorErrorEvent {
+  config: string;
+  file: string;
+  scale: number;
+  error: Error;
+}
+
+export interface WorkerStats {
+  workerId: number;
+  jobs: number;
+  failed: number;
+  busyMs: number;
+}
+
+export interface Processor extends EventEmitter {
+  /** 执行一次处理，可多次调用（增量构建），同一时间只能有一次运行 */
+  run(): Promise<RunResult>;
+
+  on(event: 'progress', listener: (event: ProgressEvent) => void): this;
+  on(event: 'fileDone', listener: (result: FileResult) => void): this;
+  /** 没有监听器时不触发，失败同样记录在 run() 的结果中 */
+  on(event: 'error', listener: (event: ProcessorErrorEvent) => void): this;
+  on(event: 'workerStats', listener: (stats: WorkerStats) => void): this;
+
+  once(event: 'progress', listener: (event: ProgressEvent) => void): this;
+  once(event: 'fileDone', listener: (result: FileResult) => void): this;
+  once(event: 'error', listener: (event: ProcessorErrorEvent) => void): this;
+  once(event: 'workerStats', listener: (stats: WorkerStats) => void): this;
+}
+
+/** 创建图片处理器，配置校验失败时抛出错误 */
+export function createProcessor(
+  configs: ImageConfig | ImageConfig[] | { configs: ImageConfig[] },
+  options?: ProcessorOptions
+): Processor;
+
+/** 命令行入口，返回退出码（0 成功，1 致命错误，2 部分文件失败） */
+export function main(argv?: string[]): Promise<number>;
+
+/** 读取并校验配置文件，返回合并默认值后的配置数组 */
+export function loadConfig(customConfigPath?: string | null): ResolvedImageConfig[];
+
+/** 处理单个配置的图片文件 */
+export function processImage(
+  imageFiles: string[],
+  outputDir: string,
+  config: ResolvedImageConfig,
+  globalProgress?: { total: number; processed: number } | null,
+  plan?: unknown,
+  options?: Pick<ProcessorOptions, 'concurrency' | 'nice' | 'pipeline'>
+): Promise<unknown[]>;
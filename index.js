@@ -1,8 +1,48 @@
+#!/usr/bin/env node
 const fs = require('fs');
 const path = require('path');
 const sharp = require('sharp');
-const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+const { Worker, isMainThread, parentPort, workerData, threadId } = require('worker_threads');
 const os = require('os');
+const http = require('http');
+const { EventEmitter } = require('events');
+const { loadManifest, saveManifest, hashSourceFile, hashFile, hashBuffer, hashOutputConfig } = require('./lib/cache-manifest');
+const { matchAnyGlob } = require('./lib/glob');
+const { HELP_TEXT, parseCliArgs } = require('./lib/cli');
+const { appendOutputSuffix } = require('./lib/file-names');
+const { SMART_CROP_STRATEGIES, resolveCropAnchor, openImage, resolveCropArea } = require('./lib/crop');
+const { normalizeFormats, applyEncoder, getSizeBudget, encodeAtQuality, encodeWithinBudget } = require('./lib/encoders');
+const { getQualityGuard, applyQualityGuard } = require('./lib/quality-guard');
+const { shouldAutoOrient, getOrientedMetadata, requiresSourcePipeline, applyOutputMetadata } = require('./lib/metadata');
+const { createOverlayLayers, getOverlaysCacheKey } = require('./lib/overlays');
+const { getAnimationPlan, isAnimatedFormat } = require('./lib/animation');
+const { isBadInputError, quarantineInputs } = require('./lib/quarantine');
+const { applyRule, resolveFileRule } = require('./lib/rules');
+const { getAtlasOptions, isAtlasFileName, writeAtlasFiles } = require('./lib/atlas');
+const { getPlaceholderOptions, hashPlaceholderOptions, generatePlaceholder, getPlaceholdersPath, readPlaceholders, writePlaceholders } = require('./lib/placeholders');
+const { validateConfigFile, formatValidationErrors } = require('./lib/config-schema');
+const { createRunReport, createInputReport, writeJsonReport, writeJUnitReport } = require('./lib/report');
+const { createWorkerPool } = require('./lib/worker-pool');
+const { createInputWatcher, createStatusLine } = require('./lib/watch');
+const { logger, silentLogger, runWithLogger } = require('./lib/logger');
+const {
+  getResponsiveOptions,
+  isResponsiveEnabled,
+  getResponsiveFiles,
+  buildResponsiveManifest,
+  writeResponsiveFiles
+} = require('./lib/responsive');
+const {
+  CONTENT_TYPES,
+  httpError,
+  parseImageRoute,
+  negotiateFormat,
+  parseVariantQuery,
+  isNotModified,
+  sendImageFile,
+  sendError
+} = require('./lib/http-utils');
+const { SERVE_CACHE_DIR, getServeCachePath, touchServeCacheEntry, pruneServeCache } = require('./lib/serve-cache');
 
 // 配置Sharp以减少内存使用 - 针对实例复用优化
 sharp.cache({ memory: 100, files: 20, items: 50 }); // 降低缓存，因为我们现在复用实例
@@ -22,490 +62,2406 @@ function getMemoryUsage() {
 function forceGarbageCollection(threshold = 600) {
   const memory = getMemoryUsage();
   if (memory.heapUsed > threshold && global.gc) {
-    console.log(`🧹 内存使用过高 (${memory.heapUsed}MB)，执行垃圾回收`);
+    logger.log(`🧹 内存使用过高 (${memory.heapUsed}MB)，执行垃圾回收`);
     global.gc();
     const afterGC = getMemoryUsage();
-    console.log(`   回收后内存: ${afterGC.heapUsed}MB (节省 ${memory.heapUsed - afterGC.heapUsed}MB)`);
+    logger.log(`   回收后内存: ${afterGC.heapUsed}MB (节省 ${memory.heapUsed - afterGC.heapUsed}MB)`);
   }
 }
 
+// 字节数转换为便于阅读的大小
+function formatBytes(bytes) {
+  if (bytes < 1024) {
+    return `${bytes}B`;
+  }
+  if (bytes < 1024 * 1024) {
+    return `${(bytes / 1024).toFixed(1)}KB`;
+  }
+  return `${(bytes / 1024 / 1024).toFixed(2)}MB`;
+}
+
 // 默认配置
 const defaultConfig = {
   inputDir: './input',           // 输入目录
   outputDir: './output',         // 输出目录
   targetWidth: 800,              // 目标宽度
   targetHeight: 600,             // 目标高度
-  cropPosition: 'center',        // 裁剪位置: 'top', 'center', 'bottom'
+  cropPosition: 'center',        // 裁剪位置: 九宫格方位（如 'top-left'）、焦点坐标 { x: 0.3, y: 0.2 } 或智能裁剪 'entropy' / 'attention'
+  cropDebug: false,              // 是否在输出目录的 _crop-debug 中保存标出裁剪框的调试图
+  fit: 'cover',                  // 适配模式: 'cover'（裁剪填满）、'contain'（完整显示并补边）、'inside'、'outside'
+  background: 'transparent',     // contain 模式的补边颜色，或 'blur' 使用模糊放大的原图补边
+  blurSigma: 30,                 // blur 补边的模糊程度
+  withoutEnlargement: false,     // 原图尺寸不足时不放大，按原图尺寸限制输出
+  focalPointSidecar: true,       // 是否读取图片旁的 <文件名>.json 侧车文件中的单图裁剪位置
+  autoOrient: true,              // 按 EXIF 方向信息旋转原图后再裁剪（手机拍摄的照片）
+  colorProfile: 'srgb',          // 色彩配置: 'srgb'（转换为 sRGB）、'embed-srgb'（转换为 sRGB 并嵌入配置文件）、'keep'（保留原图的 ICC 配置文件）
+  metadata: 'strip',             // 元数据: 'strip'（全部移除）、'keep'（保留 EXIF / XMP / IPTC）或 { exif: ['Copyright', 'Artist'], xmp: false }
+  animated: true,                // 动图（GIF / 动画 WebP）输出为动画 WebP，保留所有帧、帧延迟和循环次数；false 时只输出第一帧
+  maxFrames: 300,                // 动图的最大帧数，超过时只输出第一帧
+  maxAnimationPixels: 100000000, // 动图所有帧的像素总数上限（宽 × 高 × 帧数），超过时只输出第一帧
   scales: [1, 2, 3],            // 导出的倍数尺寸
-  quality: 80,                   // WebP压缩品质 (0-100)
+  quality: 80,                   // 默认压缩品质 (0-100)，各输出格式未单独指定时使用
+  formats: ['webp'],             // 输出格式列表: 'avif', 'webp', 'jpeg', 'png'，也可写成 { format, quality, ... }
+  rules: [],                     // 单图规则 [{ name, match, options }]：按路径、文件名或源图属性匹配并覆盖处理参数
+  ruleMatch: 'first',            // 多条规则匹配同一文件时生效的规则: 'first'（第一条）或 'last'（最后一条）
   maxWorkers: 4,                 // 最大工作线程数
+  jobTimeout: 120000,            // 单个任务（文件 × 倍数）的超时毫秒数，超时后终止该Worker线程并重试，0 表示不限制
+  retries: 1,                    // 任务失败、超时或Worker崩溃后的最多重试次数（源文件损坏时不重试）
+  limitInputPixels: 268402689,   // 源图像素数上限（宽 × 高），超过时不解码，防止解压炸弹耗尽内存
+  failOn: 'warning',             // 源图解码问题的失败级别: 'none'、'truncated'、'error'、'warning'（同 sharp 的 failOn）
+  quarantineDir: null,           // 损坏或无法处理的源文件的隔离目录（应在输入目录之外），null 时只在日志和报告中列出
+  quarantineMode: 'list',        // 隔离方式: 'list'（记录到隔离目录的 quarantine.json）或 'move'（同时把源文件移入隔离目录）
+  cache: true,                   // 增量构建：跳过源文件和配置均未变化的输出
+  recursive: false,              // 是否递归扫描输入目录的子目录（输出目录镜像子目录结构）
+  include: [],                   // 包含的glob模式（相对输入目录），为空时包含全部
+  exclude: [],                   // 排除的glob模式（相对输入目录）
+  followSymlinks: false,         // 是否跟随符号链接
+  includeHidden: false,          // 是否包含以 "." 开头的隐藏文件和目录
+  layout: 'folders',             // 输出布局: 'folders'（x2/name.webp）或 'suffix'（name@2x.webp）
+  filenameTemplate: null,        // 自定义输出文件名模板（不含扩展名），如 'x{scale}/{dir}/{name}-{hash8}'
+  onConflict: 'error',           // 输出文件名冲突策略: 'error'、'suffix'、'overwrite'
+  serve: null,                   // 图片服务参数 { widths, qualities, maxAge }，见 serve 命令
+  responsive: null,              // 响应式图片清单和 srcset / <picture> 片段，null 时不生成（设为 {} 只生成 responsive.json）
+  atlas: null,                   // 图集参数 { fileName, maxWidth, maxHeight, padding, trim, css }，设置后把每个倍数的输出打包为图集
+  placeholders: null,            // 占位数据参数 { fileName, types, lqipSize, lqipQuality, blurhashComponents }，设置后生成懒加载占位数据侧车文件
   supportedFormats: ['.jpg', '.jpeg', '.png', '.bmp', '.tiff', '.gif', '.webp']
 };
 
-// 读取配置文件
-function loadConfig() {
-  const configPath = path.join(__dirname, 'config.json');
-  if (fs.existsSync(configPath)) {
-    try {
-      const configData = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+// 读取配置文件（未指定路径时使用脚本目录下的 config.json），读取或校验失败时抛出错误
+function loadConfig(customConfigPath = null) {
+  const configPath = customConfigPath ? path.resolve(customConfigPath) : path.join(__dirname, 'config.json');
+  if (customConfigPath && !fs.existsSync(configPath)) {
+    throw new Error(`配置文件不存在: ${configPath}`);
+  }
+  if (!fs.existsSync(configPath)) {
+    return [defaultConfig];
+  }
+  
+  let configData;
+  try {
+    configData = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`配置文件解析失败 ${configPath}: ${error.message}`);
+  }
+  
+  return normalizeConfigData(configData, configPath);
+}
+
+// 校验配置内容并合并默认配置，返回配置数组；source 为错误信息中的配置来源
+function normalizeConfigData(configData, source) {
+  // 校验类型、取值范围、枚举值和未知配置项
+  const errors = validateConfigFile(configData);
+  if (errors.length > 0) {
+    throw new Error(`配置校验失败 ${source}（${errors.length} 处错误）:\n${formatValidationErrors(errors)}`);
+  }
+  
+  // 如果是新的配置数组格式
+  if (Array.isArray(configData.configs)) {
+    return configData.configs.map(config => ({ ...defaultConfig, ...config }));
+  }
+  
+  // 兼容旧的单一配置格式
+  return [{ ...defaultConfig, ...configData }];
+}
+
+// 按命令行参数筛选配置（--only）并应用覆盖项（--quality、--scales 等）
+function applyCliOptions(configs, { only = [], overrides = {} }) {
+  let selected = configs;
+  if (only.length > 0) {
+    const names = configs.map(config => config.name || '未命名配置');
+    const missing = only.filter(name => !names.includes(name));
+    if (missing.length > 0) {
+      throw new Error(`未找到配置: ${missing.join(', ')}（可用配置: ${names.join(', ')}）`);
+    }
+    selected = configs.filter(config => only.includes(config.name || '未命名配置'));
+  }
+  return selected.map(config => ({ ...config, ...overrides }));
+}
+
+// 确保目录存在
+function ensureDir(dirPath) {
+  if (!fs.existsSync(dirPath)) {
+    fs.mkdirSync(dirPath, { recursive: true });
+  }
+}
+
+// 原子写入输出文件：先写入临时文件再重命名，写入失败时删除临时文件，不留下不完整的输出
+// 临时文件名包含进程和线程编号，多个进程或Worker写入同一输出时互不影响
+function writeOutputAtomic(outputPath, data) {
+  const tempPath = `${outputPath}.${process.pid}-${threadId}.tmp`;
+  try {
+    fs.writeFileSync(tempPath, data);
+    fs.renameSync(tempPath, outputPath);
+  } catch (error) {
+    fs.rmSync(tempPath, { force: true });
+    throw error;
+  }
+}
+
+// 自下而上删除空目录，直到遇到非空目录或到达根目录（不删除根目录本身）
+function removeEmptyDirs(dirPath, rootDir) {
+  const root = path.resolve(rootDir);
+  let current = path.resolve(dirPath);
+  while (current.startsWith(root + path.sep) && fs.existsSync(current) && fs.readdirSync(current).length === 0) {
+    fs.rmdirSync(current);
+    current = path.dirname(current);
+  }
+}
+
+// 获取目录中的所有图片文件
+// options: { recursive, include, exclude, followSymlinks, includeHidden }
+function getImageFiles(inputDir, supportedFormats, options = {}) {
+  const {
+    recursive = false,
+    include = [],
+    exclude = [],
+    followSymlinks = false,
+    includeHidden = false
+  } = options;
+  
+  if (!fs.existsSync(inputDir)) {
+    throw new Error(`输入目录不存在: ${inputDir}`);
+  }
+  
+  const results = [];
+  const visitedDirs = new Set(); // 跟随符号链接时防止目录循环
+  
+  const walk = (dirPath) => {
+    const realDir = fs.realpathSync(dirPath);
+    if (visitedDirs.has(realDir)) {
+      return;
+    }
+    visitedDirs.add(realDir);
+    
+    const entries = fs.readdirSync(dirPath, { withFileTypes: true });
+    for (const entry of entries) {
+      if (!includeHidden && entry.name.startsWith('.')) {
+        continue;
+      }
+      
+      const entryPath = path.join(dirPath, entry.name);
+      const relativePath = path.relative(inputDir, entryPath).split(path.sep).join('/');
+      
+      let isDirectory = entry.isDirectory();
+      let isFile = entry.isFile();
+      if (entry.isSymbolicLink()) {
+        if (!followSymlinks) {
+          continue;
+        }
+        try {
+          const stat = fs.statSync(entryPath);
+          isDirectory = stat.isDirectory();
+          isFile = stat.isFile();
+        } catch (error) {
+          logger.warn(`⚠️  跳过无效的符号链接: ${entryPath}`);
+          continue;
+        }
+      }
       
-      // 如果是新的配置数组格式
-      if (configData.configs && Array.isArray(configData.configs)) {
-        return configData.configs.map(config => ({ ...defaultConfig, ...config }));
+      if (isDirectory) {
+        if (recursive && !matchAnyGlob(relativePath, exclude)) {
+          walk(entryPath);
+        }
+        continue;
       }
       
-      // 兼容旧的单一配置格式
-      return [{ ...defaultConfig, ...configData }];
+      if (!isFile || !supportedFormats.includes(path.extname(entry.name).toLowerCase())) {
+        continue;
+      }
+      if (include.length > 0 && !matchAnyGlob(relativePath, include)) {
+        continue;
+      }
+      if (matchAnyGlob(relativePath, exclude)) {
+        continue;
+      }
+      results.push(entryPath);
+    }
+  };
+  
+  walk(inputDir);
+  return results.sort();
+}
+
+// 输出布局对应的默认文件名模板（不含扩展名，扩展名由输出格式决定）
+const LAYOUT_TEMPLATES = {
+  folders: 'x{scale}/{dir}/{name}',
+  suffix: '{dir}/{name}{@scale}'
+};
+
+// 文件名模板变量，如 {name}、{@scale}
+const TEMPLATE_TOKEN_PATTERN = /\{(@?\w+)\}/g;
+
+// 获取配置实际使用的文件名模板
+function getFilenameTemplate(config) {
+  if (config.filenameTemplate) {
+    return config.filenameTemplate;
+  }
+  const template = LAYOUT_TEMPLATES[config.layout || 'folders'];
+  if (!template) {
+    throw new Error(`不支持的输出布局: ${config.layout}（可选: ${Object.keys(LAYOUT_TEMPLATES).join(', ')}）`);
+  }
+  return template;
+}
+
+// 判断文件名模板是否使用了某个变量
+function templateUsesToken(template, token) {
+  return template.includes(`{${token}}`);
+}
+
+// 输出文件相对输出目录的路径，由文件名模板渲染并加上输出格式的扩展名
+// source 可提供 { hash, width, height }：源文件内容哈希和原图尺寸
+function getOutputRelativePath(inputPath, scale, formatSpec, config, source = {}) {
+  const template = getFilenameTemplate(config);
+  const { dir, name, ext } = path.parse(path.relative(config.inputDir, inputPath));
+  
+  // 保留原尺寸模式下输出尺寸即原图尺寸
+  const width = config.keepOriginalSize ? source.width : config.targetWidth * scale;
+  const height = config.keepOriginalSize ? source.height : config.targetHeight * scale;
+  
+  const tokens = {
+    name,
+    ext: ext.replace(/^\./, ''),
+    dir: dir.split(path.sep).join('/'),
+    scale,
+    '@scale': scale === 1 ? '' : `@${scale}x`,
+    width,
+    height,
+    format: formatSpec.format,
+    config: config.name || '未命名配置'
+  };
+  
+  const rendered = template.replace(TEMPLATE_TOKEN_PATTERN, (match, token) => {
+    if (token === 'hash8') {
+      const hash = source.hash || hashSourceFile(inputPath).hash;
+      return hash.slice(0, 8);
+    }
+    if (!(token in tokens)) {
+      throw new Error(`文件名模板包含未知变量: ${match}`);
+    }
+    if (tokens[token] === undefined) {
+      throw new Error(`文件名模板变量 ${match} 缺少取值: ${path.basename(inputPath)}`);
+    }
+    return String(tokens[token]);
+  });
+  
+  // 去掉空目录变量产生的多余分隔符，并禁止写出输出目录之外
+  const relativePath = path.normalize(rendered.split('/').filter(Boolean).join('/'));
+  if (!relativePath || relativePath === '.' || path.isAbsolute(relativePath) || relativePath.split(path.sep)[0] === '..') {
+    throw new Error(`文件名模板生成了无效路径: "${rendered}"（模板: ${template}）`);
+  }
+  return `${relativePath}${formatSpec.extension}`;
+}
+
+// 获取最优的工作线程数
+function getOptimalWorkerCount(maxWorkers, jobCount) {
+  const cpuCount = os.cpus().length;
+  // 根据CPU核心数、配置的最大线程数和任务数量确定最优线程数
+  const optimalCount = Math.min(maxWorkers, cpuCount, jobCount);
+  logger.log(`🔧 CPU核心数: ${cpuCount}, 配置最大线程: ${maxWorkers}, 任务数: ${jobCount}, 使用线程数: ${optimalCount}`);
+  return optimalCount;
+}
+
+// Worker线程处理函数：常驻线程，逐个接收主线程线程池分配的 (文件, 配置, 倍数) 任务
+if (!isMainThread) {
+  const { configs, workerId, nice, quiet } = workerData;
+  const workerName = `Worker-${workerId}`;
+  
+  // 降低线程优先级（Linux下libvips线程在本线程中创建，会继承该优先级）
+  if (nice) {
+    try {
+      os.setPriority(nice);
     } catch (error) {
-      console.warn('配置文件读取失败，使用默认配置:', error.message);
+      logger.warn(`⚠️  ${workerName} 设置线程优先级失败:`, error.message);
+    }
+  }
+  
+  // 源文件缓存：只保留当前处理的文件，同一文件的其它倍数/配置任务直接复用
+  const sourceCache = new Map();
+  let processedJobs = 0;
+  
+  const handleMessage = async (message) => {
+    if (!message || message.type !== 'job') {
+      return;
+    }
+    const { jobId, job } = message;
+    
+    // 扇出模式：一个任务包含同一源文件的所有 (配置, 倍数)
+    if (job.tasks) {
+      logger.log(`📷 ${workerName} 处理: ${path.basename(job.file)} (扇出 ${job.tasks.length} 个任务)`);
+      const results = await processSourceFanout(job.file, job.tasks, configs);
+      parentPort.postMessage({ type: 'result', jobId, result: results });
+      return;
+    }
+    
+    const config = applyRule(configs[job.configIndex], job.ruleIndex);
+    const configName = config.name || '未命名配置';
+    const ruleNote = job.ruleIndex === null ? '' : ` [规则: ${job.ruleName}]`;
+    
+    logger.log(`📷 [${configName}] ${workerName} 处理: ${path.basename(job.file)} (x${job.scale})${ruleNote}`);
+    
+    const result = await processImageSingleOptimized(
+      job.file,
+      config.outputDir,
+      {
+        ...config,
+        scales: [job.scale], // 每个任务只处理一个倍数
+        cropDebugScale: config.scales[0]
+      },
+      sourceCache,
+      job.outputKeys
+    );
+    parentPort.postMessage({ type: 'result', jobId, result });
+    
+    // 定期内存检查（每5个任务检查一次）
+    processedJobs++;
+    if (processedJobs % 5 === 0) {
+      const currentMemory = getMemoryUsage();
+      if (currentMemory.heapUsed > 250) {
+        logger.log(`🧹 ${workerName} 内存清理: ${currentMemory.heapUsed}MB`);
+        if (global.gc) {
+          global.gc();
+        }
+      }
+    }
+  };
+  
+  // 监听模式和库API中由主线程显示汇总状态，Worker的 logger 输出静默（错误信息通过处理结果返回，全局 console 不受影响）
+  parentPort.on('message', message => (quiet ? runWithLogger(silentLogger, () => handleMessage(message)) : handleMessage(message)));
+  parentPort.postMessage({ type: 'ready' });
+}
+
+// 裁剪框调试图使用的预览图最大边长
+const CROP_DEBUG_PREVIEW_SIZE = 800;
+
+// 读取单图侧车文件（<源文件>.json）中的裁剪位置，没有侧车文件时使用配置的裁剪位置
+// 侧车文件内容: { "cropPosition": "top-left" }、{ "cropPosition": { "x": 0.3, "y": 0.2 } } 或直接写 { "x": 0.3, "y": 0.2 }
+function getFileCropPosition(inputPath, config) {
+  if (config.focalPointSidecar === false) {
+    return config.cropPosition;
+  }
+  
+  const sidecarPath = `${inputPath}.json`;
+  if (!fs.existsSync(sidecarPath)) {
+    return config.cropPosition;
+  }
+  
+  let sidecar;
+  try {
+    sidecar = JSON.parse(fs.readFileSync(sidecarPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`侧车文件解析失败 ${sidecarPath}: ${error.message}`);
+  }
+  
+  const cropPosition = sidecar && sidecar.cropPosition !== undefined ? sidecar.cropPosition : sidecar;
+  if (!SMART_CROP_STRATEGIES.includes(cropPosition)) {
+    resolveCropAnchor(cropPosition, sidecarPath);
+  }
+  return cropPosition;
+}
+
+// 九宫格方位对应的sharp位置，用于 contain 模式下放置图片（焦点坐标和智能裁剪按居中处理）
+const CONTAIN_POSITIONS = {
+  'top-left': 'northwest',
+  'top': 'north',
+  'top-right': 'northeast',
+  'left': 'west',
+  'center': 'centre',
+  'right': 'east',
+  'bottom-left': 'southwest',
+  'bottom': 'south',
+  'bottom-right': 'southeast'
+};
+
+// 计算输出尺寸
+// 请求尺寸为目标尺寸 × 倍数；inner 为图片内容尺寸（contain 模式下不含补边）
+// withoutEnlargement 时内容尺寸不超过源尺寸（cover 模式下为裁剪区域），超出时整体按比例缩小并标记 capped
+function calculateOutputSize(sourceWidth, sourceHeight, cropArea, config, scale) {
+  const fit = config.fit || 'cover';
+  const requestedWidth = config.targetWidth * scale;
+  const requestedHeight = config.targetHeight * scale;
+  const contentWidth = fit === 'cover' ? cropArea.width : sourceWidth;
+  const contentHeight = fit === 'cover' ? cropArea.height : sourceHeight;
+  
+  let width = requestedWidth;
+  let height = requestedHeight;
+  let innerWidth = requestedWidth;
+  let innerHeight = requestedHeight;
+  
+  if (fit !== 'cover') {
+    // contain / inside 完整放入目标框内，outside 覆盖整个目标框，均保持原图宽高比
+    const factor = fit === 'outside'
+      ? Math.max(requestedWidth / sourceWidth, requestedHeight / sourceHeight)
+      : Math.min(requestedWidth / sourceWidth, requestedHeight / sourceHeight);
+    innerWidth = Math.max(1, Math.round(sourceWidth * factor));
+    innerHeight = Math.max(1, Math.round(sourceHeight * factor));
+    if (fit !== 'contain') {
+      width = innerWidth;
+      height = innerHeight;
+    }
+  }
+  
+  const enlargement = Math.max(innerWidth / contentWidth, innerHeight / contentHeight);
+  const capped = Boolean(config.withoutEnlargement) && enlargement > 1;
+  if (capped) {
+    width = Math.max(1, Math.round(width / enlargement));
+    height = Math.max(1, Math.round(height / enlargement));
+    innerWidth = Math.min(width, Math.max(1, Math.round(innerWidth / enlargement)));
+    innerHeight = Math.min(height, Math.max(1, Math.round(innerHeight / enlargement)));
+  }
+  
+  return { fit, width, height, innerWidth, innerHeight, requestedWidth, requestedHeight, capped };
+}
+
+// 合成叠加层（sharp 的每个pipeline只能调用一次 composite()）
+function withLayers(image, layers) {
+  return layers.length > 0 ? image.composite(layers) : image;
+}
+
+// 按适配模式构建裁剪缩放pipeline，layers 为缩放后合成的叠加层（水印）
+async function buildResizePipeline(input, cropArea, outputSize, config, cropPosition, layers = []) {
+  const { fit, width, height, innerWidth, innerHeight } = outputSize;
+  
+  // cropArea 为 null 表示 input 已是裁剪后的图片
+  if (fit === 'cover') {
+    const image = openImage(input);
+    return withLayers((cropArea ? image.extract(cropArea) : image).resize(width, height, { fit: 'fill' }), layers);
+  }
+  
+  if (fit === 'inside' || fit === 'outside') {
+    return withLayers(openImage(input).resize(width, height, { fit: 'fill' }), layers);
+  }
+  
+  // contain：完整显示图片，剩余部分用背景色或模糊原图补边
+  const position = CONTAIN_POSITIONS[cropPosition] || 'centre';
+  if (config.background !== 'blur') {
+    return withLayers(openImage(input).resize(width, height, {
+      fit: 'contain',
+      position,
+      background: config.background || 'transparent'
+    }), layers);
+  }
+  
+  const backdrop = await openImage(input)
+    .resize(width, height, { fit: 'cover' })
+    .blur(config.blurSigma || 30)
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const foreground = await openImage(input)
+    .resize(innerWidth, innerHeight, { fit: 'fill' })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  
+  return sharp(backdrop.data, {
+    raw: { width: backdrop.info.width, height: backdrop.info.height, channels: backdrop.info.channels }
+  }).composite([{
+    input: foreground.data,
+    raw: { width: foreground.info.width, height: foreground.info.height, channels: foreground.info.channels },
+    gravity: position
+  }, ...layers]);
+}
+
+// 保存裁剪框调试图：在缩小的原图上压暗裁剪区域以外的部分并标出裁剪框，便于审核裁剪结果
+async function saveCropDebugOverlay(input, originalWidth, originalHeight, cropArea, outputPath) {
+  const scale = Math.min(1, CROP_DEBUG_PREVIEW_SIZE / Math.max(originalWidth, originalHeight));
+  const width = Math.max(1, Math.round(originalWidth * scale));
+  const height = Math.max(1, Math.round(originalHeight * scale));
+  const box = {
+    left: Math.round(cropArea.left * scale),
+    top: Math.round(cropArea.top * scale),
+    width: Math.max(1, Math.round(cropArea.width * scale)),
+    height: Math.max(1, Math.round(cropArea.height * scale))
+  };
+  
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+    <path fill="#000" fill-opacity="0.55" fill-rule="evenodd"
+      d="M0 0H${width}V${height}H0Z M${box.left} ${box.top}V${box.top + box.height}H${box.left + box.width}V${box.top}Z"/>
+    <rect x="${box.left + 1.5}" y="${box.top + 1.5}" width="${Math.max(1, box.width - 3)}" height="${Math.max(1, box.height - 3)}"
+      fill="none" stroke="#ff3b30" stroke-width="3"/>
+  </svg>`;
+  
+  ensureDir(path.dirname(outputPath));
+  const data = await openImage(input)
+    .resize(width, height, { fit: 'fill' })
+    .composite([{ input: Buffer.from(svg) }])
+    .jpeg({ quality: 80 })
+    .toBuffer();
+  writeOutputAtomic(outputPath, data);
+}
+
+// 裁剪框调试图路径: {输出目录}/_crop-debug/{源文件相对路径}.crop.jpg
+function getCropDebugPath(inputPath, outputDir, config) {
+  return path.join(outputDir, '_crop-debug', `${path.relative(config.inputDir, inputPath)}.crop.jpg`);
+}
+
+// 配置是否为该文件生成裁剪框调试图（只有 cover 模式会裁剪）
+function needsCropDebug(config) {
+  return Boolean(config.cropDebug) && !config.keepOriginalSize && (config.fit || 'cover') === 'cover';
+}
+
+// 在主线程单独生成裁剪框调试图：第一个倍数的输出已是最新、但调试图缺失或已过期时使用，不重新编码输出
+async function renderCropDebug(inputPath, outputDir, config) {
+  const view = await getSourceView(await loadSourceImage(inputPath), config);
+  try {
+    const { metadata } = view;
+    const cropArea = await resolveCropArea(
+      view.input,
+      metadata.width,
+      metadata.height,
+      config.targetWidth,
+      config.targetHeight,
+      getFileCropPosition(inputPath, config)
+    );
+    await saveCropDebugOverlay(view.input, metadata.width, metadata.height, cropArea, getCropDebugPath(inputPath, outputDir, config));
+  } finally {
+    view.input.destroy();
+  }
+}
+
+// 读取源文件及其元数据，sourceCache 中只保留最近一个文件，供同一文件的后续任务复用
+// 返回 { input: 源文件Buffer, bytes, metadata }
+async function loadSourceImage(inputPath, sourceCache = null) {
+  if (sourceCache && sourceCache.has(inputPath)) {
+    return sourceCache.get(inputPath);
+  }
+  
+  // 读取图片数据到Buffer（一次性读取）
+  const buffer = fs.readFileSync(inputPath);
+  
+  // 获取图片元数据（使用临时实例，避免影响主实例状态）
+  const tempProcessor = sharp(buffer);
+  const metadata = await tempProcessor.metadata();
+  tempProcessor.destroy(); // 立即销毁临时实例
+  
+  const source = { input: buffer, bytes: buffer.length, metadata };
+  if (sourceCache) {
+    sourceCache.clear();
+    sourceCache.set(inputPath, source);
+  }
+  return source;
+}
+
+// 读取源文件（扇出模式）：按需解码为8位sRGB像素数据（见 getSourceView），之后所有倍数和配置通过 clone() 复用
+// 返回 { buffer: 源文件Buffer, bytes, metadata, views: 方向和读取选项 → { input: 已解码的sharp实例, crops } }
+async function decodeSourceImage(inputPath) {
+  const buffer = fs.readFileSync(inputPath);
+  const metadata = await sharp(buffer).metadata();
+  return { buffer, bytes: buffer.length, metadata, views: new Map() };
+}
+
+// 释放解码结果
+function releaseSourceImage(source) {
+  for (const view of (source.views || new Map()).values()) {
+    view.input.destroy();
+    for (const cropped of view.crops.values()) {
+      cropped.destroy();
+    }
+  }
+}
+
+// 读取源文件的 sharp 选项：像素数上限（防止解压炸弹耗尽内存）和解码问题的处理级别
+function getSourceOptions(config) {
+  return {
+    limitInputPixels: config.limitInputPixels === undefined ? defaultConfig.limitInputPixels : config.limitInputPixels,
+    failOn: config.failOn || defaultConfig.failOn
+  };
+}
+
+// 按配置获取源图：需要时按 EXIF 方向旋转（metadata 中的宽高为旋转后的尺寸）
+// 扇出模式下每种方向（及读取选项）只解码一次；需要保留 ICC 配置文件或元数据的配置直接读取源文件，不使用共享的解码结果
+// animated 为 true 时按动图读取（libvips 不支持旋转多帧图像，动图不按 EXIF 方向旋转）
+// 返回 { input, animatedInput, bytes, metadata, crops }，input 为第一帧，animatedInput 为包含所有帧的sharp实例（仅动图），
+// crops 仅扇出模式下存在（其它模式下 input 由调用方销毁）
+async function getSourceView(source, config, animated = false) {
+  const oriented = !animated && shouldAutoOrient(source.metadata, config);
+  const metadata = oriented ? getOrientedMetadata(source.metadata) : source.metadata;
+  const options = getSourceOptions(config);
+  if (!source.views || requiresSourcePipeline(config) || animated) {
+    const buffer = source.views ? source.buffer : source.input;
+    const input = sharp(buffer, options);
+    return {
+      input: oriented ? input.rotate() : input,
+      animatedInput: animated ? sharp(buffer, { ...options, animated: true }) : null,
+      bytes: source.bytes,
+      metadata,
+      crops: null
+    };
+  }
+  
+  const key = `${oriented ? 'oriented' : 'original'}:${options.limitInputPixels}:${options.failOn}`;
+  if (!source.views.has(key)) {
+    const image = sharp(source.buffer, options);
+    const { data, info } = await (oriented ? image.rotate() : image)
+      .toColourspace('srgb')
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+    const input = sharp(data, { raw: { width: info.width, height: info.height, channels: info.channels } });
+    source.views.set(key, { input, crops: new Map() });
+  }
+  return { ...source.views.get(key), animatedInput: null, bytes: source.bytes, metadata };
+}
+
+// 获取裁剪后的图片：扇出模式下每个裁剪区域只裁剪一次，返回 { input, cropArea: null }；其它模式原样返回
+async function getCroppedInput(source, cropArea) {
+  if (!source.crops) {
+    return { input: source.input, cropArea };
+  }
+  const key = `${cropArea.left},${cropArea.top},${cropArea.width},${cropArea.height}`;
+  if (!source.crops.has(key)) {
+    const { data, info } = await openImage(source.input)
+      .extract(cropArea)
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+    source.crops.set(key, sharp(data, { raw: { width: info.width, height: info.height, channels: info.channels } }));
+  }
+  return { input: source.crops.get(key), cropArea: null };
+}
+
+// 单倍数处理版本：每个任务只处理一个特定倍数，按配置的输出格式逐一编码
+// sourceCache 可选，用于在同一Worker的连续任务间复用源文件（见 loadSourceImage）
+// outputKeys 可选，为主线程预先解析（含冲突处理）的各输出格式相对路径，与 formats 顺序一致
+async function processImageSingleOptimized(inputPath, outputDir, config, sourceCache = null, outputKeys = null) {
+  const startTime = Date.now();
+  let source;
+  try {
+    source = await loadSourceImage(inputPath, sourceCache);
+  } catch (error) {
+    logger.error(`处理图片失败 ${path.basename(inputPath)}:`, error.message);
+    return { file: inputPath, scale: config.scales[0], success: false, error: error.message, badInput: isBadInputError(error), generatedFiles: 0, outputs: [], durationMs: Date.now() - startTime };
+  }
+  return renderSourceScale(inputPath, source, outputDir, config, outputKeys, startTime);
+}
+
+// 扇出处理：源文件只读取和解码一次，依次生成共享该源文件的所有 (配置, 倍数) 输出
+// tasks: [{ configIndex, ruleIndex, scale, outputKeys }]，返回与 tasks 顺序一致的处理结果
+async function processSourceFanout(inputPath, tasks, configs) {
+  const startTime = Date.now();
+  let source;
+  try {
+    source = await decodeSourceImage(inputPath);
+  } catch (error) {
+    logger.error(`处理图片失败 ${path.basename(inputPath)}:`, error.message);
+    const durationMs = Math.round((Date.now() - startTime) / tasks.length);
+    const badInput = isBadInputError(error);
+    return tasks.map(task => ({ file: inputPath, scale: task.scale, success: false, error: error.message, badInput, generatedFiles: 0, outputs: [], durationMs }));
+  }
+  
+  // 读取耗时平均计入各任务（按需解码的耗时计入首个使用该解码结果的任务）
+  const decodeDuration = Math.round((Date.now() - startTime) / tasks.length);
+  const results = [];
+  try {
+    for (const task of tasks) {
+      const config = applyRule(configs[task.configIndex], task.ruleIndex);
+      const taskConfig = { ...config, scales: [task.scale], cropDebugScale: config.scales[0] };
+      results.push(await renderSourceScale(inputPath, source, config.outputDir, taskConfig, task.outputKeys, Date.now() - decodeDuration));
+    }
+  } finally {
+    releaseSourceImage(source);
+  }
+  return results;
+}
+
+// 由已读取（或已解码）的源文件生成单个倍数的所有输出格式
+async function renderSourceScale(inputPath, loadedSource, outputDir, config, outputKeys, startTime) {
+  const { targetWidth, targetHeight, scales, keepOriginalSize = false } = config;
+  
+  // 每个任务只处理一个倍数，scales数组应该只有一个元素
+  const scale = scales[0];
+  if (!scale) {
+    logger.error(`处理图片失败 ${path.basename(inputPath)}: 未找到倍数配置`);
+    return { file: inputPath, scale, success: false, error: '未找到倍数配置', generatedFiles: 0, outputs: [], durationMs: 0 };
+  }
+  
+  // 本任务创建的pipeline，处理结束（包括出错）时释放
+  let source = null;
+  const pipelines = new Map();
+  try {
+    const animation = getAnimationPlan(loadedSource.metadata, config);
+    // 只由负责第一个倍数的任务提示，避免每个倍数重复输出
+    if (animation.warning && (config.cropDebugScale === undefined || config.cropDebugScale === scale)) {
+      logger.warn(`⚠️  ${path.basename(inputPath)} ${animation.warning}，只输出第一帧`);
+    }
+    source = await getSourceView(loadedSource, config, animation.animated);
+    const { metadata } = source;
+    const formatSpecs = normalizeFormats(config);
+    
+    // 在保留原尺寸模式下跳过裁剪与缩放，仅压缩
+    // 裁剪区域和输出尺寸按第一帧计算（动图的 metadata 宽高为单帧尺寸），所有帧使用相同的裁剪和缩放
+    let cropPosition = null;
+    let cropArea = null;
+    let outputSize = null;
+    if (!keepOriginalSize) {
+      cropPosition = getFileCropPosition(inputPath, config);
+      
+      // 只有 cover 模式需要裁剪：计算裁剪区域（侧车文件中的单图裁剪位置优先）
+      if ((config.fit || 'cover') === 'cover') {
+        cropArea = await resolveCropArea(
+          source.input,
+          metadata.width, 
+          metadata.height, 
+          targetWidth, 
+          targetHeight, 
+          cropPosition
+        );
+        
+        // 裁剪框调试图（只由负责第一个倍数的任务生成，避免重复写入）
+        if (config.cropDebug && config.cropDebugScale === scale) {
+          await saveCropDebugOverlay(source.input, metadata.width, metadata.height, cropArea, getCropDebugPath(inputPath, outputDir, config));
+        }
+      }
+      
+      // 处理单个倍数尺寸（按目标尺寸和适配模式缩放）
+      outputSize = calculateOutputSize(metadata.width, metadata.height, cropArea, config, scale);
+      if (outputSize.capped) {
+        logger.warn(`⚠️  ${path.basename(inputPath)} x${scale} 原图尺寸不足，未放大: 输出 ${outputSize.width}x${outputSize.height}（请求 ${outputSize.requestedWidth}x${outputSize.requestedHeight}）`);
+      }
+    }
+    
+    // 构建编码前的pipeline：input 为第一帧或包含所有帧的动图，frames 为帧数（叠加层每帧合成一次）
+    const overlays = config.overlays || [];
+    const createPipeline = async (input, frames) => {
+      let result;
+      if (keepOriginalSize) {
+        const layers = await createOverlayLayers(overlays, { width: metadata.width, height: metadata.height, scale: 1, frames });
+        result = withLayers(openImage(input), layers);
+      } else {
+        // 扇出模式下第一帧复用共享的裁剪结果
+        const cropped = cropArea && input === source.input ? await getCroppedInput(source, cropArea) : { input, cropArea };
+        const layers = await createOverlayLayers(overlays, { width: outputSize.width, height: outputSize.height, scale, frames });
+        result = await buildResizePipeline(cropped.input, cropped.cropArea, outputSize, config, cropPosition, layers);
+      }
+      return applyOutputMetadata(result, config, loadedSource.metadata);
+    };
+    // 动图只对支持动画的输出格式（WebP）保留所有帧，其它格式输出第一帧；两种pipeline按需创建
+    const loadPipeline = async (key) => {
+      if (!pipelines.has(key)) {
+        pipelines.set(key, key === 'animated'
+          ? await createPipeline(source.animatedInput, animation.frames)
+          : await createPipeline(source.input, 1));
+      }
+      return pipelines.get(key);
+    };
+    const getPipeline = formatSpec => loadPipeline(animation.animated && isAnimatedFormat(formatSpec) ? 'animated' : 'still');
+    
+    const outputs = [];
+    const errors = [];
+    let badInput = false;
+    const budget = getSizeBudget(config, scale);
+    const guard = getQualityGuard(config, scale);
+    
+    // 同一裁剪缩放结果通过clone()分别编码为各输出格式（输出子目录按需创建）
+    for (let formatIndex = 0; formatIndex < formatSpecs.length; formatIndex++) {
+      const formatSpec = formatSpecs[formatIndex];
+      const outputKey = outputKeys ? outputKeys[formatIndex] : getOutputRelativePath(inputPath, scale, formatSpec, config, metadata);
+      const outputPath = path.join(outputDir, outputKey);
+      ensureDir(path.dirname(outputPath));
+      
+      try {
+        const pipeline = await getPipeline(formatSpec);
+        // 编码结果在内存中确定后再写入：有大小预算时搜索满足预算的最高品质，有画质校验时解码比较 SSIM
+        // （Worker因超时被终止时编码中的输出不会写入磁盘）
+        const configuredQuality = formatSpec.options.quality === undefined || formatSpec.options.lossless ? null : formatSpec.options.quality;
+        let encoded = budget
+          ? await encodeWithinBudget(pipeline, formatSpec, budget)
+          : { ...(await encodeAtQuality(pipeline, formatSpec, null)), quality: configuredQuality };
+        if (guard) {
+          encoded = await applyQualityGuard(pipeline, formatSpec, encoded, guard);
+        }
+        writeOutputAtomic(outputPath, encoded.data);
+        const { info, quality } = encoded;
+        const overBudget = Boolean(budget) && info.size > budget.maxBytes;
+        
+        // 动图的 info.height 为所有帧的总高度，pageHeight 为单帧高度
+        const output = { path: outputPath, format: formatSpec.format, width: info.width, height: info.pageHeight || info.height, bytes: info.size, hash: hashBuffer(encoded.data), quality };
+        const notes = [];
+        if (keepOriginalSize) {
+          notes.push('保留原尺寸');
+        }
+        if (info.pages > 1) {
+          output.frames = info.pages;
+          notes.push(`动画 ${info.pages} 帧`);
+        }
+        if (budget) {
+          Object.assign(output, { maxBytes: budget.maxBytes, overBudget });
+          notes.push(`${quality === null ? '' : `品质 ${quality}，`}${formatBytes(info.size)} / 预算 ${formatBytes(budget.maxBytes)}`);
+        }
+        if (guard) {
+          const ssim = Math.round(encoded.ssim * 10000) / 10000;
+          Object.assign(output, { ssim, minSsim: guard.minSsim, belowSsim: encoded.belowSsim });
+          notes.push(`${budget || quality === null ? '' : `品质 ${quality}，`}SSIM ${ssim.toFixed(4)}`);
+        }
+        outputs.push(output);
+        logger.log(`生成: ${outputPath}${notes.length > 0 ? `（${notes.join('，')}）` : ''}`);
+        if (overBudget) {
+          const reason = quality === null ? '超出大小预算（该格式无法调整品质）' : `在最低品质 ${quality} 下仍超出大小预算`;
+          logger.warn(`⚠️  ${outputPath} ${reason}: ${formatBytes(info.size)} > ${formatBytes(budget.maxBytes)}`);
+        }
+        if (output.belowSsim) {
+          logger.warn(`⚠️  ${outputPath} 画质低于阈值: SSIM ${output.ssim.toFixed(4)} < ${guard.minSsim}${quality === null ? '' : `（品质 ${quality}）`}`);
+        }
+      } catch (formatError) {
+        logger.error(`处理尺寸 ${scale}x 格式 ${formatSpec.format} 失败:`, formatError.message);
+        errors.push(`${formatSpec.format}: ${formatError.message}`);
+        badInput = badInput || isBadInputError(formatError);
+      }
+    }
+    
+    // 占位数据只由负责第一个倍数的任务从第一帧的输出画面生成，失败时只警告（缓存清单中没有记录，下次重新生成）
+    let placeholder = null;
+    const placeholderOptions = getPlaceholderOptions(config);
+    if (placeholderOptions && errors.length === 0 && (config.cropDebugScale === undefined || config.cropDebugScale === scale)) {
+      try {
+        placeholder = await generatePlaceholder(await loadPipeline('still'), placeholderOptions);
+      } catch (placeholderError) {
+        logger.warn(`⚠️  ${path.basename(inputPath)} 占位数据生成失败:`, placeholderError.message);
+      }
+    }
+    
+    const durationMs = Date.now() - startTime;
+    
+    // 实际输出尺寸，capped 表示因 withoutEnlargement 未达到请求尺寸，overBudget 表示有输出在最低品质下仍超出大小预算，
+    // belowSsim 表示有输出的 SSIM 低于 qualityGuard.minSsim
+    // sourceBytes 为源文件大小，outputs 中记录各输出文件的路径、格式、尺寸、字节数、内容哈希、品质、SSIM 和动画帧数
+    // placeholder 为占位数据（只在第一个倍数的结果中）
+    const size = outputSize
+      ? { width: outputSize.width, height: outputSize.height, capped: outputSize.capped }
+      : { width: metadata.width, height: metadata.height, capped: false };
+    const details = { sourceBytes: source.bytes, durationMs, overBudget: outputs.some(output => output.overBudget), belowSsim: outputs.some(output => output.belowSsim), ...size };
+    
+    if (errors.length > 0) {
+      return { file: inputPath, scale, success: false, error: errors.join('; '), badInput, generatedFiles: outputs.length, outputs, ...details };
+    }
+    return { file: inputPath, scale, success: true, generatedFiles: outputs.length, outputs, ...details, ...(placeholder ? { placeholder } : {}) };
+    
+  } catch (error) {
+    logger.error(`处理图片失败 ${path.basename(inputPath)}:`, error.message);
+    return { file: inputPath, scale, success: false, error: error.message, badInput: isBadInputError(error), generatedFiles: 0, outputs: [], durationMs: Date.now() - startTime };
+  } finally {
+    // 清理pipeline（扇出模式共享的源图和裁剪结果由 releaseSourceImage 释放）
+    for (const pipeline of pipelines.values()) {
+      pipeline.destroy();
+    }
+    if (source && source.animatedInput) {
+      source.animatedInput.destroy();
+    }
+    if (source && !source.crops) {
+      source.input.destroy();
+    }
+  }
+}
+
+// 为单个配置生成处理任务：每个需要处理的 (文件, 倍数) 一个任务
+// plan 存在时只包含增量计划中待处理的任务，并附带预先解析好的输出路径
+function createConfigJobs({ config, files, plan }, configIndex) {
+  const pendingFiles = plan
+    ? new Map(config.scales.map(scale => [scale, new Set(plan.scaleFileMap.get(scale) || [])]))
+    : null;
+  const jobs = [];
+  for (const file of files) {
+    for (const scale of config.scales) {
+      if (pendingFiles && !pendingFiles.get(scale).has(file)) {
+        continue;
+      }
+      const rule = plan ? plan.files.get(file).rule : null;
+      jobs.push({
+        configIndex,
+        file,
+        scale,
+        // 该文件匹配的单图规则（Worker按 ruleIndex 应用规则的覆盖参数）
+        ruleIndex: rule ? rule.index : null,
+        ruleName: rule ? rule.name : null,
+        // 该文件在该倍数下的输出路径（按 formats 顺序）
+        outputKeys: plan ? plan.files.get(file).outputs.get(scale).map(output => output.key) : null
+      });
+    }
+  }
+  return jobs;
+}
+
+// 全局线程池大小：命令行 --concurrency 优先，否则取各配置 maxWorkers 中的最大值（受CPU核心数限制），且不超过任务数
+function getPoolSize(configs, jobCount, concurrency = null) {
+  if (concurrency) {
+    return Math.min(concurrency, jobCount);
+  }
+  const maxWorkers = Math.max(...configs.map(config => config.maxWorkers || defaultConfig.maxWorkers));
+  return getOptimalWorkerCount(maxWorkers, jobCount);
+}
+
+// 按源文件合并任务（扇出模式），index 为任务在原 jobs 中的位置
+// 处理流水线模式（--pipeline）:
+//   jobs: 每个 (文件, 配置, 倍数) 一个任务，同一源文件的任务优先分配给同一线程并复用已读取的源文件
+//   fanout: 每个源文件一个任务，只解码和裁剪一次，再派生所有配置和倍数的输出
+//   per-scale: 原有的按倍数分组布局，每个 (配置, 倍数) 一个线程依次处理所有文件，每个文件在每个倍数下都重新解码（用于基准测试对比）
+function groupJobsBySource(jobs) {
+  const sources = new Map();
+  jobs.forEach((job, index) => {
+    if (!sources.has(job.file)) {
+      sources.set(job.file, { file: job.file, tasks: [] });
+    }
+    sources.get(job.file).tasks.push({ index, configIndex: job.configIndex, ruleIndex: job.ruleIndex, scale: job.scale, outputKeys: job.outputKeys });
+  });
+  return [...sources.values()];
+}
+
+// 打印单个任务的完成情况并更新全局进度
+function logJobResult(result, job, workerId, configs, globalProgress) {
+  const configName = configs[job.configIndex].name || '未命名配置';
+  const status = result.success ? '✅' : '❌';
+  if (globalProgress) {
+    globalProgress.processed++;
+    if (globalProgress.onUpdate) {
+      globalProgress.onUpdate(globalProgress, result, job, workerId);
+    }
+    const globalPercent = ((globalProgress.processed / globalProgress.total) * 100).toFixed(1);
+    logger.log(`${status} [${configName}] Worker-${workerId} 完成 ${path.basename(job.file)} x${job.scale} - 全局进度: ${globalProgress.processed}/${globalProgress.total} (${globalPercent}%)`);
+  } else {
+    logger.log(`${status} [${configName}] Worker-${workerId} 完成 ${path.basename(job.file)} x${job.scale}`);
+  }
+}
+
+// 创建处理图片的Worker线程池，quiet 时Worker不输出逐文件日志（监听模式、库API）
+function createProcessingPool(configs, size, { nice = null, quiet = false } = {}) {
+  // sharp.concurrency() 设置的是整个进程共用的 libvips 单个操作线程数（所有Worker共享），由主线程设置：
+  // 按线程池大小平分CPU核心，避免 Worker数 × CPU核心数 的过度并发。
+  // 使用glibc内存分配器时，sharp 在每个线程加载时会把该值重置为 1，因此Worker加载完成（ready）后重新设置
+  const vipsThreads = Math.max(1, Math.floor(os.cpus().length / size));
+  sharp.concurrency(vipsThreads);
+  const pool = createWorkerPool({
+    size,
+    workerFile: __filename,
+    workerData: { configs, nice, quiet },
+    onReady: () => sharp.concurrency(vipsThreads)
+  });
+  return { ...pool, size, vipsThreads };
+}
+
+// 线程池任务的超时、重试和失败处理（见 createWorkerPool 的 run 选项）
+// 扇出任务包含同一源文件的多个 (配置, 倍数)：超时为各任务超时之和，重试次数取各配置的最大值
+function getJobFailureHandlers(configs, fanout) {
+  const tasksOf = job => (fanout ? job.tasks : [job]);
+  const configOf = task => configs[task.configIndex];
+  return {
+    timeout: (job) => {
+      const timeouts = tasksOf(job).map(task => configOf(task).jobTimeout);
+      return timeouts.every(timeout => timeout > 0) ? timeouts.reduce((sum, timeout) => sum + timeout, 0) : null;
+    },
+    retries: job => Math.max(...tasksOf(job).map(task => configOf(task).retries || 0)),
+    // 源文件损坏导致的失败重试也无法成功，不再重试
+    shouldRetry: (result) => {
+      const failed = (fanout ? result : [result]).find(item => !item.success && !item.badInput);
+      return failed ? failed.error : null;
+    },
+    onRetry: (job, attempt, reason) => {
+      logger.warn(`🔁 ${path.basename(job.file)} 处理失败，第 ${attempt} 次重试: ${reason}`);
+    },
+    // 重试后仍超时或导致Worker崩溃按普通失败处理：可能只是源图较大或机器负载高，不能据此判定源文件损坏（不会被隔离）
+    onFailure: (job, error, durationMs) => {
+      logger.error(`处理图片失败 ${path.basename(job.file)}:`, error.message);
+      const tasks = tasksOf(job);
+      const results = tasks.map(task => ({
+        file: job.file,
+        scale: task.scale,
+        success: false,
+        error: error.message,
+        badInput: false,
+        timedOut: Boolean(error.timedOut),
+        generatedFiles: 0,
+        outputs: [],
+        durationMs: Math.round(durationMs / tasks.length)
+      }));
+      return fanout ? results : results[0];
+    }
+  };
+}
+
+// 在全局线程池中执行所有配置的任务，返回与 jobs 顺序一致的处理结果
+// options: { concurrency, nice, pipeline, quiet, pool, globalProgress, signal }
+// pool 可选，为常驻的线程池（监听模式），其Worker的 configs 须与此处一致；未指定时新建线程池并在完成后关闭
+// signal 中止时以 signal.reason 拒绝，新建的线程池会被立即终止
+async function runProcessingJobs(configs, jobs, options = {}) {
+  const { concurrency = null, nice = null, pipeline = 'jobs', quiet = false, globalProgress = null, signal = null } = options;
+  if (jobs.length === 0) {
+    return [];
+  }
+  
+  const fanout = pipeline === 'fanout';
+  const perScale = pipeline === 'per-scale';
+  const poolJobs = fanout ? groupJobsBySource(jobs) : jobs;
+  const groupKey = perScale ? job => `${job.configIndex}:x${job.scale}` : job => job.file;
+  // 按倍数分组布局与原版本一致：线程数为 (配置, 倍数) 分组数，不受CPU核心数限制
+  const poolSize = perScale && !concurrency ? new Set(jobs.map(groupKey)).size : getPoolSize(configs, poolJobs.length, concurrency);
+  const pool = options.pool || createProcessingPool(configs, poolSize, { nice, quiet });
+  const workerCount = Math.min(pool.size, poolJobs.length);
+  const modeNote = fanout ? `（扇出模式: ${poolJobs.length} 个源文件）` : perScale ? '（按倍数分组）' : '';
+  logger.log(`🧵 全局线程池: ${workerCount} 个Worker线程（libvips 单个操作并发 ${pool.vipsThreads}），共 ${jobs.length} 个任务${modeNote}`);
+  
+  const memoryBefore = getMemoryUsage();
+  logger.log(`💾 多线程处理前内存使用: ${memoryBefore.heapUsed}MB`);
+  
+  const results = new Array(jobs.length);
+  try {
+    const poolResults = await pool.run(poolJobs, {
+      // 同一源文件的任务（不同倍数、不同配置）优先分配给同一线程；按倍数分组布局下同一 (配置, 倍数) 的任务分配给同一线程
+      groupKey,
+      signal,
+      ...getJobFailureHandlers(configs, fanout),
+      onResult: (result, poolJob, workerId) => {
+        if (fanout) {
+          poolJob.tasks.forEach((task, taskIndex) => logJobResult(result[taskIndex], jobs[task.index], workerId, configs, globalProgress));
+        } else {
+          logJobResult(result, poolJob, workerId, configs, globalProgress);
+        }
+      }
+    });
+    if (fanout) {
+      poolJobs.forEach((poolJob, poolIndex) => poolJob.tasks.forEach((task, taskIndex) => {
+        results[task.index] = poolResults[poolIndex][taskIndex];
+      }));
+    } else {
+      poolResults.forEach((result, index) => {
+        results[index] = result;
+      });
+    }
+  } finally {
+    if (!options.pool) {
+      await pool.close();
+    }
+  }
+  
+  const memoryAfter = getMemoryUsage();
+  const totalGeneratedFiles = results.reduce((sum, result) => sum + result.generatedFiles, 0);
+  logger.log(`💾 多线程处理后内存使用: ${memoryAfter.heapUsed}MB`);
+  logger.log(`📊 处理统计: ${workerCount} 个Worker线程处理 ${jobs.length} 个任务 → ${totalGeneratedFiles} 个输出文件`);
+  
+  // 处理完成后进行内存清理
+  if (memoryAfter.heapUsed > 400) {
+    forceGarbageCollection(400);
+  }
+  
+  return results;
+}
+
+// 处理单个配置的图片文件
+// plan 可选，为主线程生成的处理计划（见 planIncrementalBuild）：
+// 指定每个倍数实际需要处理的文件及预先解析好的输出路径，返回所有 (文件, 倍数) 的处理结果
+async function processImage(imageFiles, outputDir, config, globalProgress = null, plan = null, options = {}) {
+  const configName = config.name || '未命名配置';
+  const jobConfig = { ...config, outputDir };
+  const jobs = createConfigJobs({ config: jobConfig, files: imageFiles, plan }, 0);
+  const formatSpecs = normalizeFormats(config);
+  
+  logger.log(`🚀 [${configName}] 开始多线程处理 ${imageFiles.length} 个图片文件`);
+  logger.log(`📊 [${configName}] 总输出文件数: ${jobs.length * formatSpecs.length} (${jobs.length} 个任务 × ${formatSpecs.length} 格式: ${formatSpecs.map(spec => spec.format).join('/')})`);
+  
+  return runProcessingJobs([jobConfig], jobs, { ...options, globalProgress });
+}
+
+// 转换为 "/" 分隔的相对路径，用作缓存清单和输出路径的键
+function toPosixPath(filePath) {
+  return filePath.split(path.sep).join('/');
+}
+
+// 参与输出配置哈希的单文件配置（构建和图片服务共用，两者的哈希才能一致）：
+// 侧车文件中的单图裁剪位置和叠加层图片内容参与哈希，修改后会触发重新生成；getOverlaysKey 可传入带缓存的 getOverlaysCacheKey
+function getFileHashConfig(file, config, getOverlaysKey = getOverlaysCacheKey) {
+  return {
+    ...config,
+    cropPosition: getFileCropPosition(file, config),
+    ...(config.overlays ? { overlays: getOverlaysKey(config.overlays) } : {})
+  };
+}
+
+// 解析配置的所有输出路径：按需计算源文件哈希，匹配单图规则，并渲染文件名模板
+async function resolveConfigOutputs(imageFiles, config) {
+  const { inputDir, outputDir, scales } = config;
+  const configName = config.name || '未命名配置';
+  const cacheEnabled = config.cache !== false;
+  const template = getFilenameTemplate(config);
+  const needsHash = cacheEnabled || templateUsesToken(template, 'hash8');
+  const templateUsesSize = templateUsesToken(template, 'width') || templateUsesToken(template, 'height');
+  const manifest = cacheEnabled ? loadManifest(outputDir, configName) : { sources: {} };
+  // 叠加层图片内容哈希：配置和各规则的叠加层列表分别只计算一次
+  const overlayKeys = new Map();
+  const getOverlays = (overlays) => {
+    if (!overlayKeys.has(overlays)) {
+      overlayKeys.set(overlays, getOverlaysCacheKey(overlays));
+    }
+    return overlayKeys.get(overlays);
+  };
+  
+  const files = new Map(); // 文件 → { sourceKey, source, rule, outputs: Map(倍数 → 输出列表), cropDebug }
+  for (const file of imageFiles) {
+    const sourceKey = toPosixPath(path.relative(inputDir, file));
+    const source = needsHash ? hashSourceFile(file, manifest.sources[sourceKey]) : {};
+    // 规则的覆盖参数直接参与输出配置哈希，只有匹配规则变化的文件会重新生成
+    const { rule, config: ruleConfig } = await resolveFileRule(config, file, sourceKey);
+    let metadata = ruleConfig.keepOriginalSize && templateUsesSize ? await sharp(file).metadata() : {};
+    if (shouldAutoOrient(metadata, ruleConfig)) {
+      metadata = getOrientedMetadata(metadata);
+    }
+    const templateSource = { hash: source.hash, width: metadata.width, height: metadata.height };
+    
+    const fileConfig = getFileHashConfig(file, ruleConfig, getOverlays);
+    
+    const outputs = new Map();
+    for (const scale of scales) {
+      outputs.set(scale, normalizeFormats(ruleConfig).map(formatSpec => ({
+        key: toPosixPath(getOutputRelativePath(file, scale, formatSpec, ruleConfig, templateSource)),
+        scale,
+        format: formatSpec.format,
+        configHash: hashOutputConfig(fileConfig, scale, formatSpec)
+      })));
+    }
+    // 裁剪框调试图的相对路径（不生成时为 null）
+    const cropDebug = needsCropDebug(ruleConfig) ? toPosixPath(path.relative(outputDir, getCropDebugPath(file, outputDir, ruleConfig))) : null;
+    files.set(file, { sourceKey, source, rule, outputs, cropDebug });
+  }
+  
+  return { config, cacheEnabled, manifest, files };
+}
+
+// 输出冲突处理策略
+const CONFLICT_POLICIES = ['error', 'suffix', 'overwrite'];
+
+// 在启动Worker之前检测输出文件名冲突（含多个配置共享输出目录的情况），按各配置的 onConflict 策略处理
+// 文件按路径排序依次登记，先登记者保留原文件名
+function resolveOutputConflicts(resolvedConfigs) {
+  const owners = new Map(); // 输出绝对路径 → 占用者描述
+  const conflicts = [];
+  
+  for (const resolved of resolvedConfigs) {
+    const { config } = resolved;
+    const configName = config.name || '未命名配置';
+    const policy = config.onConflict || 'error';
+    if (!CONFLICT_POLICIES.includes(policy)) {
+      throw new Error(`配置 "${configName}" 的 onConflict 无效: ${policy}（可选: ${CONFLICT_POLICIES.join(', ')}）`);
+    }
+    
+    const toAbsolute = (key) => path.resolve(config.outputDir, key);
+    
+    for (const [file, entry] of resolved.files) {
+      const fileOutputs = [...entry.outputs.values()].flat();
+      
+      // 同一源文件的输出互相冲突，说明模板缺少区分倍数或格式的变量，无法自动处理
+      if (new Set(fileOutputs.map(output => output.key)).size !== fileOutputs.length) {
+        throw new Error(`配置 "${configName}" 的文件名模板会让 ${entry.sourceKey} 的不同倍数或格式输出到同一路径，请在模板中加入 {scale} 或 {format}`);
+      }
+      
+      const conflicted = fileOutputs.find(output => owners.has(toAbsolute(output.key)));
+      if (conflicted) {
+        const owner = owners.get(toAbsolute(conflicted.key));
+        if (policy === 'error') {
+          conflicts.push(`[${configName}] ${entry.sourceKey} → ${conflicted.key}（已被 ${owner} 占用）`);
+        } else if (policy === 'suffix') {
+          let index = 1;
+          while (fileOutputs.some(output => owners.has(toAbsolute(appendOutputSuffix(output.key, index))))) {
+            index++;
+          }
+          fileOutputs.forEach(output => {
+            output.key = appendOutputSuffix(output.key, index);
+          });
+          entry.outputSuffix = index;
+          logger.log(`🔀 [${configName}] ${entry.sourceKey} 与 ${owner} 输出文件名冲突，已追加后缀 -${index}`);
+        } else {
+          logger.warn(`⚠️  [${configName}] ${entry.sourceKey} 将覆盖 ${owner} 的输出: ${conflicted.key}`);
+        }
+      }
+      
+      fileOutputs.forEach(output => owners.set(toAbsolute(output.key), `[${configName}] ${entry.sourceKey}`));
+    }
+  }
+  
+  if (conflicts.length > 0) {
+    const details = conflicts.slice(0, 20).map(conflict => `   ${conflict}`).join('\n');
+    const more = conflicts.length > 20 ? `\n   ...以及另外 ${conflicts.length - 20} 处` : '';
+    throw new Error(`检测到 ${conflicts.length} 处输出文件名冲突:\n${details}${more}\n   可在 filenameTemplate 中加入 {ext} 或 {hash8}，或设置 onConflict 为 "suffix" / "overwrite"`);
+  }
+}
+
+// 增量构建计划：对比缓存清单，找出每个倍数下需要重新处理的文件
+function planIncrementalBuild(resolved, force = false) {
+  const { config, cacheEnabled, manifest, files } = resolved;
+  const { outputDir, scales } = config;
+  
+  const scaleFileMap = new Map(scales.map(scale => [scale, []]));
+  const sources = {};
+  let skippedUnits = 0;
+  // 占位数据由第一个倍数的任务生成：缓存清单中没有记录或生成参数已变化时重新处理第一个倍数
+  const placeholderOptions = getPlaceholderOptions(config);
+  const placeholderKey = placeholderOptions ? hashPlaceholderOptions(placeholderOptions) : null;
+  // 第一个倍数的输出已是最新、但裁剪框调试图缺失或已过期的文件（单独生成调试图，见 writeCropDebugImages）
+  const cropDebugFiles = [];
+  
+  for (const [file, { sourceKey, source, outputs, cropDebug }] of files) {
+    const previous = manifest.sources[sourceKey];
+    const entry = { ...source, outputs: {} };
+    
+    for (const scale of scales) {
+      const expected = outputs.get(scale);
+      
+      // 源文件哈希、输出配置哈希一致且输出文件仍存在时跳过
+      const fresh = cacheEnabled && !force && previous && previous.hash === source.hash &&
+        expected.every(output => {
+          const recorded = previous.outputs[output.key];
+          return recorded && recorded.configHash === output.configHash &&
+            fs.existsSync(path.join(outputDir, output.key));
+        }) &&
+        (!placeholderKey || scale !== scales[0] || (previous.placeholder && previous.placeholder.key === placeholderKey));
+      
+      if (fresh) {
+        for (const output of expected) {
+          entry.outputs[output.key] = previous.outputs[output.key];
+        }
+        if (placeholderKey && scale === scales[0]) {
+          entry.placeholder = previous.placeholder;
+        }
+        // 调试图按生成时第一个倍数的输出配置哈希判断是否过期（裁剪参数变化时该倍数会重新生成）
+        if (cropDebug && scale === scales[0]) {
+          const recorded = previous.cropDebug;
+          if (recorded && recorded.key === cropDebug && recorded.configHash === expected[0].configHash &&
+            fs.existsSync(path.join(outputDir, cropDebug))) {
+            entry.cropDebug = recorded;
+          } else {
+            cropDebugFiles.push(file);
+          }
+        }
+        skippedUnits++;
+      } else {
+        scaleFileMap.get(scale).push(file);
+      }
+    }
+    
+    sources[sourceKey] = entry;
+  }
+  
+  const pendingUnits = scales.reduce((sum, scale) => sum + scaleFileMap.get(scale).length, 0);
+  return { ...resolved, sources, scaleFileMap, skippedUnits, pendingUnits, placeholderKey, cropDebugFiles };
+}
+
+// 找出缓存清单中记录、但已不属于任何当前源文件预期输出且仍存在的旧输出
+function findStaleOutputs(plan) {
+  if (!plan.cacheEnabled) {
+    return [];
+  }
+  
+  const expectedKeys = new Set();
+  for (const { outputs } of plan.files.values()) {
+    for (const expected of outputs.values()) {
+      expected.forEach(output => expectedKeys.add(output.key));
+    }
+  }
+  
+  const staleKeys = new Set();
+  for (const previous of Object.values(plan.manifest.sources)) {
+    for (const key of Object.keys(previous.outputs || {})) {
+      if (!expectedKeys.has(key) && fs.existsSync(path.join(plan.config.outputDir, key))) {
+        staleKeys.add(key);
+      }
+    }
+  }
+  return [...staleKeys];
+}
+
+// 根据处理结果更新缓存清单，并清理源文件已删除或不再需要的旧输出
+function commitIncrementalBuild(plan, results, config) {
+  if (!plan.cacheEnabled) {
+    return;
+  }
+  
+  const { outputDir } = config;
+  const configName = config.name || '未命名配置';
+  
+  for (const result of results) {
+    const { sourceKey, outputs, cropDebug } = plan.files.get(result.file);
+    const entry = plan.sources[sourceKey];
+    const expected = outputs.get(result.scale) || [];
+    const written = new Map((result.outputs || []).map(output => [toPosixPath(path.relative(outputDir, output.path)), output]));
+    if (result.placeholder) {
+      entry.placeholder = { key: plan.placeholderKey, ...result.placeholder };
+    }
+    if (cropDebug && result.success && result.scale === config.scales[0]) {
+      entry.cropDebug = { key: cropDebug, configHash: expected[0].configHash };
+    }
+    
+    for (const output of expected) {
+      if (written.has(output.key)) {
+        // 同时记录输出尺寸、大小、内容哈希和实际品质，供响应式清单和运行报告描述缓存命中的输出
+        const { width, height, bytes, hash, quality, maxBytes, overBudget, ssim, minSsim, belowSsim, frames } = written.get(output.key);
+        entry.outputs[output.key] = { scale: output.scale, format: output.format, configHash: output.configHash, width, height, bytes, hash, quality, maxBytes, overBudget, ssim, minSsim, belowSsim, frames };
+      } else if (fs.existsSync(path.join(outputDir, output.key))) {
+        // 生成失败但旧文件仍在：保留记录以便后续清理，配置哈希置空保证下次重新生成
+        entry.outputs[output.key] = { scale: output.scale, format: output.format, configHash: null };
+      }
+    }
+  }
+  
+  // 清理不再属于任何当前源文件预期输出的旧文件
+  let prunedFiles = 0;
+  for (const key of findStaleOutputs(plan)) {
+    const outputPath = path.join(outputDir, key);
+    fs.unlinkSync(outputPath);
+    removeEmptyDirs(path.dirname(outputPath), outputDir);
+    prunedFiles++;
+  }
+  if (prunedFiles > 0) {
+    logger.log(`🗑️  [${configName}] 已清理 ${prunedFiles} 个过期输出文件`);
+  }
+  
+  // 清理关闭 cropDebug 或源文件已删除后留下的调试图
+  const expectedDebugKeys = new Set([...plan.files.values()].map(fileInfo => fileInfo.cropDebug).filter(Boolean));
+  let prunedDebugFiles = 0;
+  for (const previous of Object.values(plan.manifest.sources)) {
+    const debugKey = previous.cropDebug && previous.cropDebug.key;
+    if (debugKey && !expectedDebugKeys.has(debugKey) && fs.existsSync(path.join(outputDir, debugKey))) {
+      const debugPath = path.join(outputDir, debugKey);
+      fs.unlinkSync(debugPath);
+      removeEmptyDirs(path.dirname(debugPath), outputDir);
+      prunedDebugFiles++;
+    }
+  }
+  if (prunedDebugFiles > 0) {
+    logger.log(`🗑️  [${configName}] 已清理 ${prunedDebugFiles} 张裁剪框调试图`);
+  }
+  
+  saveManifest(outputDir, configName, { sources: plan.sources });
+}
+
+// 为第一个倍数未重新处理、但裁剪框调试图缺失或已过期的文件单独生成调试图，并记录到缓存清单
+// changedFiles 存在时只处理其中的文件（监听模式）
+async function writeCropDebugImages({ config, plan }, changedFiles = null) {
+  const configName = config.name || '未命名配置';
+  let written = 0;
+  for (const file of plan.cropDebugFiles) {
+    if (changedFiles && !changedFiles.has(path.resolve(file))) {
+      continue;
+    }
+    const { sourceKey, rule, outputs, cropDebug } = plan.files.get(file);
+    try {
+      await renderCropDebug(file, config.outputDir, applyRule(config, rule && rule.index));
+      plan.sources[sourceKey].cropDebug = { key: cropDebug, configHash: outputs.get(config.scales[0])[0].configHash };
+      written++;
+    } catch (error) {
+      logger.warn(`⚠️  [${configName}] 生成裁剪框调试图失败 ${path.basename(file)}:`, error.message);
+    }
+  }
+  if (written > 0) {
+    logger.log(`🔍 [${configName}] 已生成 ${written} 张裁剪框调试图`);
+  }
+}
+
+// 读取已存在的输出文件的尺寸、大小和内容哈希（未启用缓存或旧版缓存清单中没有记录时使用）
+async function readOutputMetadata(outputPath) {
+  const metadata = await sharp(outputPath).metadata();
+  return { width: metadata.width, height: metadata.height, bytes: fs.statSync(outputPath).size, hash: hashFile(outputPath) };
+}
+
+// 收集配置当前的所有输出: Map(源文件相对路径 → [{ scale, format, path, width, height, bytes, hash }])，path 为相对输出目录的路径
+// 输出信息依次取自本次处理结果、缓存清单记录和输出文件本身；处理失败或不存在的输出不列入
+async function collectCurrentOutputs(entry, results) {
+  const { config, plan } = entry;
+  const configName = config.name || '未命名配置';
+  
+  // 本次处理成功的输出，以及本次处理过的 (文件, 倍数)（其中未成功的输出即使旧文件仍在也不列入）
+  const processedOutputs = new Map();
+  const attemptedUnits = new Set();
+  for (const result of results) {
+    attemptedUnits.add(`${result.file}:${result.scale}`);
+    for (const output of result.outputs || []) {
+      processedOutputs.set(toPosixPath(path.relative(config.outputDir, output.path)), output);
+    }
+  }
+  
+  const images = new Map();
+  for (const [file, { sourceKey, outputs }] of plan.files) {
+    const cacheEntry = plan.cacheEnabled ? plan.sources[sourceKey] : null;
+    const imageOutputs = [];
+    for (const output of [...outputs.values()].flat()) {
+      let info = processedOutputs.get(output.key) || null;
+      if (!info && !attemptedUnits.has(`${file}:${output.scale}`)) {
+        if (cacheEntry) {
+          // 没有记录或配置哈希不一致（生成失败或配置已变化）的旧文件不属于当前配置
+          const record = cacheEntry.outputs[output.key];
+          if (!record || record.configHash !== output.configHash) {
+            continue;
+          }
+          info = record.hash ? record : null;
+        }
+        const outputPath = path.join(config.outputDir, output.key);
+        if (!info && fs.existsSync(outputPath)) {
+          try {
+            info = await readOutputMetadata(outputPath);
+          } catch (error) {
+            logger.warn(`⚠️  [${configName}] 读取输出文件失败，已跳过: ${outputPath}`, error.message);
+          }
+        }
+      }
+      if (info) {
+        imageOutputs.push({ scale: output.scale, format: output.format, path: output.key, width: info.width, height: info.height, bytes: info.bytes, hash: info.hash });
+      }
+    }
+    images.set(sourceKey, imageOutputs);
+  }
+  return images;
+}
+
+// 登记本次运行中配置写入输出目录根部的附加文件（响应式清单、图集、占位数据），与其它配置已登记的文件冲突时返回冲突的配置名称
+// claimedPaths 为 Map(文件绝对路径 → 配置名称)，用于检测多个配置共享输出目录时的冲突
+function claimConfigFiles(claimedPaths, files, configName) {
+  const conflict = files.find(file => claimedPaths.has(file));
+  if (conflict) {
+    return { file: conflict, owner: claimedPaths.get(conflict) };
+  }
+  files.forEach(file => claimedPaths.set(file, configName));
+  return null;
+}
+
+// 生成配置的响应式图片清单及可选的HTML片段、模块
+async function writeResponsiveOutputs(entry, results, claimedPaths) {
+  const { config } = entry;
+  const configName = config.name || '未命名配置';
+  const options = getResponsiveOptions(config);
+  if (!isResponsiveEnabled(options)) {
+    return;
+  }
+  
+  const files = getResponsiveFiles(config.outputDir, options).map(file => path.resolve(file.path));
+  const conflict = claimConfigFiles(claimedPaths, files, configName);
+  if (conflict) {
+    logger.warn(`⚠️  [${configName}] 响应式清单文件与配置 "${conflict.owner}" 冲突，已跳过: ${conflict.file}（可设置 responsive.fileName）`);
+    return;
+  }
+  
+  const images = await collectCurrentOutputs(entry, results);
+  const manifest = buildResponsiveManifest(configName, images, options);
+  for (const filePath of writeResponsiveFiles(config.outputDir, manifest, options)) {
+    logger.log(`🧾 [${configName}] 已更新响应式清单: ${filePath}`);
+  }
+}
+
+// 生成配置的图集：每个源文件在各倍数下取一个输出（优先 PNG，否则为 formats 中的第一个格式）打包，并清理不再需要的旧图集文件
+async function writeAtlasOutputs(entry, results, claimedPaths) {
+  const { config, plan } = entry;
+  const configName = config.name || '未命名配置';
+  const options = getAtlasOptions(config);
+  if (!options) {
+    return;
+  }
+  
+  const claimed = [`${options.fileName}.json`, `${options.fileName}.css`].map(name => path.resolve(config.outputDir, name));
+  const conflict = claimConfigFiles(claimedPaths, claimed, configName);
+  if (conflict) {
+    logger.warn(`⚠️  [${configName}] 图集文件与配置 "${conflict.owner}" 冲突，已跳过: ${conflict.file}（可设置 atlas.fileName）`);
+    return;
+  }
+  
+  const spritesByScale = new Map(config.scales.map(scale => [scale, []]));
+  for (const [sourceKey, outputs] of await collectCurrentOutputs(entry, results)) {
+    for (const scale of config.scales) {
+      const scaleOutputs = outputs.filter(output => output.scale === scale);
+      const output = scaleOutputs.find(item => item.format === 'png') || scaleOutputs[0];
+      if (output) {
+        spritesByScale.get(scale).push({ name: sourceKey, file: path.join(config.outputDir, output.path), hash: output.hash });
+      }
+    }
+  }
+  
+  let atlas;
+  try {
+    atlas = await writeAtlasFiles(config.outputDir, spritesByScale, options);
+  } catch (error) {
+    logger.warn(`⚠️  [${configName}] 图集生成失败:`, error.message);
+    return;
+  }
+  for (const { scale, names } of atlas.oversized) {
+    const more = names.length > 5 ? ` 等 ${names.length} 个` : '';
+    logger.warn(`⚠️  [${configName}] x${scale} 图集: ${names.slice(0, 5).join(', ')}${more} 超过图集最大尺寸 ${options.maxWidth}x${options.maxHeight}，未打包`);
+  }
+  for (const { scale, images } of atlas.updated) {
+    const sheets = images.length > 1 ? `${images[0]} 等 ${images.length} 张` : images[0];
+    logger.log(`🧩 [${configName}] 已更新 x${scale} 图集: ${sheets}`);
+  }
+  if (atlas.css) {
+    logger.log(`🧩 [${configName}] 已更新图集样式: ${atlas.css}`);
+  }
+  
+  // 清理张数减少或倍数移除后的旧图集（与图片输出同名的文件除外）
+  const current = new Set(atlas.files.map(filePath => path.resolve(filePath)));
+  const outputKeys = new Set([...plan.files.values()].flatMap(({ outputs }) => [...outputs.values()].flat().map(output => output.key)));
+  let prunedFiles = 0;
+  for (const fileName of fs.readdirSync(config.outputDir)) {
+    const filePath = path.join(config.outputDir, fileName);
+    if (isAtlasFileName(fileName, options) && !current.has(path.resolve(filePath)) && !outputKeys.has(fileName)) {
+      fs.unlinkSync(filePath);
+      prunedFiles++;
+    }
+  }
+  if (prunedFiles > 0) {
+    logger.log(`🗑️  [${configName}] 已清理 ${prunedFiles} 个旧图集文件`);
+  }
+}
+
+// 生成配置的占位数据侧车文件：源文件的占位数据取自本次处理结果或缓存清单，按该源文件每个当前输出的相对路径索引
+// 未启用缓存时，本次未处理的源文件沿用侧车文件中已有的记录（监听模式）
+async function writePlaceholderOutputs(entry, results, claimedPaths) {
+  const { config, plan } = entry;
+  const configName = config.name || '未命名配置';
+  const options = getPlaceholderOptions(config);
+  if (!options) {
+    return;
+  }
+  
+  const filePath = getPlaceholdersPath(config.outputDir, options);
+  const conflict = claimConfigFiles(claimedPaths, [path.resolve(filePath)], configName);
+  if (conflict) {
+    logger.warn(`⚠️  [${configName}] 占位数据文件与配置 "${conflict.owner}" 冲突，已跳过: ${conflict.file}（可设置 placeholders.fileName）`);
+    return;
+  }
+  
+  const processed = new Map(results.filter(result => result.placeholder).map(result => [result.file, result.placeholder]));
+  const previous = plan.cacheEnabled ? {} : readPlaceholders(config.outputDir, options);
+  const current = await collectCurrentOutputs(entry, results);
+  const images = {};
+  for (const [file, { sourceKey }] of plan.files) {
+    const outputs = current.get(sourceKey) || [];
+    if (outputs.length === 0) {
+      continue;
+    }
+    let placeholder = processed.get(file) || null;
+    if (!placeholder && plan.cacheEnabled && plan.sources[sourceKey].placeholder) {
+      const { key, ...recorded } = plan.sources[sourceKey].placeholder;
+      placeholder = recorded;
+    }
+    if (!placeholder && previous[outputs[0].path] && previous[outputs[0].path].source === sourceKey) {
+      const { source, ...recorded } = previous[outputs[0].path];
+      placeholder = recorded;
+    }
+    if (placeholder) {
+      for (const output of outputs) {
+        images[output.path] = { source: sourceKey, ...placeholder };
+      }
+    }
+  }
+  
+  if (writePlaceholders(config.outputDir, configName, images, options)) {
+    logger.log(`🎨 [${configName}] 已更新占位数据: ${filePath}`);
+  }
+}
+
+// 打印配置的处理计划（--dry-run），不进行任何编码或文件写入
+function printBuildPlan({ config, fileCount, plan }) {
+  const configName = config.name || '未命名配置';
+  
+  if (!plan) {
+    logger.log(`⚠️  [${configName}] 没有找到图片文件`);
+    return;
+  }
+  
+  logger.log(`📝 [${configName}] 计划处理 ${fileCount} 个图片文件 → ${config.outputDir}`);
+  for (const scale of config.scales) {
+    for (const file of plan.scaleFileMap.get(scale)) {
+      const { sourceKey, rule, outputs } = plan.files.get(file);
+      const ruleNote = rule ? `（规则: ${rule.name}）` : '';
+      logger.log(`   x${scale}: ${sourceKey} → ${outputs.get(scale).map(output => output.key).join(', ')}${ruleNote}`);
+    }
+  }
+  if (plan.skippedUnits > 0) {
+    logger.log(`   ⏭️  跳过 ${plan.skippedUnits} 个未变化的处理单位`);
+  }
+  for (const key of findStaleOutputs(plan)) {
+    logger.log(`   🗑️  将清理: ${key}`);
+  }
+}
+
+// 打印配置中各单图规则匹配的文件数
+function logRuleMatches({ config, plan }) {
+  if (!config.rules || config.rules.length === 0) {
+    return;
+  }
+  const counts = new Map();
+  for (const { rule } of plan.files.values()) {
+    if (rule) {
+      counts.set(rule.name, (counts.get(rule.name) || 0) + 1);
+    }
+  }
+  const configName = config.name || '未命名配置';
+  const summary = [...counts].map(([name, count]) => `${name} ${count} 个文件`).join('，');
+  logger.log(`📐 [${configName}] 单图规则匹配: ${summary || '无'}`);
+}
+
+// 处理前准备单个配置：创建输出目录并打印增量计划，返回该配置的处理任务
+function prepareConfig(entry, configIndex) {
+  const { config, fileCount, plan } = entry;
+  const configName = config.name || '未命名配置';
+  
+  // 确保输出目录存在
+  ensureDir(config.outputDir);
+  
+  if (config.threadsPerScale !== undefined) {
+    logger.warn(`⚠️  配置 "${configName}" 的 threadsPerScale 已不再使用，线程数由全局线程池（maxWorkers / --concurrency）决定`);
+  }
+  
+  if (!plan || fileCount === 0) {
+    logger.log(`⚠️  配置 "${configName}" 没有找到图片文件`);
+    return [];
+  }
+  logger.log(`📁 配置 "${configName}" 找到 ${fileCount} 个图片文件`);
+  logRuleMatches(entry);
+  
+  if (plan.skippedUnits > 0) {
+    logger.log(`⏭️  [${configName}] 增量构建: 跳过 ${plan.skippedUnits} 个未变化的处理单位，待处理 ${plan.pendingUnits} 个`);
+  }
+  if (plan.pendingUnits === 0) {
+    logger.log(`✅ [${configName}] 所有输出均为最新，无需处理`);
+  }
+  
+  return createConfigJobs(entry, configIndex);
+}
+
+// 扫描所有配置的输入目录，解析输出路径、检测文件名冲突并生成增量构建计划
+// 返回 { entries: [{ config, fileCount, files, resolved, plan }], totalGlobalFiles, totalProcessingUnits }
+async function planBuild(configs, { force = false } = {}) {
+  let totalGlobalFiles = 0;
+  let totalProcessingUnits = 0;
+  const entries = [];
+  
+  // 预先计算所有配置的文件数量，并解析所有输出路径
+  for (const config of configs) {
+    let imageFiles;
+    try {
+      imageFiles = getImageFiles(config.inputDir, config.supportedFormats, config);
+    } catch (error) {
+      logger.warn(`⚠️  配置 "${config.name || '未命名配置'}" 输入目录访问失败:`, error.message);
+      entries.push({ config, fileCount: 0, files: [], resolved: null, plan: null });
+      continue;
+    }
+    
+    const resolved = await resolveConfigOutputs(imageFiles, config);
+    entries.push({ config, fileCount: imageFiles.length, files: imageFiles, resolved, plan: null });
+    totalGlobalFiles += imageFiles.length;
+  }
+  
+  // 启动任何Worker之前检测输出文件名冲突
+  resolveOutputConflicts(entries.filter(entry => entry.resolved).map(entry => entry.resolved));
+  
+  // 生成增量构建计划，每个倍数下需要处理的文件数作为处理单位
+  for (const entry of entries) {
+    if (entry.resolved) {
+      entry.plan = planIncrementalBuild(entry.resolved, force);
+      totalProcessingUnits += entry.plan.pendingUnits;
+    }
+  }
+  
+  logger.log(`📊 全局统计: 共 ${configs.length} 个配置，总计 ${totalGlobalFiles} 个图片文件，${totalProcessingUnits} 个处理单位`);
+  return { entries, totalGlobalFiles, totalProcessingUnits };
+}
+
+// 执行构建计划：所有配置的 (文件, 配置, 倍数) 任务进入同一个全局线程池，完成后更新各配置的缓存清单和响应式清单
+// context: { pool, changedFiles, globalProgress, signal }，changedFiles 存在时只处理其中的文件（绝对路径，监听模式）
+async function executeBuild(entries, options, { pool = null, changedFiles = null, globalProgress = null, signal = null } = {}) {
+  const jobs = entries
+    .flatMap((entry, configIndex) => prepareConfig(entry, configIndex))
+    .filter(job => !changedFiles || changedFiles.has(path.resolve(job.file)));
+  if (globalProgress) {
+    globalProgress.total = jobs.length;
+  }
+  const jobResults = await runProcessingJobs(entries.map(entry => entry.config), jobs, {
+    concurrency: options.concurrency,
+    nice: options.nice,
+    pipeline: options.pipeline,
+    quiet: options.quiet,
+    pool,
+    globalProgress,
+    signal
+  });
+  
+  // 按配置归集处理结果并更新各自的缓存清单
+  entries.forEach(entry => {
+    entry.results = [];
+  });
+  jobs.forEach((job, index) => entries[job.configIndex].results.push(jobResults[index]));
+  const claimedPaths = new Map();
+  for (const entry of entries) {
+    if (entry.plan) {
+      await writeCropDebugImages(entry, changedFiles);
+      commitIncrementalBuild(entry.plan, entry.results, entry.config);
+      await writeResponsiveOutputs(entry, entry.results, claimedPaths);
+      await writeAtlasOutputs(entry, entry.results, claimedPaths);
+      await writePlaceholderOutputs(entry, entry.results, claimedPaths);
+    }
+    entry.badInputs = handleBadInputs(entry);
+  }
+  return entries.flatMap(entry => entry.results);
+}
+
+// 归集配置中无法处理的源文件（解码失败、超过像素上限，或重试后仍超时 / 导致Worker崩溃），
+// 设置了 quarantineDir 时记录到隔离清单或移入隔离目录，返回 [{ file, error, movedTo }]
+function handleBadInputs({ config, results }) {
+  const configName = config.name || '未命名配置';
+  const badInputs = new Map();
+  const failedFiles = new Set();
+  for (const result of results) {
+    if (result.badInput && !badInputs.has(result.file)) {
+      badInputs.set(result.file, result.error);
+    }
+    if (!result.success) {
+      failedFiles.add(result.file);
+    }
+  }
+  const listed = [...badInputs].map(([file, error]) => ({ file, error }));
+  if (!config.quarantineDir) {
+    return listed;
+  }
+  
+  // 本次全部成功的源文件从隔离清单中移除
+  const recovered = [...new Set(results.map(result => result.file))].filter(file => !failedFiles.has(file));
+  try {
+    const quarantined = quarantineInputs(config, badInputs, recovered);
+    if (quarantined.length > 0) {
+      const action = config.quarantineMode === 'move' ? '移入隔离目录' : '记录到隔离清单';
+      logger.warn(`🚫 [${configName}] ${quarantined.length} 个无法处理的源文件已${action}: ${config.quarantineDir}`);
+    }
+    return quarantined;
+  } catch (error) {
+    logger.warn(`⚠️  [${configName}] 隔离源文件失败:`, error.message);
+    return listed;
+  }
+}
+
+// 退出码：0 全部成功，1 致命错误，2 部分文件处理失败
+const EXIT_SUCCESS = 0;
+const EXIT_FATAL = 1;
+const EXIT_PARTIAL_FAILURE = 2;
+
+// 按命令行参数写出JSON / JUnit运行报告，写入失败只警告，不影响退出码
+function writeRunReports(options, entries, startTime, exitCode) {
+  if (!options.reportPath && !options.junitPath) {
+    return;
+  }
+  const report = createRunReport(entries, { startedAt: startTime, finishedAt: Date.now(), exitCode });
+  const writers = [
+    [options.reportPath, writeJsonReport, 'JSON'],
+    [options.junitPath, writeJUnitReport, 'JUnit']
+  ];
+  for (const [reportPath, write, label] of writers) {
+    if (!reportPath) {
+      continue;
+    }
+    try {
+      write(report, reportPath);
+      logger.log(`📄 ${label} 运行报告已写入: ${reportPath}`);
+    } catch (error) {
+      logger.warn(`⚠️  ${label} 运行报告写入失败: ${reportPath}`, error.message);
+    }
+  }
+}
+
+// validate 子命令：只加载并校验配置文件，不处理任何图片
+function validateCommand(options) {
+  try {
+    const configs = applyCliOptions(loadConfig(options.configPath), options);
+    
+    // 检查文件名模板等需要组合多个配置项才能确定的设置
+    for (const config of configs) {
+      const configName = config.name || '未命名配置';
+      try {
+        const samplePath = path.join(config.inputDir, 'sample.png');
+        for (const formatSpec of normalizeFormats(config)) {
+          getOutputRelativePath(samplePath, config.scales[0], formatSpec, config, { hash: '0'.repeat(64), width: 1, height: 1 });
+        }
+      } catch (error) {
+        throw new Error(`配置 "${configName}" 无效: ${error.message}`);
+      }
     }
+    
+    logger.log(`✅ 配置有效: 共 ${configs.length} 个配置（${configs.map(config => config.name || '未命名配置').join(', ')}）`);
+    return EXIT_SUCCESS;
+  } catch (error) {
+    logger.error(`❌ ${error.message}`);
+    return EXIT_FATAL;
   }
-  return [defaultConfig];
 }
 
-// 确保目录存在
-function ensureDir(dirPath) {
-  if (!fs.existsSync(dirPath)) {
-    fs.mkdirSync(dirPath, { recursive: true });
-  }
+// 执行 fn 期间屏蔽主线程的日志输出（监听模式下只显示状态行）
+function runQuietly(fn) {
+  return runWithLogger(silentLogger, fn);
 }
 
-// 获取目录中的所有图片文件
-function getImageFiles(inputDir, supportedFormats) {
-  if (!fs.existsSync(inputDir)) {
-    throw new Error(`输入目录不存在: ${inputDir}`);
-  }
-
-  const files = fs.readdirSync(inputDir);
-  return files.filter(file => {
-    const ext = path.extname(file).toLowerCase();
-    return supportedFormats.includes(ext);
-  }).map(file => path.join(inputDir, file));
+// 获取计划中某个源文件的所有输出路径
+function getPlannedOutputKeys({ outputs }) {
+  return [...outputs.values()].flat().map(output => output.key);
 }
 
-// 将文件数组分组，用于多线程处理
-function chunkArray(array, chunkSize) {
-  const chunks = [];
-  for (let i = 0; i < array.length; i += chunkSize) {
-    chunks.push(array.slice(i, i + chunkSize));
-  }
-  return chunks;
+// 监听模式下清理已删除源文件的输出，返回已删除的源文件数
+// 启用缓存的配置已在更新缓存清单时清理，未启用缓存时按上一次构建计划中的输出路径删除
+function pruneRemovedSources(previousEntries, entries) {
+  const removedFiles = new Set();
+  previousEntries.forEach((previous, index) => {
+    const entry = entries[index];
+    if (!previous.plan || !entry.plan) {
+      return;
+    }
+    const expectedKeys = new Set([...entry.plan.files.values()].flatMap(getPlannedOutputKeys));
+    for (const [file, fileInfo] of previous.plan.files) {
+      if (entry.plan.files.has(file)) {
+        continue;
+      }
+      removedFiles.add(file);
+      if (entry.plan.cacheEnabled) {
+        continue;
+      }
+      for (const key of getPlannedOutputKeys(fileInfo)) {
+        const outputPath = path.join(entry.config.outputDir, key);
+        if (!expectedKeys.has(key) && fs.existsSync(outputPath)) {
+          fs.unlinkSync(outputPath);
+          removeEmptyDirs(path.dirname(outputPath), entry.config.outputDir);
+        }
+      }
+    }
+  });
+  return removedFiles.size;
 }
 
-// 获取最优的工作线程数
-function getOptimalWorkerCount(maxWorkers, fileCount) {
-  const cpuCount = os.cpus().length;
-  // 根据CPU核心数、配置的最大线程数和文件数量确定最优线程数
-  const optimalCount = Math.min(maxWorkers, cpuCount, fileCount);
-  console.log(`🔧 CPU核心数: ${cpuCount}, 配置最大线程: ${maxWorkers}, 文件数: ${fileCount}, 使用线程数: ${optimalCount}`);
-  return optimalCount;
+// 当前时间 HH:MM:SS，用于状态行
+function formatClock(date = new Date()) {
+  return date.toTimeString().slice(0, 8);
 }
 
-// Worker线程处理函数
-if (!isMainThread) {
-  // 在Worker线程中执行
-  const { files, outputDir, config, workerId, scaleName } = workerData;
+// 监听模式：线程池常驻，输入目录中文件新增、修改或删除后只处理受影响的 (文件, 配置, 倍数) 任务
+// 收到 SIGINT / SIGTERM 后停止监听并返回退出码
+async function watchCommand(configs, options) {
+  const status = createStatusLine();
+  const supportedFormats = new Set(configs.flatMap(config => config.supportedFormats.map(ext => ext.toLowerCase())));
+  // 常驻线程池大小与任务数无关：--concurrency 优先，否则为 maxWorkers 最大值与CPU核心数中的较小值
+  const maxWorkers = Math.max(...configs.map(config => config.maxWorkers || defaultConfig.maxWorkers));
+  const poolSize = options.concurrency || Math.min(maxWorkers, os.cpus().length);
+  const pool = createProcessingPool(configs, poolSize, { nice: options.nice, quiet: true });
+  let previousEntries = null;
   
-  (async () => {
+  // 执行一次构建并输出一行汇总状态，changedFiles 为 null 时处理所有待处理的文件
+  async function build(changedFiles, label) {
+    const startTime = Date.now();
+    const globalProgress = {
+      total: 0,
+      processed: 0,
+      onUpdate: progress => status.update(`⏳ ${label}: ${progress.processed}/${progress.total}`)
+    };
+    status.update(`⏳ ${label}...`);
+    
+    let entries;
+    let results;
     try {
-      const results = [];
-      const workerName = workerId ? `Worker-${workerId}` : 'Worker';
-      const scaleInfo = scaleName ? ` (${scaleName})` : '';
-      
-      console.log(`🔄 [${config.name || '未命名配置'}] ${workerName}${scaleInfo} 开始处理 ${files.length} 个图片文件`);
-      
-      // 为每个Worker线程创建独立的Sharp实例池
-      // 每个Worker使用唯一的实例标识，避免实例冲突
-      const sharpInstances = new Map();
-      
-      // 记录开始时间和内存
-      const startTime = Date.now();
-      const startMemory = getMemoryUsage();
-      
-      // 处理分配给该Worker的图片文件
-      for (let i = 0; i < files.length; i++) {
-        const inputPath = files[i];
-        const fileName = path.basename(inputPath);
-        
-        console.log(`📷 [${config.name || '未命名配置'}] ${workerName}${scaleInfo} 处理: ${fileName} (${i + 1}/${files.length})`);
-        
-        const result = await processImageSingleOptimized(inputPath, outputDir, config, sharpInstances);
-        results.push(result);
-        
-        // 每个图片处理完后暂停20ms，降低CPU占用
-        await new Promise(resolve => setTimeout(resolve, 20));
-        
-        // 定期内存检查（每5个文件检查一次，分组处理频率可以更高）
-        if ((i + 1) % 5 === 0) {
-          const currentMemory = getMemoryUsage();
-          if (currentMemory.heapUsed > 250) { // 分组Worker内存阈值设置更低
-            console.log(`🧹 [${config.name || '未命名配置'}] ${workerName}${scaleInfo} 内存清理: ${currentMemory.heapUsed}MB`);
-            if (global.gc) {
-              global.gc();
-            }
-          }
-        }
-      }
-      
-      // 清理所有Sharp实例
-      console.log(`🧹 [${config.name || '未命名配置'}] ${workerName}${scaleInfo} 清理Sharp实例: ${sharpInstances.size} 个`);
-      for (const [key, instance] of sharpInstances) {
-        if (instance && typeof instance.destroy === 'function') {
-          instance.destroy();
-        }
-      }
-      sharpInstances.clear();
-      
-      // Worker线程处理完所有文件后进行最终垃圾回收
-      if (global.gc) {
-        global.gc();
-      }
-      
-      // 统计处理结果
-      const endTime = Date.now();
-      const duration = ((endTime - startTime) / 1000).toFixed(2);
-      const endMemory = getMemoryUsage();
-      const totalGeneratedFiles = results.reduce((sum, result) => sum + result.generatedFiles, 0);
-      
-      console.log(`✅ [${config.name || '未命名配置'}] ${workerName}${scaleInfo} 完成: ${files.length} 图片 → ${totalGeneratedFiles} 文件，耗时 ${duration}s`);
-      console.log(`📊 [${config.name || '未命名配置'}] ${workerName}${scaleInfo} 内存: ${startMemory.heapUsed}MB → ${endMemory.heapUsed}MB`);
-      
-      parentPort.postMessage({ success: true, results });
+      ({ entries, results } = await runQuietly(async () => {
+        const plan = await planBuild(configs, { force: options.force && !previousEntries });
+        const buildResults = await executeBuild(plan.entries, options, { pool, changedFiles, globalProgress });
+        writeRunReports(options, plan.entries, startTime, buildResults.some(result => !result.success) ? EXIT_PARTIAL_FAILURE : EXIT_SUCCESS);
+        return { entries: plan.entries, results: buildResults };
+      }));
     } catch (error) {
-      const workerName = workerId ? `Worker-${workerId}` : 'Worker';
-      const scaleInfo = scaleName ? ` (${scaleName})` : '';
-      console.error(`❌ [${config.name || '未命名配置'}] ${workerName}${scaleInfo} 处理失败:`, error.message);
-      parentPort.postMessage({ success: false, error: error.message });
+      status.done(`[${formatClock()}] ❌ ${label}: ${error.message}`);
+      return;
     }
-  })();
-}
-
-// 计算裁剪区域
-function calculateCropArea(originalWidth, originalHeight, targetWidth, targetHeight, cropPosition) {
-  // 计算目标宽高比
-  const targetRatio = targetWidth / targetHeight;
-  const originalRatio = originalWidth / originalHeight;
+    
+    const removedSources = previousEntries ? pruneRemovedSources(previousEntries, entries) : 0;
+    previousEntries = entries;
+    
+    const failedResults = results.filter(result => !result.success);
+    const generatedFiles = results.reduce((sum, result) => sum + result.generatedFiles, 0);
+    const parts = [`${results.length} 个任务 → ${generatedFiles} 个输出`];
+    if (failedResults.length > 0) {
+      parts.push(`${failedResults.length} 个失败`);
+    }
+    if (removedSources > 0) {
+      parts.push(`清理 ${removedSources} 个已删除源文件的输出`);
+    }
+    parts.push(`耗时 ${((Date.now() - startTime) / 1000).toFixed(2)}s`);
+    status.done(`[${formatClock()}] ${failedResults.length > 0 ? '⚠️ ' : '✅'} ${label}: ${parts.join('，')}`);
+    failedResults.forEach(result => logger.error(`   ❌ x${result.scale}: ${result.file} - ${result.error}`));
+  }
   
-  let cropWidth, cropHeight, left, top;
+  // 变化的路径映射为受影响的源图片（侧车文件 <图片>.json 对应其图片），忽略无关文件
+  async function handleChange(paths) {
+    const changedFiles = new Set();
+    for (const filePath of paths) {
+      const imagePath = filePath.endsWith('.json') ? filePath.slice(0, -'.json'.length) : filePath;
+      // 已删除的路径可能是目录，同样触发一次构建以清理输出
+      if (supportedFormats.has(path.extname(imagePath).toLowerCase()) || !fs.existsSync(filePath)) {
+        changedFiles.add(imagePath);
+      }
+    }
+    if (changedFiles.size > 0) {
+      await build(changedFiles, `${changedFiles.size} 个文件变化`);
+      status.update('👀 监听中（Ctrl+C 退出）');
+    }
+  }
   
-  if (originalRatio > targetRatio) {
-    // 原图更宽，需要裁剪宽度
-    cropHeight = originalHeight;
-    cropWidth = Math.round(originalHeight * targetRatio);
-    left = Math.round((originalWidth - cropWidth) / 2); // 水平居中
-    top = 0;
-  } else {
-    // 原图更高，需要裁剪高度
-    cropWidth = originalWidth;
-    cropHeight = Math.round(originalWidth / targetRatio);
-    left = 0;
-    
-    // 根据裁剪位置计算垂直偏移
-    switch (cropPosition) {
-      case 'top':
-        top = 0;
-        break;
-      case 'bottom':
-        top = originalHeight - cropHeight;
-        break;
-      case 'center':
-      default:
-        top = Math.round((originalHeight - cropHeight) / 2);
-        break;
+  // 监听所有配置的输入目录（相同目录只监听一次），位于输入目录内的输出目录不触发变化
+  const targets = new Map();
+  for (const config of configs) {
+    const dir = path.resolve(config.inputDir);
+    if (!fs.existsSync(dir)) {
+      logger.warn(`⚠️  配置 "${config.name || '未命名配置'}" 输入目录不存在，无法监听: ${config.inputDir}`);
+      continue;
     }
+    targets.set(dir, { dir, recursive: Boolean(config.recursive) || (targets.get(dir) || {}).recursive });
+  }
+  if (targets.size === 0) {
+    await pool.close();
+    logger.error('❌ 没有可监听的输入目录');
+    return EXIT_FATAL;
   }
   
-  return {
-    left: Math.max(0, left),
-    top: Math.max(0, top),
-    width: Math.min(cropWidth, originalWidth),
-    height: Math.min(cropHeight, originalHeight)
-  };
-}
-
-// 处理单个图片文件（原版本，保留兼容性）
-async function processImageSingle(inputPath, outputDir, config) {
-  const { targetWidth, targetHeight, cropPosition, scales, quality } = config;
-  const fileName = path.parse(inputPath).name;
+  logger.log(`👀 监听模式: ${targets.size} 个输入目录，${poolSize} 个常驻Worker线程`);
+  await build(null, '初始构建');
   
-  let image = null;
+  const watcher = createInputWatcher([...targets.values()], {
+    onChange: handleChange,
+    ignoreDirs: configs.map(config => path.resolve(config.outputDir))
+  });
+  status.update('👀 监听中（Ctrl+C 退出）');
   
-  try {
-    // 获取原图信息
-    image = sharp(inputPath);
-    const metadata = await image.metadata();
-    
-    // 计算裁剪区域
-    const cropArea = calculateCropArea(
-      metadata.width, 
-      metadata.height, 
-      targetWidth, 
-      targetHeight, 
-      cropPosition
-    );
-    
-    // 处理每个倍数尺寸
-    for (const scale of scales) {
-      const scaledWidth = targetWidth * scale;
-      const scaledHeight = targetHeight * scale;
-      
-      // 生成输出文件名（目录已预创建）
-      const scaleDir = path.join(outputDir, `x${scale}`);
-      const outputFileName = `${fileName}.webp`;
-      const outputPath = path.join(scaleDir, outputFileName);
-      
-      // 为每个尺寸创建新的sharp实例，避免内存累积
-      const processor = sharp(inputPath)
-        .extract(cropArea)  // 先裁剪
-        .resize(scaledWidth, scaledHeight, {
-          fit: 'fill'  // 填充到目标尺寸
-        })
-        .webp({ quality });
-      
-      await processor.toFile(outputPath);
-      
-      // 显式销毁处理器实例
-      processor.destroy();
-      
-      console.log(`生成: ${outputPath}`);
-    }
-  } catch (error) {
-    console.error(`处理图片失败 ${path.basename(inputPath)}:`, error.message);
-  } finally {
-    // 清理资源
-    if (image) {
-      image.destroy();
+  return new Promise((resolve) => {
+    const stop = async () => {
+      process.removeListener('SIGINT', stop);
+      process.removeListener('SIGTERM', stop);
+      watcher.close();
+      await pool.close();
+      status.done('👋 已停止监听');
+      resolve(EXIT_SUCCESS);
+    };
+    process.on('SIGINT', stop);
+    process.on('SIGTERM', stop);
+  });
+}
+
+// 图片服务（serve 命令）默认参数
+const SERVE_DEFAULT_PORT = 3000;
+const SERVE_DEFAULT_HOST = '127.0.0.1';
+// 配置中 serve 的默认值：widths / qualities 为 w / q 参数额外允许的取值（目标宽度和配置品质始终允许），
+// cacheMaxSize 为服务缓存的总大小上限（MB）
+const SERVE_DEFAULTS = { widths: [], qualities: [], maxAge: 3600, cacheMaxSize: 256 };
+
+// 路由名称索引在该时间（毫秒）内复用，之后重新扫描源文件
+const SERVE_INDEX_TTL_MS = 2000;
+
+// 源文件的路由名称：相对路径去掉扩展名，构建时因输出文件名冲突追加了后缀的，加上相同的 -N
+function getServeName(entry) {
+  const name = entry.sourceKey.slice(0, entry.sourceKey.length - path.posix.extname(entry.sourceKey).length);
+  return entry.outputSuffix ? `${name}-${entry.outputSuffix}` : name;
+}
+
+// 路由名称索引：与构建相同地扫描源文件、解析输出路径并处理文件名冲突（resolveOutputConflicts）
+// 返回 Map(配置 → Map(路由名称 → 源文件列表))。onConflict 为 error 的配置按 overwrite 登记，同名的源文件由 findServeSource 拒绝
+async function buildServeNameIndex(configs) {
+  return runWithLogger(silentLogger, async () => {
+    const resolvedConfigs = [];
+    for (const config of configs) {
+      let imageFiles;
+      try {
+        imageFiles = getImageFiles(config.inputDir, config.supportedFormats, config);
+      } catch (error) {
+        imageFiles = [];
+      }
+      const resolved = await resolveConfigOutputs(imageFiles, config);
+      resolvedConfigs.push({ ...resolved, config: { ...config, onConflict: config.onConflict === 'suffix' ? 'suffix' : 'overwrite' } });
     }
+    resolveOutputConflicts(resolvedConfigs);
     
-    // 单实例复用模式下，减少GC调用频率
-    // forceGarbageCollection(400); // 已移除频繁GC调用
+    const index = new Map();
+    resolvedConfigs.forEach((resolved, configIndex) => {
+      const names = new Map();
+      for (const [file, entry] of resolved.files) {
+        const name = getServeName(entry);
+        if (!names.has(name)) {
+          names.set(name, []);
+        }
+        names.get(name).push({ file, sourceKey: entry.sourceKey });
+      }
+      index.set(configs[configIndex], names);
+    });
+    return index;
+  });
+}
+
+// 获取路由名称索引：过期后重新生成，生成期间的并发请求共用同一次扫描
+function getServeNameIndex(configs, state) {
+  if (!state.names || Date.now() - state.names.time >= SERVE_INDEX_TTL_MS) {
+    const names = { time: Date.now(), index: buildServeNameIndex(configs) };
+    names.index.catch(() => {
+      if (state.names === names) {
+        state.names = null;
+      }
+    });
+    state.names = names;
   }
+  return state.names.index;
 }
 
-// 单倍数处理版本：每个Worker线程只处理一个特定倍数
-async function processImageSingleOptimized(inputPath, outputDir, config, sharpInstances) {
-  const { targetWidth, targetHeight, cropPosition, scales, quality, keepOriginalSize = false } = config;
-  const fileName = path.parse(inputPath).name;
-  
-  // 现在每个Worker只处理一个倍数，scales数组应该只有一个元素
-  const scale = scales[0];
-  if (!scale) {
-    console.error(`处理图片失败 ${path.basename(inputPath)}: 未找到倍数配置`);
-    return { file: inputPath, success: false, error: '未找到倍数配置', generatedFiles: 0 };
+// 查找请求对应的源文件：路由名称与构建输出的文件名一致（含冲突后缀），对应多个源文件时拒绝请求
+function findServeSource(names, relativePath) {
+  const sources = names.get(relativePath) || [];
+  if (sources.length > 1) {
+    throw httpError(409, `请求路径对应多个源文件: ${sources.map(source => source.sourceKey).join(', ')}（可设置 onConflict 为 "suffix"，按构建输出的文件名 <名称>-<序号> 请求）`);
   }
-  
-  try {
-    // 读取图片数据到Buffer（一次性读取）
-    const imageBuffer = fs.readFileSync(inputPath);
-    
-    // 在保留原尺寸模式下跳过裁剪与缩放，仅压缩
-    let pipeline;
-    if (keepOriginalSize) {
-      pipeline = sharp(imageBuffer).webp({ quality });
-    } else {
-      // 获取图片元数据（使用临时实例，避免影响主实例状态）
-      const tempProcessor = sharp(imageBuffer);
-      const metadata = await tempProcessor.metadata();
-      tempProcessor.destroy(); // 立即销毁临时实例
-      
-      // 计算裁剪区域
-      const cropArea = calculateCropArea(
-        metadata.width, 
-        metadata.height, 
-        targetWidth, 
-        targetHeight, 
-        cropPosition
-      );
-      
-      // 处理单个倍数尺寸（按目标尺寸缩放）
-      const scaledWidth = targetWidth * scale;
-      const scaledHeight = targetHeight * scale;
-      pipeline = sharp(imageBuffer)
-        .extract(cropArea)
-        .resize(scaledWidth, scaledHeight, { fit: 'fill' })
-        .webp({ quality });
-    }
-    
-    // 生成输出文件名（目录已预创建）
-    const scaleDir = path.join(outputDir, `x${scale}`);
-    const outputFileName = `${fileName}.webp`;
-    const outputPath = path.join(scaleDir, outputFileName);
-    
-    try {
-      await pipeline.toFile(outputPath);
-      pipeline.destroy(); // 清理pipeline
-      
-      console.log(`生成: ${outputPath}${keepOriginalSize ? '（保留原尺寸）' : ''}`);
-      
-      // 每个图片处理完后暂停300ms，降低CPU占用
-      await new Promise(resolve => setTimeout(resolve, 300));
-      
-      return { file: inputPath, success: true, generatedFiles: 1 };
-      
-    } catch (scaleError) {
-      console.error(`处理尺寸 ${scale}x 失败:`, scaleError.message);
-      return { file: inputPath, success: false, error: scaleError.message, generatedFiles: 0 };
+  return sources[0] || null;
+}
+
+// 在缓存清单中查找与请求完全一致（源文件哈希、倍数、格式、配置哈希）且仍存在的构建输出
+function findFreshBuildOutput(config, sourceKey, sourceHash, scale, format, configHash) {
+  if (config.cache === false) {
+    return null;
+  }
+  const manifest = loadManifest(config.outputDir, config.name || '未命名配置');
+  const entry = manifest.sources[sourceKey];
+  if (!entry || entry.hash !== sourceHash) {
+    return null;
+  }
+  for (const [key, output] of Object.entries(entry.outputs || {})) {
+    if (output.scale === scale && output.format === format && output.configHash === configHash) {
+      const outputPath = path.join(config.outputDir, key);
+      if (fs.existsSync(outputPath)) {
+        return outputPath;
+      }
     }
-    
-  } catch (error) {
-    console.error(`处理图片失败 ${path.basename(inputPath)}:`, error.message);
-    return { file: inputPath, success: false, error: error.message, generatedFiles: 0 };
+  }
+  return null;
+}
+
+// 按需编码单个图片变体到服务缓存（输出先写临时文件再重命名，并发请求不会读到不完整的文件）
+async function encodeServeVariant(file, variantConfig, cachePath) {
+  const source = await loadSourceImage(file);
+  const result = await renderSourceScale(file, source, path.dirname(cachePath), variantConfig, [path.basename(cachePath)], Date.now());
+  if (!result.success) {
+    throw httpError(500, `图片处理失败: ${result.error}`);
   }
 }
 
-// 批处理队列处理图片文件
-async function processImage(imageFiles, outputDir, config, globalProgress = null) {
-  const { scales, threadsPerScale = 1 } = config;
-  const totalFiles = imageFiles.length;
+// 处理单个图片请求，返回响应来源（用于日志）
+async function handleImageRequest(req, res, configs, state) {
+  const url = new URL(req.url, 'http://localhost');
+  const route = parseImageRoute(url.pathname);
+  if (!route) {
+    throw httpError(404, '未找到（路径格式: /img/<配置名>/x<倍数>/<文件路径>[.avif|.webp|.jpg|.png]）');
+  }
+  
+  const config = configs.find(item => (item.name || '未命名配置') === route.configName);
+  if (!config) {
+    throw httpError(404, `未知配置: ${route.configName}`);
+  }
+  const configName = config.name || '未命名配置';
+  if (!config.scales.includes(route.scale)) {
+    throw httpError(404, `配置 "${configName}" 未启用倍数 x${route.scale}（可用: ${config.scales.map(scale => `x${scale}`).join(', ')}）`);
+  }
+  
+  const names = (await getServeNameIndex(configs, state)).get(config);
+  const source = findServeSource(names, route.relativePath);
+  if (!source) {
+    throw httpError(404, `源文件不存在: ${route.relativePath}`);
+  }
+  // 与构建一样应用源文件匹配的单图规则
+  const { config: imageConfig } = await resolveFileRule(config, source.file, source.sourceKey);
   
-  // 计算总输出文件数（每个图片 × 尺寸数）
-  const totalOutputFiles = totalFiles * scales.length;
+  // 查询参数只允许白名单中的取值，防止被用于任意尺寸的缩放
+  const serveOptions = { ...SERVE_DEFAULTS, ...config.serve };
+  const { width, quality } = parseVariantQuery(url.searchParams, {
+    widths: [...new Set([imageConfig.targetWidth, ...serveOptions.widths])],
+    qualities: [...new Set([imageConfig.quality, ...serveOptions.qualities])]
+  });
   
-  // 预创建所有需要的输出目录
-  for (const scale of scales) {
-    const scaleDir = path.join(outputDir, `x${scale}`);
-    ensureDir(scaleDir);
+  // 输出格式：路径中指定扩展名时直接使用，否则按 Accept 请求头协商
+  const enabledFormats = normalizeFormats(imageConfig).map(spec => spec.format);
+  const format = route.format || negotiateFormat(req.headers.accept, enabledFormats);
+  if (!format) {
+    throw httpError(406, `没有客户端可接受的输出格式（可用: ${enabledFormats.join(', ')}）`);
+  }
+  if (!enabledFormats.includes(format)) {
+    throw httpError(404, `配置 "${configName}" 未启用格式 ${format}（可用: ${enabledFormats.join(', ')}）`);
   }
   
-  const configName = config.name || '未命名配置';
+  // 该请求对应的单格式、单倍数配置，w 按目标宽高比换算高度
+  const formatEntry = imageConfig.formats[enabledFormats.indexOf(format)];
+  const variantConfig = {
+    ...imageConfig,
+    scales: [route.scale],
+    formats: [quality === null ? formatEntry : { ...(typeof formatEntry === 'string' ? { format: formatEntry } : formatEntry), quality }],
+    // 按需编码只生成请求的图片，不生成裁剪框调试图、占位数据、图集和响应式清单
+    cropDebug: false,
+    placeholders: null,
+    atlas: null,
+    responsive: null
+  };
+  if (width !== null) {
+    variantConfig.targetWidth = width;
+    variantConfig.targetHeight = Math.max(1, Math.round(width * imageConfig.targetHeight / imageConfig.targetWidth));
+  }
+  const formatSpec = normalizeFormats(variantConfig)[0];
   
-  console.log(`🚀 [${configName}] 开始倍数内分组多线程处理 ${totalFiles} 个图片文件`);
-  console.log(`📊 [${configName}] 总输出文件数: ${totalOutputFiles} (${totalFiles} 图片 × ${scales.length} 尺寸)`);
-  console.log(`🔧 [${configName}] 每个倍数使用 ${threadsPerScale} 个Worker线程`);
+  // 源文件哈希（修改时间和大小未变时复用）与输出配置哈希共同决定ETag和缓存文件
+  const sourceInfo = hashSourceFile(source.file, state.sourceStats.get(source.file));
+  state.sourceStats.set(source.file, sourceInfo);
+  const configHash = hashOutputConfig(getFileHashConfig(source.file, variantConfig), route.scale, formatSpec);
+  const etag = `"${sourceInfo.hash.slice(0, 16)}-${configHash}"`;
+  const sendOptions = { contentType: CONTENT_TYPES[format], etag, maxAge: serveOptions.maxAge, vary: !route.format };
   
-  // 为每个倍数创建多个Worker线程（按文件分组）
-  const allWorkerGroups = [];
-  let globalWorkerId = 1;
+  if (isNotModified(req, etag)) {
+    sendImageFile(req, res, null, sendOptions);
+    return '未修改';
+  }
   
-  for (const scale of scales) {
-    // 将文件分组给该倍数的多个Worker线程
-    const fileGroups = [];
-    
-    // 初始化分组
-    for (let i = 0; i < threadsPerScale; i++) {
-      fileGroups.push([]);
-    }
-    
-    // 轮询分配文件到各个分组
-    for (let i = 0; i < totalFiles; i++) {
-      const groupIndex = i % threadsPerScale;
-      fileGroups[groupIndex].push(imageFiles[i]);
+  // 优先使用构建输出，其次使用服务缓存，都没有时按需编码（相同变体的并发请求只编码一次）
+  const buildOutput = findFreshBuildOutput(config, source.sourceKey, sourceInfo.hash, route.scale, format, configHash);
+  if (buildOutput) {
+    sendImageFile(req, res, buildOutput, sendOptions);
+    return '构建输出';
+  }
+  
+  const cachePath = getServeCachePath(config.outputDir, source.file, sourceInfo.hash, configHash, formatSpec.extension);
+  let via = '服务缓存';
+  if (fs.existsSync(cachePath)) {
+    touchServeCacheEntry(cachePath);
+  } else {
+    if (!state.inflight.has(cachePath)) {
+      // 写入后删除该源文件修改前的缓存，并把缓存总大小限制在 cacheMaxSize 内
+      const encoding = encodeServeVariant(source.file, variantConfig, cachePath)
+        .then(() => pruneServeCache(path.dirname(cachePath), serveOptions.cacheMaxSize * 1024 * 1024, cachePath))
+        .finally(() => state.inflight.delete(cachePath));
+      state.inflight.set(cachePath, encoding);
     }
-    
-    // 为该倍数的每个文件分组创建Worker配置
-    for (let groupIndex = 0; groupIndex < threadsPerScale; groupIndex++) {
-      const files = fileGroups[groupIndex];
-      if (files.length > 0) { // 只创建有文件的分组
-        allWorkerGroups.push({
-          workerId: globalWorkerId++,
-          scale: scale,
-          scaleName: `x${scale}`,
-          groupIndex: groupIndex + 1,
-          files: files,
-          expectedOutputs: files.length
-        });
+    await state.inflight.get(cachePath);
+    via = '编码';
+  }
+  sendImageFile(req, res, cachePath, sendOptions);
+  return via;
+}
+
+// serve 命令：本地图片服务，按路由映射到配置，对请求的图片按配置裁剪、缩放和压缩
+// 收到 SIGINT / SIGTERM 后关闭服务并返回退出码
+async function serveCommand(configs, options) {
+  const port = options.port || SERVE_DEFAULT_PORT;
+  const host = options.host || SERVE_DEFAULT_HOST;
+  const state = { sourceStats: new Map(), inflight: new Map(), names: null };
+  
+  const server = http.createServer(async (req, res) => {
+    const startTime = Date.now();
+    let statusText;
+    try {
+      if (req.method !== 'GET' && req.method !== 'HEAD') {
+        res.setHeader('Allow', 'GET, HEAD');
+        throw httpError(405, '只支持 GET 和 HEAD 请求');
       }
+      statusText = `${await handleImageRequest(req, res, configs, state)}`;
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      sendError(res, statusCode, error.message);
+      statusText = error.message;
     }
+    logger.log(`🌐 ${req.method} ${req.url} → ${res.statusCode} ${statusText} (${Date.now() - startTime}ms)`);
+  });
+  
+  try {
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, host, resolve);
+    });
+  } catch (error) {
+    logger.error(`❌ 图片服务启动失败: ${error.message}`);
+    return EXIT_FATAL;
   }
   
-  const totalWorkers = allWorkerGroups.length;
-  console.log(`📦 [${configName}] 文件分组完成: ${scales.length} 个倍数 × ${threadsPerScale} 线程 = ${totalWorkers} 个Worker线程`);
+  logger.log(`🌐 图片服务已启动: http://${host}:${port}`);
+  for (const config of configs) {
+    const configName = config.name || '未命名配置';
+    const formats = normalizeFormats(config).map(spec => spec.format).join('/');
+    logger.log(`   [${configName}] /img/${encodeURIComponent(configName)}/x{${config.scales.join(',')}}/<文件路径>[.扩展名] (${formats})`);
+    // 上次运行留下的缓存超过（可能已调小的）大小上限时先清理
+    const { cacheMaxSize } = { ...SERVE_DEFAULTS, ...config.serve };
+    const removed = pruneServeCache(path.join(config.outputDir, SERVE_CACHE_DIR), cacheMaxSize * 1024 * 1024);
+    if (removed > 0) {
+      logger.log(`🗑️  [${configName}] 服务缓存超过 ${cacheMaxSize}MB，已清理 ${removed} 个文件`);
+    }
+  }
   
-  // 按倍数分组显示线程信息
-  for (const scale of scales) {
-    const scaleWorkers = allWorkerGroups.filter(group => group.scale === scale);
-    console.log(`   倍数 x${scale}: ${scaleWorkers.length} 个线程`);
-    scaleWorkers.forEach((group) => {
-      console.log(`     Worker ${group.workerId} (x${scale}-${group.groupIndex}): ${group.files.length} 个图片 → ${group.expectedOutputs} 个输出文件`);
-    });
+  return new Promise((resolve) => {
+    const stop = () => {
+      process.removeListener('SIGINT', stop);
+      process.removeListener('SIGTERM', stop);
+      server.close(() => {
+        logger.log('👋 图片服务已停止');
+        resolve(EXIT_SUCCESS);
+      });
+      server.closeAllConnections();
+    };
+    process.on('SIGINT', stop);
+    process.on('SIGTERM', stop);
+  });
+}
+
+// 库API：创建图片处理器，configs 为内存中的配置（单个配置对象、配置数组或 { configs: [...] }），相对路径相对于当前工作目录
+// options: { force, concurrency, nice, pipeline, signal, logger }
+//   signal: AbortSignal，中止后 run() 以 signal.reason 拒绝，正在执行的Worker线程被终止，缓存清单不更新
+//   logger: 接收处理日志的对象（如 console），默认不输出
+// 返回 EventEmitter，run() 返回 Promise<{ startedAt, finishedAt, durationMs, summary, files }>，可多次调用（增量构建）
+// 事件:
+//   progress    每个 (文件, 配置, 倍数) 任务完成后: { processed, total, config, file, scale, success }
+//   fileDone    本次处理的某个输入文件在该配置下的所有倍数完成后，内容与结果 files 中的元素相同
+//   error       任务失败时: { config, file, scale, error }；没有监听器时不触发，失败同样记录在结果中
+//   workerStats 运行结束时每个Worker线程一次: { workerId, jobs, failed, busyMs }
+function createProcessor(configs, options = {}) {
+  const resolvedConfigs = normalizeConfigData(Array.isArray(configs) ? { configs } : configs, 'createProcessor()');
+  const processor = new EventEmitter();
+  let running = false;
+  
+  processor.run = async () => {
+    if (running) {
+      throw new Error('处理器正在运行，请等待上一次 run() 完成');
+    }
+    running = true;
+    try {
+      return await runWithLogger(options.logger || silentLogger, () => runProcessor(processor, resolvedConfigs, options));
+    } finally {
+      running = false;
+    }
+  };
+  return processor;
+}
+
+// 执行一次库API运行，通过 processor 触发事件
+async function runProcessor(processor, configs, options) {
+  const { signal = null } = options;
+  if (signal) {
+    signal.throwIfAborted();
+  }
+  const startTime = Date.now();
+  const { entries, totalProcessingUnits } = await planBuild(configs, { force: options.force });
+  if (signal) {
+    signal.throwIfAborted();
   }
   
-  // 检查初始内存使用情况
-  const memoryBefore = getMemoryUsage();
-  console.log(`💾 [${configName}] 多线程处理前内存使用: ${memoryBefore.heapUsed}MB`);
-  
-  // 创建所有Worker线程并并行处理
-  const workerPromises = allWorkerGroups.map(async (group) => {
-    const worker = new Worker(__filename, {
-      workerData: {
-        files: group.files,
-        outputDir,
-        config: {
-          ...config,
-          scales: [group.scale] // 每个Worker只处理一个倍数
-        },
-        workerId: group.workerId,
-        scaleName: `${group.scaleName}-${group.groupIndex}`
+  // 每个 (配置, 文件) 的任务数，全部完成时触发 fileDone
+  const fileJobCounts = new Map();
+  entries.forEach((entry, configIndex) => {
+    if (entry.plan) {
+      for (const job of createConfigJobs(entry, configIndex)) {
+        const key = `${configIndex}:${job.file}`;
+        fileJobCounts.set(key, (fileJobCounts.get(key) || 0) + 1);
       }
-    });
-    
-    try {
-      const results = await new Promise((resolve, reject) => {
-        worker.on('message', (result) => {
-          if (result.success) {
-            resolve(result.results);
-          } else {
-            reject(new Error(result.error));
-          }
-        });
-        
-        worker.on('error', reject);
-        worker.on('exit', (code) => {
-          if (code !== 0) {
-            reject(new Error(`Worker线程 ${group.workerId} (${group.scaleName}-${group.groupIndex}) 异常退出，代码: ${code}`));
-          }
-        });
-      });
+    }
+  });
+  const fileResults = new Map();
+  const workerStats = new Map();
+  
+  const globalProgress = {
+    total: totalProcessingUnits,
+    processed: 0,
+    onUpdate: (progress, result, job, workerId) => {
+      const entry = entries[job.configIndex];
+      const configName = entry.config.name || '未命名配置';
       
-      // 更新全局进度（按文件分组计算）
-      if (globalProgress) {
-        globalProgress.processed += group.files.length;
-        const globalPercent = ((globalProgress.processed / globalProgress.total) * 100).toFixed(1);
-        console.log(`✅ [${configName}] Worker ${group.workerId} (${group.scaleName}-${group.groupIndex}) 完成 ${group.files.length} 个图片 - 全局进度: ${globalProgress.processed}/${globalProgress.total} (${globalPercent}%)`);
-      } else {
-        console.log(`✅ [${configName}] Worker ${group.workerId} (${group.scaleName}-${group.groupIndex}) 完成 ${group.files.length} 个图片`);
+      if (!workerStats.has(workerId)) {
+        workerStats.set(workerId, { workerId, jobs: 0, failed: 0, busyMs: 0 });
       }
+      const stats = workerStats.get(workerId);
+      stats.jobs++;
+      stats.failed += result.success ? 0 : 1;
+      stats.busyMs += result.durationMs || 0;
       
-      return { scale: group.scale, groupIndex: group.groupIndex, results };
+      processor.emit('progress', {
+        processed: progress.processed,
+        total: progress.total,
+        config: configName,
+        file: job.file,
+        scale: job.scale,
+        success: result.success
+      });
+      if (!result.success && processor.listenerCount('error') > 0) {
+        processor.emit('error', { config: configName, file: job.file, scale: job.scale, error: new Error(result.error) });
+      }
       
-    } finally {
-      // 清理Worker线程
-      worker.terminate();
+      const key = `${job.configIndex}:${job.file}`;
+      const results = fileResults.get(key) || [];
+      results.push(result);
+      fileResults.set(key, results);
+      if (results.length === fileJobCounts.get(key)) {
+        processor.emit('fileDone', { config: configName, ...createInputReport(entry, job.file, results) });
+      }
     }
-  });
+  };
   
-  // 等待所有Worker线程完成
-  const allResults = await Promise.all(workerPromises);
+  // Worker线程的逐文件日志无法转发到 logger，库API中始终不输出
+  const results = await executeBuild(entries, { ...options, quiet: true }, { globalProgress, signal });
   
-  // 统计处理结果
-  const totalProcessedFiles = allResults.reduce((sum, groupResult) => {
-    return sum + groupResult.results.length;
-  }, 0);
-  const totalGeneratedFiles = allResults.reduce((sum, groupResult) => {
-    return sum + groupResult.results.reduce((fileSum, result) => fileSum + result.generatedFiles, 0);
-  }, 0);
+  for (const stats of workerStats.values()) {
+    processor.emit('workerStats', stats);
+  }
   
-  const memoryAfter = getMemoryUsage();
-  console.log(`💾 [${configName}] 多线程处理后内存使用: ${memoryAfter.heapUsed}MB`);
+  const exitCode = results.some(result => !result.success) ? EXIT_PARTIAL_FAILURE : EXIT_SUCCESS;
+  const report = createRunReport(entries, { startedAt: startTime, finishedAt: Date.now(), exitCode });
+  return {
+    startedAt: report.startedAt,
+    finishedAt: report.finishedAt,
+    durationMs: report.durationMs,
+    summary: report.summary,
+    files: report.configs.flatMap(config => config.inputs.map(input => ({ config: config.name, ...input })))
+  };
+}
+
+// 主函数，argv 为命令行参数（不含 node 和脚本路径），返回退出码
+async function main(argv = process.argv.slice(2)) {
+  let options;
+  try {
+    options = parseCliArgs(argv);
+  } catch (error) {
+    logger.error(`❌ ${error.message}`);
+    return EXIT_FATAL;
+  }
+  
+  if (options.help) {
+    logger.log(HELP_TEXT);
+    return EXIT_SUCCESS;
+  }
+  if (options.command === 'validate') {
+    return validateCommand(options);
+  }
+  if (options.command === 'serve') {
+    let configs;
+    try {
+      configs = applyCliOptions(loadConfig(options.configPath), options);
+    } catch (error) {
+      logger.error(`❌ ${error.message}`);
+      return EXIT_FATAL;
+    }
+    return serveCommand(configs, options);
+  }
+  if (options.command !== 'run') {
+    logger.error(`❌ 未知命令: ${options.command}（使用 --help 查看用法）`);
+    return EXIT_FATAL;
+  }
   
-  console.log(`🎉 [${configName}] 倍数内分组多线程处理完成！`);
-  console.log(`📊 [${configName}] 处理统计: ${totalWorkers} 个Worker线程处理 ${totalProcessedFiles} 个任务 → ${totalGeneratedFiles} 个输出文件`);
+  const { force, dryRun } = options;
+  if (options.watch && dryRun) {
+    logger.error('❌ --watch 不能与 --dry-run 同时使用');
+    return EXIT_FATAL;
+  }
   
-  // 处理完成后进行内存清理
-  if (memoryAfter.heapUsed > 400) {
-    forceGarbageCollection(400);
+  // 降低进程优先级，之后创建的Worker线程及其libvips线程会继承该优先级
+  if (options.nice) {
+    try {
+      os.setPriority(options.nice);
+    } catch (error) {
+      logger.warn('⚠️  设置进程优先级失败:', error.message);
+    }
   }
-}
-
-// 主函数
-async function main() {
   const startTime = Date.now();
   const startMemory = getMemoryUsage();
-  console.log(`🚀 开始处理，初始内存使用: ${startMemory.heapUsed}MB`);
+  logger.log(`🚀 开始处理，初始内存使用: ${startMemory.heapUsed}MB`);
+  if (force) {
+    logger.log('♻️  已指定 --force，忽略增量缓存并重新处理所有文件');
+  }
+  if (dryRun) {
+    logger.log('📝 已指定 --dry-run，只打印计划生成的输出，不进行编码');
+  }
   
   try {
-    // 加载配置数组
-    const configs = loadConfig();
+    // 加载配置数组，并应用命令行筛选和覆盖参数
+    const configs = applyCliOptions(loadConfig(options.configPath), options);
     
     // 检查多配置输出目录冲突
     if (configs.length > 1) {
@@ -513,45 +2469,23 @@ async function main() {
       for (const config of configs) {
         const normalizedPath = path.resolve(config.outputDir);
         if (outputDirs.has(normalizedPath)) {
-          console.warn(`⚠️  警告: 检测到输出目录冲突: ${config.outputDir}`);
-          console.warn('   多个配置使用相同输出目录可能导致文件覆盖或竞争条件');
+          logger.warn(`⚠️  警告: 检测到输出目录冲突: ${config.outputDir}`);
+          logger.warn('   多个配置使用相同输出目录可能导致文件覆盖或竞争条件');
         }
         outputDirs.add(normalizedPath);
       }
     }
     
-    // 计算全局进度跟踪（按倍数内线程分组计算）
-    let totalGlobalFiles = 0;
-    let totalProcessingUnits = 0;
-    const configFilesCounts = [];
-    
-    // 预先计算所有配置的文件数量
-    for (const config of configs) {
-      try {
-        const imageFiles = getImageFiles(config.inputDir, config.supportedFormats);
-        const threadsPerScale = config.threadsPerScale || 1;
-        
-        configFilesCounts.push({ config, fileCount: imageFiles.length, files: imageFiles });
-        totalGlobalFiles += imageFiles.length;
-        
-        // 每个线程处理的文件数作为处理单位
-        for (const scale of config.scales) {
-          // 计算每个倍数下各线程的文件分配
-          for (let threadIndex = 0; threadIndex < threadsPerScale; threadIndex++) {
-            const filesForThisThread = Math.ceil(imageFiles.length / threadsPerScale);
-            const actualFiles = Math.min(filesForThisThread, Math.max(0, imageFiles.length - threadIndex * filesForThisThread));
-            if (actualFiles > 0) {
-              totalProcessingUnits += actualFiles;
-            }
-          }
-        }
-      } catch (error) {
-        console.warn(`⚠️  配置 "${config.name || '未命名配置'}" 输入目录访问失败:`, error.message);
-        configFilesCounts.push({ config, fileCount: 0, files: [] });
-      }
+    if (options.watch) {
+      return await watchCommand(configs, options);
     }
     
-    console.log(`📊 全局统计: 共 ${configs.length} 个配置，总计 ${totalGlobalFiles} 个图片文件，${totalProcessingUnits} 个处理单位`);
+    const { entries, totalProcessingUnits } = await planBuild(configs, { force });
+    
+    if (dryRun) {
+      entries.forEach(printBuildPlan);
+      return EXIT_SUCCESS;
+    }
     
     // 全局进度跟踪对象
     const globalProgress = {
@@ -559,73 +2493,58 @@ async function main() {
       processed: 0
     };
     
-    // 多配置并行处理（每个配置一个线程）
-    if (configs.length > 1) {
-      console.log(`📋 检测到 ${configs.length} 个配置，将并行处理`);
-      
-      // 并行处理所有配置，每个配置使用独立线程
-      const configPromises = configFilesCounts.map(async ({ config, fileCount, files }, configIndex) => {
-        const configName = config.name || '未命名配置';
-        console.log(`🔄 启动配置 ${configIndex + 1}: ${configName} (${fileCount} 个文件)`);
-        
-        try {
-          // 确保输出目录存在
-          ensureDir(config.outputDir);
-          
-          if (fileCount === 0) {
-            console.log(`⚠️  配置 "${configName}" 没有找到图片文件`);
-            return;
-          }
-          
-          console.log(`📁 配置 "${configName}" 找到 ${fileCount} 个图片文件`);
-          
-          // 处理图片文件，传入全局进度跟踪
-          await processImage(files, config.outputDir, config, globalProgress);
-          
-          console.log(`✅ 配置 "${configName}" 处理完成`);
-          
-        } catch (error) {
-          console.error(`❌ 配置 "${configName}" 处理失败:`, error.message);
-          throw error;
-        }
-      });
-      
-      await Promise.all(configPromises);
-    } else {
-      // 单配置处理
-      const { config, fileCount, files } = configFilesCounts[0];
-      const configName = config.name || '未命名配置';
-      
-      // 确保输出目录存在
-      ensureDir(config.outputDir);
-      
-      if (fileCount > 0) {
-        console.log(`📁 配置 "${configName}" 找到 ${fileCount} 个图片文件`);
-        // 处理图片文件，传入全局进度跟踪
-        await processImage(files, config.outputDir, config, globalProgress);
-      } else {
-        console.log(`⚠️  配置 "${configName}" 没有找到图片文件`);
-      }
-    }
+    const allResults = await executeBuild(entries, options, { globalProgress });
     
     const endTime = Date.now();
     const duration = ((endTime - startTime) / 1000).toFixed(2);
     const endMemory = getMemoryUsage();
-    console.log(`\n🎉 所有任务完成，总耗时: ${duration}秒`);
-    console.log(`📊 内存使用情况: 开始 ${startMemory.heapUsed}MB → 结束 ${endMemory.heapUsed}MB (峰值可能更高)`);
+    const failedResults = allResults.filter(result => !result.success);
+    const cappedResults = allResults.filter(result => result.capped);
+    const overBudgetOutputs = allResults.flatMap(result => (result.outputs || []).filter(output => output.overBudget));
+    const belowSsimOutputs = allResults.flatMap(result => (result.outputs || []).filter(output => output.belowSsim));
+    logger.log(`\n🎉 所有任务完成，总耗时: ${duration}秒`);
+    logger.log(`📊 内存使用情况: 开始 ${startMemory.heapUsed}MB → 结束 ${endMemory.heapUsed}MB (峰值可能更高)`);
     
     // 最终内存清理
     forceGarbageCollection(0); // 强制执行最终垃圾回收
     
+    if (cappedResults.length > 0) {
+      logger.warn(`⚠️  ${cappedResults.length} 个处理单位因原图尺寸不足未放大（withoutEnlargement）:`);
+      cappedResults.forEach(result => logger.warn(`   x${result.scale}: ${result.file} → ${result.width}x${result.height}`));
+    }
+    if (overBudgetOutputs.length > 0) {
+      logger.warn(`⚠️  ${overBudgetOutputs.length} 个输出超出大小预算（maxBytes），已降至最低品质或该格式无法调整品质:`);
+      overBudgetOutputs.forEach(output => logger.warn(`   ${output.path}: ${formatBytes(output.bytes)} > ${formatBytes(output.maxBytes)}${output.quality === null ? '' : `（品质 ${output.quality}）`}`));
+    }
+    if (belowSsimOutputs.length > 0) {
+      logger.warn(`⚠️  ${belowSsimOutputs.length} 个输出的画质低于阈值（qualityGuard.minSsim）:`);
+      belowSsimOutputs.forEach(output => logger.warn(`   ${output.path}: SSIM ${output.ssim.toFixed(4)} < ${output.minSsim}${output.quality === null ? '' : `（品质 ${output.quality}）`}`));
+    }
+    if (failedResults.length > 0) {
+      logger.error(`⚠️  ${failedResults.length} 个处理单位失败:`);
+      failedResults.forEach(result => logger.error(`   x${result.scale}: ${result.file} - ${result.error}`));
+    }
+    const badInputs = entries.flatMap(entry => (entry.badInputs || []).map(item => ({ ...item, configName: entry.config.name || '未命名配置' })));
+    if (badInputs.length > 0) {
+      logger.error(`🚫 ${badInputs.length} 个源文件损坏或无法处理:`);
+      badInputs.forEach(item => logger.error(`   [${item.configName}] ${item.file}${item.movedTo ? ` → ${item.movedTo}` : ''}`));
+    }
+    
+    const exitCode = failedResults.length > 0 ? EXIT_PARTIAL_FAILURE : EXIT_SUCCESS;
+    writeRunReports(options, entries, startTime, exitCode);
+    return exitCode;
+    
   } catch (error) {
-    console.error('❌ 处理过程中发生错误:', error.message);
-    process.exit(1);
+    logger.error('❌ 处理过程中发生错误:', error.message);
+    return EXIT_FATAL;
   }
 }
 
 // 运行主函数（只在主线程中运行）
 if (require.main === module && isMainThread) {
-  main();
+  main().then(exitCode => {
+    process.exitCode = exitCode;
+  });
 }
 
-module.exports = { main, loadConfig, processImage };
\ No newline at end of file
+module.exports = { main, loadConfig, processImage, createProcessor };
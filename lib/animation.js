@@ -0,0 +1,43 @@
+// 动图（GIF / WebP）处理：所有帧使用相同的裁剪和缩放，输出为动画 WebP 并保留帧延迟和循环次数
+// 不支持动画的输出格式、关闭 animated 或超出帧数 / 像素上限时只输出第一帧
+
+// 支持输出动画的格式（当前版本的 sharp 不支持写出动画 AVIF）
+const ANIMATED_FORMATS = ['webp'];
+
+const DEFAULT_MAX_FRAMES = 300;
+const DEFAULT_MAX_ANIMATION_PIXELS = 100000000;
+
+// 判断源文件是否按动图处理，返回 { animated, frames, warning }
+// frames 为源文件帧数；warning 为动图只输出第一帧的原因（因配置关闭时为 null）
+function getAnimationPlan(metadata, config) {
+  const frames = metadata.pages || 1;
+  if (frames <= 1 || config.animated === false) {
+    return { animated: false, frames, warning: null };
+  }
+
+  const maxFrames = config.maxFrames || DEFAULT_MAX_FRAMES;
+  const maxPixels = config.maxAnimationPixels || DEFAULT_MAX_ANIMATION_PIXELS;
+  const pixels = metadata.width * metadata.height * frames;
+  let warning = null;
+  if (frames > maxFrames) {
+    warning = `帧数 ${frames} 超过上限 ${maxFrames}（maxFrames）`;
+  } else if (pixels > maxPixels) {
+    warning = `所有帧像素总数 ${pixels} 超过上限 ${maxPixels}（maxAnimationPixels）`;
+  } else if ((config.fit || 'cover') === 'contain' && config.background === 'blur') {
+    warning = 'contain 模式的模糊补边不支持动图';
+  }
+  return { animated: !warning, frames, warning };
+}
+
+// 输出格式是否按动画编码
+function isAnimatedFormat(formatSpec) {
+  return ANIMATED_FORMATS.includes(formatSpec.format);
+}
+
+module.exports = {
+  ANIMATED_FORMATS,
+  DEFAULT_MAX_FRAMES,
+  DEFAULT_MAX_ANIMATION_PIXELS,
+  getAnimationPlan,
+  isAnimatedFormat
+};
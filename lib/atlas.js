@@ -0,0 +1,387 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { stableStringify } = require('./cache-manifest');
+
+// 图集（精灵图）：把配置在每个倍数下的输出打包为一张或多张 PNG 图集，
+// 并生成 TexturePacker JSON (Hash) 格式的坐标文件和可选的 CSS 类
+
+// 配置中 atlas 的默认值
+const ATLAS_DEFAULTS = {
+  fileName: 'atlas',  // 图集文件名（不含扩展名，相对输出目录）: atlas.png、atlas@2x.png、atlas.json ...
+  maxWidth: 2048,     // 单张图集的最大宽度（像素）
+  maxHeight: 2048,    // 单张图集的最大高度（像素）
+  padding: 2,         // 图片之间的间距（像素）
+  trim: false,        // 裁掉图片四周的透明边缘，坐标文件中记录原始尺寸和偏移
+  css: false,         // 生成 <fileName>.css，每张图片一个 CSS 类
+  cssPrefix: null     // CSS 类名前缀，null 时为 '<fileName>-'
+};
+
+// 合并 atlas 配置与默认值，未启用时返回 null
+function getAtlasOptions(config) {
+  return config.atlas ? { ...ATLAS_DEFAULTS, ...config.atlas } : null;
+}
+
+// 图集文件名（不含扩展名）: atlas、atlas@2x；多张图集时为 atlas-0、atlas-1@2x
+function getSheetBaseName(options, scale, index, sheetCount) {
+  const name = sheetCount > 1 ? `${options.fileName}-${index}` : options.fileName;
+  return scale === 1 ? name : `${name}@${scale}x`;
+}
+
+// 图集相关文件（可能由此前的运行生成），用于清理张数减少、倍数移除或关闭 CSS 后留下的旧文件
+function isAtlasFileName(fileName, options) {
+  const escaped = options.fileName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`^${escaped}((-\\d+)?(@\\d+x)?\\.(png|json)|\\.css)$`).test(fileName);
+}
+
+// 矩形 a 是否完全位于矩形 b 内
+function containsRect(b, a) {
+  return a.x >= b.x && a.y >= b.y && a.x + a.width <= b.x + b.width && a.y + a.height <= b.y + b.height;
+}
+
+// 从空闲矩形中切除已放置的区域，返回剩余的（可能互相重叠的）最大空闲矩形
+function splitFreeRect(free, node) {
+  if (node.x >= free.x + free.width || node.x + node.width <= free.x ||
+    node.y >= free.y + free.height || node.y + node.height <= free.y) {
+    return [free];
+  }
+  const result = [];
+  if (node.x > free.x) {
+    result.push({ x: free.x, y: free.y, width: node.x - free.x, height: free.height });
+  }
+  if (node.x + node.width < free.x + free.width) {
+    result.push({ x: node.x + node.width, y: free.y, width: free.x + free.width - node.x - node.width, height: free.height });
+  }
+  if (node.y > free.y) {
+    result.push({ x: free.x, y: free.y, width: free.width, height: node.y - free.y });
+  }
+  if (node.y + node.height < free.y + free.height) {
+    result.push({ x: free.x, y: node.y + node.height, width: free.width, height: free.y + free.height - node.y - node.height });
+  }
+  return result;
+}
+
+// 去掉被其它空闲矩形包含的空闲矩形（完全相同的只保留第一个）
+function pruneFreeRects(rects) {
+  return rects.filter((rect, i) => !rects.some((other, j) => j !== i && containsRect(other, rect) && (j < i || !containsRect(rect, other))));
+}
+
+// 在图集的空闲矩形中为 width × height 查找位置（最短边优先: 放置后剩余的短边最小），找不到时返回 null
+function findPosition(sheet, width, height) {
+  let best = null;
+  for (const free of sheet.freeRects) {
+    if (width > free.width || height > free.height) {
+      continue;
+    }
+    const shortSide = Math.min(free.width - width, free.height - height);
+    const longSide = Math.max(free.width - width, free.height - height);
+    if (!best || shortSide < best.shortSide || (shortSide === best.shortSide && longSide < best.longSide)) {
+      best = { x: free.x, y: free.y, shortSide, longSide };
+    }
+  }
+  return best;
+}
+
+// MaxRects 装箱：rects 为 [{ id, width, height }]，按最长边从大到小依次放入第一张放得下的图集，都放不下时新建图集
+// 每个矩形右侧和下方附加 padding，图集可用区域相应扩大，因此间距只出现在图片之间
+// 返回 [{ width, height, placements: [{ id, x, y, width, height }] }]；调用方须保证每个矩形不超过最大尺寸
+function packRects(rects, maxWidth, maxHeight, padding) {
+  const sorted = [...rects].sort((a, b) =>
+    Math.max(b.width, b.height) - Math.max(a.width, a.height) || b.width * b.height - a.width * a.height);
+  const sheets = [];
+
+  for (const rect of sorted) {
+    const width = rect.width + padding;
+    const height = rect.height + padding;
+    let sheet = null;
+    let position = null;
+    for (const candidate of sheets) {
+      position = findPosition(candidate, width, height);
+      if (position) {
+        sheet = candidate;
+        break;
+      }
+    }
+    if (!sheet) {
+      sheet = { freeRects: [{ x: 0, y: 0, width: maxWidth + padding, height: maxHeight + padding }], placements: [] };
+      sheets.push(sheet);
+      position = findPosition(sheet, width, height);
+    }
+
+    const node = { x: position.x, y: position.y, width, height };
+    sheet.freeRects = pruneFreeRects(sheet.freeRects.flatMap(free => splitFreeRect(free, node)));
+    sheet.placements.push({ id: rect.id, x: node.x, y: node.y, width: rect.width, height: rect.height });
+  }
+
+  // 图集尺寸收缩到实际使用的范围
+  return sheets.map(sheet => ({
+    width: Math.max(...sheet.placements.map(placement => placement.x + placement.width)),
+    height: Math.max(...sheet.placements.map(placement => placement.y + placement.height)),
+    placements: sheet.placements
+  }));
+}
+
+// 不透明像素的包围盒（data 为 RGBA 像素），全透明时返回左上角 1×1
+function findOpaqueBounds(data, width, height) {
+  let left = width;
+  let top = height;
+  let right = -1;
+  let bottom = -1;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (data[(y * width + x) * 4 + 3] > 0) {
+        left = Math.min(left, x);
+        right = Math.max(right, x);
+        top = Math.min(top, y);
+        bottom = Math.max(bottom, y);
+      }
+    }
+  }
+  if (right < 0) {
+    return { left: 0, top: 0, width: 1, height: 1 };
+  }
+  return { left, top, width: right - left + 1, height: bottom - top + 1 };
+}
+
+// 读取单张图片为 RGBA 像素，trim 时裁掉透明边缘
+// 返回 { data, frame: { width, height }, sourceSize: { w, h }, offset: { x, y }, trimmed }
+async function loadSprite(file, trim) {
+  const { data, info } = await sharp(file).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+  const sourceSize = { w: info.width, h: info.height };
+  const bounds = trim ? findOpaqueBounds(data, info.width, info.height) : { left: 0, top: 0, width: info.width, height: info.height };
+  const trimmed = bounds.width !== info.width || bounds.height !== info.height;
+  const pixels = trimmed
+    ? await sharp(data, { raw: { width: info.width, height: info.height, channels: 4 } }).extract(bounds).raw().toBuffer()
+    : data;
+  return { data: pixels, frame: { width: bounds.width, height: bounds.height }, sourceSize, offset: { x: bounds.left, y: bounds.top }, trimmed };
+}
+
+// 图集内容的哈希：相同的图片和参数得到相同的图集，记录在坐标文件的 meta.smartupdate 中
+function hashAtlasInput(sprites, scale, options) {
+  const { css, cssPrefix, ...packOptions } = options;
+  return crypto.createHash('sha256')
+    .update(stableStringify({ scale, options: packOptions, sprites: sprites.map(sprite => [sprite.name, sprite.hash]) }))
+    .digest('hex')
+    .slice(0, 16);
+}
+
+// 读取此前生成的、与本次输入一致的图集坐标文件，缺少任何文件或内容已变化时返回 null
+function readFreshSheets(outputDir, scale, options, hash) {
+  const first = [getSheetBaseName(options, scale, 0, 1), getSheetBaseName(options, scale, 0, 2)]
+    .map(name => path.join(outputDir, `${name}.json`))
+    .find(filePath => fs.existsSync(filePath));
+  if (!first) {
+    return null;
+  }
+  try {
+    const data = JSON.parse(fs.readFileSync(first, 'utf8'));
+    if (!data.meta || data.meta.smartupdate !== hash) {
+      return null;
+    }
+    const jsonNames = [path.basename(first), ...(data.meta.related_multi_packs || [])];
+    const sheets = jsonNames.map(jsonName => {
+      const sheet = JSON.parse(fs.readFileSync(path.join(outputDir, jsonName), 'utf8'));
+      return { json: jsonName, image: sheet.meta.image, width: sheet.meta.size.w, height: sheet.meta.size.h, frames: sheet.frames };
+    });
+    return sheets.every(sheet => fs.existsSync(path.join(outputDir, sheet.image))) ? sheets : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// TexturePacker JSON (Hash) 格式的坐标文件内容
+function renderSheetJson(sheet, sheets, scale, hash) {
+  const meta = {
+    app: 'image-processor',
+    version: '1.0',
+    image: sheet.image,
+    format: 'RGBA8888',
+    size: { w: sheet.width, h: sheet.height },
+    scale: String(scale),
+    smartupdate: hash
+  };
+  if (sheets.length > 1) {
+    meta.related_multi_packs = sheets.filter(other => other !== sheet).map(other => other.json);
+  }
+  return `${JSON.stringify({ frames: sheet.frames, meta }, null, 2)}\n`;
+}
+
+// 打包单个倍数的图集并写出 PNG 和坐标文件，sprites: [{ name, file, hash }]
+// 返回 { sheets: [{ json, image, width, height, frames }], oversized: [超出最大尺寸的图片名称] }
+async function packScaleAtlas(outputDir, scale, sprites, options) {
+  const loaded = [];
+  const oversized = [];
+  for (const sprite of sprites) {
+    const image = await loadSprite(sprite.file, options.trim);
+    if (image.frame.width > options.maxWidth || image.frame.height > options.maxHeight) {
+      oversized.push(sprite.name);
+    } else {
+      loaded.push({ ...image, name: sprite.name });
+    }
+  }
+  if (loaded.length === 0) {
+    return { sheets: [], oversized };
+  }
+
+  const packed = packRects(
+    loaded.map((image, id) => ({ id, width: image.frame.width, height: image.frame.height })),
+    options.maxWidth,
+    options.maxHeight,
+    options.padding
+  );
+  const sheets = packed.map((sheet, index) => {
+    const baseName = getSheetBaseName(options, scale, index, packed.length);
+    // 按名称排序，坐标文件的内容不随装箱顺序变化
+    const placements = [...sheet.placements].sort((a, b) => (loaded[a.id].name < loaded[b.id].name ? -1 : 1));
+    const frames = {};
+    for (const placement of placements) {
+      const image = loaded[placement.id];
+      frames[image.name] = {
+        frame: { x: placement.x, y: placement.y, w: placement.width, h: placement.height },
+        rotated: false,
+        trimmed: image.trimmed,
+        spriteSourceSize: { x: image.offset.x, y: image.offset.y, w: placement.width, h: placement.height },
+        sourceSize: image.sourceSize,
+        pivot: { x: 0.5, y: 0.5 }
+      };
+    }
+    return { json: `${baseName}.json`, image: `${baseName}.png`, width: sheet.width, height: sheet.height, frames };
+  });
+
+  const hash = hashAtlasInput(sprites, scale, options);
+  for (const [index, sheet] of sheets.entries()) {
+    const imagePath = path.join(outputDir, sheet.image);
+    const data = await sharp({ create: { width: sheet.width, height: sheet.height, channels: 4, background: { r: 0, g: 0, b: 0, alpha: 0 } } })
+      .composite(packed[index].placements.map(placement => {
+        const image = loaded[placement.id];
+        return { input: image.data, raw: { width: image.frame.width, height: image.frame.height, channels: 4 }, left: placement.x, top: placement.y };
+      }))
+      .png({ compressionLevel: 9 })
+      .toBuffer();
+    const jsonPath = path.join(outputDir, sheet.json);
+    for (const [filePath, content] of [[imagePath, data], [jsonPath, renderSheetJson(sheet, sheets, scale, hash)]]) {
+      const tempPath = `${filePath}.tmp`;
+      fs.writeFileSync(tempPath, content);
+      fs.renameSync(tempPath, filePath);
+    }
+  }
+  return { sheets, oversized };
+}
+
+// 图片名称转换为 CSS 类名: icons/home.png → atlas-icons-home
+function toCssClassName(name, prefix) {
+  const base = name.replace(/\.[^./]+$/, '').replace(/[^a-zA-Z0-9_-]+/g, '-').replace(/^-+|-+$/g, '');
+  return `${prefix}${base || 'image'}`;
+}
+
+// 保留两位小数的 CSS 像素值
+function toCssPixels(value) {
+  return `${Math.round(value * 100) / 100}px`;
+}
+
+// 图片的显示尺寸声明：trim 后的图片以内容区显示裁剪后的部分，padding 为裁掉的透明边缘，整体仍为原始尺寸
+function renderSizeDeclarations(frame, scale) {
+  const declarations = ['display: inline-block', `width: ${toCssPixels(frame.frame.w / scale)}`, `height: ${toCssPixels(frame.frame.h / scale)}`, 'background-repeat: no-repeat'];
+  if (frame.trimmed) {
+    const { x, y, w, h } = frame.spriteSourceSize;
+    const padding = [y, frame.sourceSize.w - x - w, frame.sourceSize.h - y - h, x].map(value => toCssPixels(value / scale));
+    declarations.push('box-sizing: content-box', `padding: ${padding.join(' ')}`, 'background-origin: content-box', 'background-clip: content-box');
+  }
+  return declarations;
+}
+
+// 生成 CSS：最小倍数的图集作为基础样式，更高倍数通过分辨率媒体查询替换为对应图集
+// scaleSheets: [{ scale, sheets }]，按倍数从小到大；CSS 尺寸为图片在最小倍数下的原始尺寸除以倍数，
+// trim 裁掉的透明边缘用 padding 补齐，背景只绘制在内容区（否则会露出图集中相邻的图片）
+function renderAtlasCss(scaleSheets, options) {
+  const prefix = options.cssPrefix === null ? `${options.fileName}-` : options.cssPrefix;
+  const [base, ...higher] = scaleSheets;
+  const classNames = new Map();
+  const usedNames = new Set();
+  for (const sheet of base.sheets) {
+    for (const name of Object.keys(sheet.frames).sort()) {
+      let className = toCssClassName(name, prefix);
+      for (let index = 2; usedNames.has(className); index++) {
+        className = `${toCssClassName(name, prefix)}-${index}`;
+      }
+      usedNames.add(className);
+      classNames.set(name, className);
+    }
+  }
+
+  // 单个倍数下各图片的背景声明
+  const renderRules = ({ scale, sheets }, indent, withSize) => {
+    const lines = [];
+    for (const sheet of sheets) {
+      for (const [name, frame] of Object.entries(sheet.frames)) {
+        if (!classNames.has(name)) {
+          continue;
+        }
+        const declarations = [
+          ...(withSize ? renderSizeDeclarations(frame, scale) : []),
+          `background-image: url("${sheet.image}")`,
+          `background-position: ${toCssPixels(-frame.frame.x / scale)} ${toCssPixels(-frame.frame.y / scale)}`,
+          `background-size: ${toCssPixels(sheet.width / scale)} ${toCssPixels(sheet.height / scale)}`
+        ];
+        lines.push(`${indent}.${classNames.get(name)} { ${declarations.join('; ')}; }`);
+      }
+    }
+    return lines;
+  };
+
+  const lines = ['/* 由 image-processor 生成，请勿手动修改 */', ...renderRules(base, '', true)];
+  for (const scaleSheet of higher) {
+    lines.push('', `@media (-webkit-min-device-pixel-ratio: ${scaleSheet.scale}), (min-resolution: ${scaleSheet.scale}dppx) {`);
+    lines.push(...renderRules(scaleSheet, '  ', false), '}');
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+// 生成配置所有倍数的图集，spritesByScale: Map(倍数 → [{ name, file, hash }])
+// 图片和参数均未变化的倍数直接沿用已有图集
+// 返回 { files: [当前所有图集文件路径], updated: [{ scale, images: [重新生成的图集路径] }], css: 更新的 CSS 路径或 null, oversized: [{ scale, names }] }
+async function writeAtlasFiles(outputDir, spritesByScale, options) {
+  const scaleSheets = [];
+  const files = [];
+  const updated = [];
+  const oversized = [];
+  let css = null;
+  for (const scale of [...spritesByScale.keys()].sort((a, b) => a - b)) {
+    const sprites = [...spritesByScale.get(scale)].sort((a, b) => (a.name < b.name ? -1 : 1));
+    if (sprites.length === 0) {
+      continue;
+    }
+    const hash = hashAtlasInput(sprites, scale, options);
+    let sheets = readFreshSheets(outputDir, scale, options, hash);
+    if (!sheets) {
+      const result = await packScaleAtlas(outputDir, scale, sprites, options);
+      sheets = result.sheets;
+      if (sheets.length > 0) {
+        updated.push({ scale, images: sheets.map(sheet => path.join(outputDir, sheet.image)) });
+      }
+      if (result.oversized.length > 0) {
+        oversized.push({ scale, names: result.oversized });
+      }
+    }
+    sheets.forEach(sheet => files.push(path.join(outputDir, sheet.image), path.join(outputDir, sheet.json)));
+    if (sheets.length > 0) {
+      scaleSheets.push({ scale, sheets });
+    }
+  }
+
+  if (options.css && scaleSheets.length > 0) {
+    const cssPath = path.join(outputDir, `${options.fileName}.css`);
+    const content = renderAtlasCss(scaleSheets, options);
+    files.push(cssPath);
+    if (!fs.existsSync(cssPath) || fs.readFileSync(cssPath, 'utf8') !== content) {
+      const tempPath = `${cssPath}.tmp`;
+      fs.writeFileSync(tempPath, content);
+      fs.renameSync(tempPath, cssPath);
+      css = cssPath;
+    }
+  }
+  return { files, updated, css, oversized };
+}
+
+module.exports = { ATLAS_DEFAULTS, getAtlasOptions, isAtlasFileName, writeAtlasFiles };
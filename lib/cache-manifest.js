@@ -0,0 +1,118 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+// 增量构建缓存清单，保存在各配置的输出目录中
+const MANIFEST_FILE = '.image-cache.json';
+const MANIFEST_VERSION = 1;
+
+// 不影响输出内容的配置项，计算配置哈希时忽略
+const CACHE_IGNORED_KEYS = [
+  'name', 'inputDir', 'outputDir', 'scales', 'formats', 'maxWorkers', 'threadsPerScale',
+  'supportedFormats', 'cache', 'serve', 'responsive', 'atlas', 'placeholders',
+  // 文件筛选参数只决定处理哪些源文件
+  'recursive', 'include', 'exclude', 'followSymlinks', 'includeHidden',
+  // 输出路径参数只决定文件名，输出路径本身就是缓存清单的键
+  'layout', 'filenameTemplate', 'onConflict',
+  // 裁剪框调试图不影响输出内容，单独记录在缓存清单中（见 cropDebug 记录）
+  'cropDebug',
+  // 单图规则按文件展开为覆盖后的处理参数参与哈希，修改某条规则只会重新生成其匹配的文件
+  'rules', 'ruleMatch',
+  // 失败处理参数只决定处理能否成功，不影响成功生成的输出内容
+  'jobTimeout', 'retries', 'limitInputPixels', 'failOn', 'quarantineDir', 'quarantineMode'
+];
+
+function getManifestPath(outputDir) {
+  return path.join(outputDir, MANIFEST_FILE);
+}
+
+// 读取整个清单文件，文件不存在或版本不符时返回空清单
+function readManifestFile(outputDir) {
+  const manifestPath = getManifestPath(outputDir);
+  if (!fs.existsSync(manifestPath)) {
+    return { version: MANIFEST_VERSION, configs: {} };
+  }
+  try {
+    const data = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    if (data.version !== MANIFEST_VERSION || !data.configs) {
+      return { version: MANIFEST_VERSION, configs: {} };
+    }
+    return data;
+  } catch (error) {
+    logger.warn(`⚠️  缓存清单读取失败，将全部重新处理: ${manifestPath}`, error.message);
+    return { version: MANIFEST_VERSION, configs: {} };
+  }
+}
+
+// 读取指定配置的缓存记录: { sources: { 相对路径: { hash, size, mtimeMs, outputs } } }
+function loadManifest(outputDir, configName) {
+  const data = readManifestFile(outputDir);
+  return data.configs[configName] || { sources: {} };
+}
+
+// 写回指定配置的缓存记录（多个配置共享输出目录时保留其它配置的记录）
+function saveManifest(outputDir, configName, entry) {
+  const data = readManifestFile(outputDir);
+  data.configs[configName] = entry;
+  fs.mkdirSync(outputDir, { recursive: true });
+  const manifestPath = getManifestPath(outputDir);
+  const tempPath = `${manifestPath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+  fs.renameSync(tempPath, manifestPath);
+}
+
+// 计算源文件内容哈希；大小和修改时间与上次一致时直接复用上次的哈希
+function hashSourceFile(filePath, previous) {
+  const stat = fs.statSync(filePath);
+  if (previous && previous.hash && previous.size === stat.size && previous.mtimeMs === stat.mtimeMs) {
+    return { hash: previous.hash, size: stat.size, mtimeMs: stat.mtimeMs };
+  }
+  return { hash: hashFile(filePath), size: stat.size, mtimeMs: stat.mtimeMs };
+}
+
+// 文件内容的 SHA-256 哈希
+function hashFile(filePath) {
+  return hashBuffer(fs.readFileSync(filePath));
+}
+
+// 计算内存中数据的哈希（与写入文件后 hashFile 的结果相同）
+function hashBuffer(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+// 按键排序序列化，保证相同内容得到相同哈希
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+// 计算单个输出的有效配置哈希（配置中影响输出的部分 + 倍数 + 格式编码参数）
+function hashOutputConfig(config, scale, formatSpec) {
+  const effective = {};
+  for (const key of Object.keys(config)) {
+    if (!CACHE_IGNORED_KEYS.includes(key)) {
+      effective[key] = config[key];
+    }
+  }
+  return crypto.createHash('sha256')
+    .update(stableStringify({ config: effective, scale, format: formatSpec }))
+    .digest('hex')
+    .slice(0, 16);
+}
+
+module.exports = {
+  MANIFEST_FILE,
+  loadManifest,
+  saveManifest,
+  hashSourceFile,
+  hashFile,
+  hashBuffer,
+  hashOutputConfig,
+  stableStringify
+};
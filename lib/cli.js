@@ -0,0 +1,201 @@
+// 命令行参数解析
+
+const HELP_TEXT = `图片批处理工具
+
+用法:
+  node index.js [选项]            处理图片
+  node index.js validate [选项]   只校验配置文件，不处理图片
+  node index.js serve [选项]      启动本地图片服务，按请求实时裁剪、缩放和压缩
+
+选项:
+  -c, --config <路径>      配置文件路径（默认: 脚本目录下的 config.json）
+  --only <名称>            只运行指定名称的配置，可用逗号分隔或多次指定
+  --input <目录>           覆盖输入目录
+  --output <目录>          覆盖输出目录
+  --width <像素>           覆盖目标宽度
+  --height <像素>          覆盖目标高度
+  --scales <列表>          覆盖导出倍数，如 1,2
+  --quality <0-100>        覆盖压缩品质
+  --force                  忽略增量缓存，重新处理所有文件
+  --dry-run                只打印计划生成的输出，不进行编码
+  --watch                  处理完成后持续监听输入目录，文件新增、修改或删除时自动处理
+  --concurrency <数量>     全局Worker线程数（默认取各配置 maxWorkers 的最大值，且不超过CPU核心数）
+  --nice <0-19>            降低处理进程的CPU优先级，数值越大优先级越低
+  --pipeline <模式>        处理流水线: jobs（默认，按倍数分任务）、fanout（每个源文件只解码一次）或 per-scale（原有的按倍数分组布局）
+  --report <路径>          运行结束后写入JSON格式的运行报告
+  --junit <路径>           运行结束后写入JUnit XML格式的运行报告
+  --port <端口>            serve 命令监听的端口（默认: 3000）
+  --host <地址>            serve 命令监听的地址（默认: 127.0.0.1）
+  -h, --help               显示本帮助
+
+覆盖参数会作用于所有选中的配置。
+
+退出码:
+  0  全部处理成功
+  1  发生致命错误（参数或配置错误、输出文件名冲突等）
+  2  部分文件处理失败
+`;
+
+// 需要取值的选项及其对应的字段名
+const VALUE_OPTIONS = {
+  '--config': 'config',
+  '-c': 'config',
+  '--only': 'only',
+  '--input': 'input',
+  '--output': 'output',
+  '--width': 'width',
+  '--height': 'height',
+  '--scales': 'scales',
+  '--quality': 'quality',
+  '--concurrency': 'concurrency',
+  '--nice': 'nice',
+  '--pipeline': 'pipeline',
+  '--report': 'report',
+  '--junit': 'junit',
+  '--port': 'port',
+  '--host': 'host'
+};
+
+// 开关选项及其对应的字段名
+const FLAG_OPTIONS = {
+  '--force': 'force',
+  '--dry-run': 'dryRun',
+  '--watch': 'watch',
+  '--help': 'help',
+  '-h': 'help'
+};
+
+// 解析正整数参数
+function parsePositiveInteger(value, option) {
+  if (!/^\d+$/.test(value) || Number(value) <= 0) {
+    throw new Error(`参数 ${option} 需要正整数，实际为: ${value}`);
+  }
+  return Number(value);
+}
+
+// 解析命令行参数，参数错误时抛出异常（退出码 1），返回 { command, configPath, only, overrides, force, dryRun, watch, concurrency, nice, pipeline, reportPath, junitPath, port, host, help }
+function parseCliArgs(argv) {
+  const raw = { only: [] };
+  const positionals = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (!arg.startsWith('-')) {
+      positionals.push(arg);
+      continue;
+    }
+
+    // 支持 --name=value 写法
+    const equalIndex = arg.indexOf('=');
+    const name = equalIndex > 0 ? arg.slice(0, equalIndex) : arg;
+    const inlineValue = equalIndex > 0 ? arg.slice(equalIndex + 1) : undefined;
+
+    if (FLAG_OPTIONS[name]) {
+      if (inlineValue !== undefined) {
+        throw new Error(`参数 ${name} 不接受取值`);
+      }
+      raw[FLAG_OPTIONS[name]] = true;
+      continue;
+    }
+
+    if (VALUE_OPTIONS[name]) {
+      let value = inlineValue;
+      if (value === undefined) {
+        value = argv[i + 1];
+        if (value === undefined || (value.startsWith('-') && value.length > 1)) {
+          throw new Error(`参数 ${name} 缺少取值`);
+        }
+        i++;
+      }
+      const key = VALUE_OPTIONS[name];
+      if (key === 'only') {
+        raw.only.push(...value.split(',').map(item => item.trim()).filter(Boolean));
+      } else {
+        raw[key] = value;
+      }
+      continue;
+    }
+
+    throw new Error(`未知参数: ${arg}（使用 --help 查看可用参数）`);
+  }
+
+  // 子命令之外不接受其它位置参数
+  if (positionals.length > 1) {
+    throw new Error(`多余的参数: ${positionals.slice(1).join(' ')}（使用 --help 查看用法）`);
+  }
+
+  // 命令行覆盖的配置项
+  const overrides = {};
+  if (raw.input !== undefined) {
+    overrides.inputDir = raw.input;
+  }
+  if (raw.output !== undefined) {
+    overrides.outputDir = raw.output;
+  }
+  if (raw.width !== undefined) {
+    overrides.targetWidth = parsePositiveInteger(raw.width, '--width');
+  }
+  if (raw.height !== undefined) {
+    overrides.targetHeight = parsePositiveInteger(raw.height, '--height');
+  }
+  if (raw.scales !== undefined) {
+    overrides.scales = raw.scales.split(',').map(item => parsePositiveInteger(item.trim(), '--scales'));
+    if (new Set(overrides.scales).size !== overrides.scales.length) {
+      throw new Error(`参数 --scales 不能包含重复的倍数，实际为: ${raw.scales}`);
+    }
+  }
+  if (raw.quality !== undefined) {
+    const quality = Number(raw.quality);
+    if (!/^\d+$/.test(raw.quality) || quality > 100) {
+      throw new Error(`参数 --quality 需要 0-100 的整数，实际为: ${raw.quality}`);
+    }
+    overrides.quality = quality;
+  }
+
+  // 线程池参数
+  let concurrency = null;
+  if (raw.concurrency !== undefined) {
+    concurrency = parsePositiveInteger(raw.concurrency, '--concurrency');
+  }
+  let nice = null;
+  if (raw.nice !== undefined) {
+    nice = Number(raw.nice);
+    if (!/^\d+$/.test(raw.nice) || nice > 19) {
+      throw new Error(`参数 --nice 需要 0-19 的整数，实际为: ${raw.nice}`);
+    }
+  }
+
+  // 图片服务参数
+  let port = null;
+  if (raw.port !== undefined) {
+    port = parsePositiveInteger(raw.port, '--port');
+    if (port > 65535) {
+      throw new Error(`参数 --port 需要 1-65535 的整数，实际为: ${raw.port}`);
+    }
+  }
+
+  if (raw.pipeline !== undefined && !['jobs', 'fanout', 'per-scale'].includes(raw.pipeline)) {
+    throw new Error(`参数 --pipeline 可选 jobs、fanout 或 per-scale，实际为: ${raw.pipeline}`);
+  }
+
+  return {
+    command: positionals[0] || 'run',
+    configPath: raw.config || null,
+    only: raw.only,
+    overrides,
+    force: Boolean(raw.force),
+    dryRun: Boolean(raw.dryRun),
+    watch: Boolean(raw.watch),
+    concurrency,
+    nice,
+    pipeline: raw.pipeline || 'jobs',
+    reportPath: raw.report || null,
+    junitPath: raw.junit || null,
+    port,
+    host: raw.host || null,
+    help: Boolean(raw.help)
+  };
+}
+
+module.exports = { HELP_TEXT, parseCliArgs };
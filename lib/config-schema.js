@@ -0,0 +1,545 @@
+const { FORMAT_ENCODERS, FORMAT_ALIASES } = require('./encoders');
+const { EXIF_TAG_NAMES, COLOR_PROFILES } = require('./metadata');
+const { OVERLAY_POSITIONS } = require('./overlays');
+const { RULE_OPTION_KEYS } = require('./rules');
+const { PLACEHOLDER_TYPES } = require('./placeholders');
+const { checkGlob } = require('./glob');
+
+// 配置项校验规则（JSON Schema 的精简子集）
+// type: 'string' | 'number' | 'integer' | 'boolean' | 'array' | 'object' | 'null'，可为数组表示多种类型
+// enum / minimum / maximum / minItems / items / properties / required / anyOf / check(自定义校验，返回错误信息)
+
+// glob模式（include / exclude / 单图规则的 match.glob）
+const GLOB_SCHEMA = { type: 'string', minLength: 1, check: checkGlob };
+
+const OUTPUT_FORMATS = [...Object.keys(FORMAT_ENCODERS), ...Object.keys(FORMAT_ALIASES)];
+
+// 输出格式对象中允许的编码参数
+const FORMAT_OPTION_SCHEMA = {
+  quality: { type: 'integer', minimum: 0, maximum: 100 },
+  alphaQuality: { type: 'integer', minimum: 0, maximum: 100 },
+  lossless: { type: 'boolean' },
+  nearLossless: { type: 'boolean' },
+  smartSubsample: { type: 'boolean' },
+  effort: { type: 'integer', minimum: 0, maximum: 10 },
+  chromaSubsampling: { type: 'string', enum: ['4:4:4', '4:2:0'] },
+  progressive: { type: 'boolean' },
+  mozjpeg: { type: 'boolean' },
+  compressionLevel: { type: 'integer', minimum: 0, maximum: 9 },
+  palette: { type: 'boolean' },
+  background: { type: 'string' }
+};
+
+const FORMAT_OBJECT_SCHEMA = {
+  type: 'object',
+  required: ['format'],
+  properties: {
+    format: { type: 'string', enum: OUTPUT_FORMATS },
+    ...FORMAT_OPTION_SCHEMA
+  },
+  // 编码参数必须是该格式支持的参数
+  check: (value) => {
+    const format = FORMAT_ALIASES[value.format] || value.format;
+    const encoder = FORMAT_ENCODERS[format];
+    if (!encoder) {
+      return null;
+    }
+    const allowed = [...encoder.options, 'format', ...(format === 'jpeg' ? ['background'] : [])];
+    const invalid = Object.keys(value).filter(key => FORMAT_OPTION_SCHEMA[key] && !allowed.includes(key));
+    return invalid.length > 0 ? `格式 ${format} 不支持编码参数: ${invalid.join(', ')}` : null;
+  }
+};
+
+// 各类型叠加层可用的参数
+const OVERLAY_TYPE_OPTIONS = {
+  image: ['input', 'width', 'height'],
+  text: ['text', 'fontSize', 'fontFamily', 'fontWeight', 'color']
+};
+
+// 叠加层（水印）
+const OVERLAY_SCHEMA = {
+  type: 'object',
+  required: ['type'],
+  properties: {
+    type: { type: 'string', enum: Object.keys(OVERLAY_TYPE_OPTIONS) },
+    position: { type: 'string', enum: OVERLAY_POSITIONS },
+    margin: { type: 'number', minimum: 0 },
+    opacity: { type: 'number', minimum: 0, maximum: 1 },
+    input: { type: 'string', minLength: 1 },
+    width: { type: 'number', minimum: 0, maximum: 1, check: value => (value > 0 ? null : '应大于 0') },
+    height: { type: 'number', minimum: 0, maximum: 1, check: value => (value > 0 ? null : '应大于 0') },
+    text: { type: 'string', minLength: 1 },
+    fontSize: { type: 'number', minimum: 1 },
+    fontFamily: { type: 'string', minLength: 1 },
+    fontWeight: { type: ['string', 'integer'] },
+    color: { type: 'string', minLength: 1 }
+  },
+  // 图片叠加层需要 input，文字叠加层需要 text，且不能使用另一类型的参数
+  check: (value) => {
+    const options = OVERLAY_TYPE_OPTIONS[value.type];
+    if (!options) {
+      return null;
+    }
+    const required = value.type === 'image' ? 'input' : 'text';
+    if (value[required] === undefined) {
+      return `${value.type} 叠加层缺少必填项 ${required}`;
+    }
+    const otherOptions = Object.values(OVERLAY_TYPE_OPTIONS).flat().filter(key => !options.includes(key));
+    const invalid = Object.keys(value).filter(key => otherOptions.includes(key));
+    return invalid.length > 0 ? `${value.type} 叠加层不支持参数: ${invalid.join(', ')}` : null;
+  }
+};
+
+// 单图规则的匹配条件，全部满足时规则生效
+const RULE_MATCH_SCHEMA = {
+  type: 'object',
+  properties: {
+    glob: {
+      anyOf: [
+        GLOB_SCHEMA,
+        { type: 'array', minItems: 1, items: GLOB_SCHEMA }
+      ]
+    },
+    regex: {
+      type: 'string',
+      minLength: 1,
+      check: (value) => {
+        try {
+          new RegExp(value);
+          return null;
+        } catch (error) {
+          return `无效的正则表达式: ${error.message}`;
+        }
+      }
+    },
+    minWidth: { type: 'integer', minimum: 1 },
+    maxWidth: { type: 'integer', minimum: 1 },
+    minHeight: { type: 'integer', minimum: 1 },
+    maxHeight: { type: 'integer', minimum: 1 },
+    hasAlpha: { type: 'boolean' },
+    minAspectRatio: { type: 'number', minimum: 0 },
+    maxAspectRatio: { type: 'number', minimum: 0 }
+  },
+  check: value => (Object.keys(value).length > 0 ? null : '至少需要 1 个匹配条件')
+};
+
+// 数值或按倍数设置的数值对象（键为倍数，如 { "1": 50000, "2": 100000 }）
+function perScaleNumber(rule) {
+  return {
+    anyOf: [
+      rule,
+      {
+        type: 'object',
+        check: (value) => {
+          for (const [scale, item] of Object.entries(value)) {
+            if (!/^[1-9]\d*$/.test(scale)) {
+              return `键应为倍数（正整数），实际为 "${scale}"`;
+            }
+            const errors = [];
+            validateValue(item, rule, scale, errors);
+            if (errors.length > 0) {
+              return `倍数 ${scale}: ${errors[0].message}`;
+            }
+          }
+          return null;
+        }
+      }
+    ]
+  };
+}
+
+const CONFIG_SCHEMA = {
+  name: { type: 'string', minLength: 1 },
+  inputDir: { type: 'string', minLength: 1 },
+  outputDir: { type: 'string', minLength: 1 },
+  targetWidth: { type: 'integer', minimum: 1 },
+  targetHeight: { type: 'integer', minimum: 1 },
+  cropPosition: {
+    anyOf: [
+      {
+        type: 'string',
+        enum: [
+          'top-left', 'top', 'top-right', 'left', 'center', 'right', 'bottom-left', 'bottom', 'bottom-right',
+          'entropy', 'attention'
+        ]
+      },
+      {
+        type: 'object',
+        required: ['x', 'y'],
+        properties: {
+          x: { type: 'number', minimum: 0, maximum: 1 },
+          y: { type: 'number', minimum: 0, maximum: 1 }
+        }
+      }
+    ]
+  },
+  focalPointSidecar: { type: 'boolean' },
+  autoOrient: { type: 'boolean' },
+  colorProfile: { type: 'string', enum: COLOR_PROFILES },
+  metadata: {
+    anyOf: [
+      { type: 'string', enum: ['strip', 'keep'] },
+      {
+        type: 'object',
+        properties: {
+          exif: {
+            anyOf: [
+              { type: 'boolean' },
+              { type: 'array', items: { type: 'string', enum: EXIF_TAG_NAMES }, uniqueItems: true }
+            ]
+          },
+          xmp: { type: 'boolean' }
+        }
+      }
+    ]
+  },
+  animated: { type: 'boolean' },
+  maxFrames: { type: 'integer', minimum: 1 },
+  maxAnimationPixels: { type: 'integer', minimum: 1 },
+  cropDebug: { type: 'boolean' },
+  fit: { type: 'string', enum: ['cover', 'contain', 'inside', 'outside'] },
+  background: { type: 'string', minLength: 1 },
+  blurSigma: { type: 'number', minimum: 0.3, maximum: 1000 },
+  withoutEnlargement: { type: 'boolean' },
+  scales: { type: 'array', minItems: 1, items: { type: 'integer', minimum: 1 }, uniqueItems: true },
+  quality: { type: 'integer', minimum: 0, maximum: 100 },
+  maxBytes: perScaleNumber({ type: 'integer', minimum: 1 }),
+  minQuality: perScaleNumber({ type: 'integer', minimum: 0, maximum: 100 }),
+  qualityGuard: {
+    type: ['object', 'null'],
+    required: ['minSsim'],
+    properties: {
+      minSsim: { type: 'number', minimum: 0, maximum: 1 },
+      mode: { type: 'string', enum: ['flag', 'target'] }
+    }
+  },
+  formats: {
+    type: 'array',
+    minItems: 1,
+    items: { anyOf: [{ type: 'string', enum: OUTPUT_FORMATS }, FORMAT_OBJECT_SCHEMA] }
+  },
+  overlays: { type: 'array', items: OVERLAY_SCHEMA },
+  ruleMatch: { type: 'string', enum: ['first', 'last'] },
+  keepOriginalSize: { type: 'boolean' },
+  maxWorkers: { type: 'integer', minimum: 1 },
+  jobTimeout: { type: 'integer', minimum: 0 },
+  retries: { type: 'integer', minimum: 0, maximum: 10 },
+  limitInputPixels: { type: 'integer', minimum: 1 },
+  failOn: { type: 'string', enum: ['none', 'truncated', 'error', 'warning'] },
+  quarantineDir: { type: ['string', 'null'], minLength: 1 },
+  quarantineMode: { type: 'string', enum: ['list', 'move'] },
+  threadsPerScale: { type: 'integer', minimum: 1 },
+  supportedFormats: {
+    type: 'array',
+    items: {
+      type: 'string',
+      check: value => (value.startsWith('.') ? null : `扩展名需要以 "." 开头，如 ".${value}"`)
+    }
+  },
+  cache: { type: 'boolean' },
+  recursive: { type: 'boolean' },
+  include: { type: 'array', items: GLOB_SCHEMA },
+  exclude: { type: 'array', items: GLOB_SCHEMA },
+  followSymlinks: { type: 'boolean' },
+  includeHidden: { type: 'boolean' },
+  layout: { type: 'string', enum: ['folders', 'suffix'] },
+  filenameTemplate: { type: ['string', 'null'], minLength: 1 },
+  onConflict: { type: 'string', enum: ['error', 'suffix', 'overwrite'] },
+  serve: {
+    type: ['object', 'null'],
+    properties: {
+      widths: { type: 'array', items: { type: 'integer', minimum: 1 }, uniqueItems: true },
+      qualities: { type: 'array', items: { type: 'integer', minimum: 0, maximum: 100 }, uniqueItems: true },
+      maxAge: { type: 'integer', minimum: 0 },
+      cacheMaxSize: { type: 'number', minimum: 0 }
+    }
+  },
+  responsive: {
+    type: ['object', 'null'],
+    properties: {
+      fileName: {
+        type: 'string',
+        minLength: 1,
+        check: value => (/^[^/\\]+$/.test(value) && !value.startsWith('.') ? null : '只能是文件名（不含目录，且不以 "." 开头）')
+      },
+      manifest: { type: 'boolean' },
+      html: { type: 'boolean' },
+      module: { type: ['boolean', 'string'], enum: [false, 'esm', 'cjs'] },
+      publicPath: { type: 'string' },
+      sizes: { type: ['string', 'null'], minLength: 1 }
+    }
+  },
+  atlas: {
+    type: ['object', 'null'],
+    properties: {
+      fileName: {
+        type: 'string',
+        minLength: 1,
+        check: value => (/^[^/\\]+$/.test(value) && !value.startsWith('.') ? null : '只能是文件名（不含目录，且不以 "." 开头）')
+      },
+      maxWidth: { type: 'integer', minimum: 1, maximum: 16384 },
+      maxHeight: { type: 'integer', minimum: 1, maximum: 16384 },
+      padding: { type: 'integer', minimum: 0 },
+      trim: { type: 'boolean' },
+      css: { type: 'boolean' },
+      cssPrefix: { type: ['string', 'null'] }
+    }
+  },
+  placeholders: {
+    type: ['object', 'null'],
+    properties: {
+      fileName: {
+        type: 'string',
+        minLength: 1,
+        check: value => (/^[^/\\]+$/.test(value) && !value.startsWith('.') ? null : '只能是文件名（不含目录，且不以 "." 开头）')
+      },
+      types: { type: 'array', minItems: 1, items: { type: 'string', enum: PLACEHOLDER_TYPES }, uniqueItems: true },
+      lqipSize: { type: 'integer', minimum: 1, maximum: 64 },
+      lqipQuality: { type: 'integer', minimum: 1, maximum: 100 },
+      blurhashComponents: {
+        type: 'array',
+        items: { type: 'integer', minimum: 1, maximum: 9 },
+        check: value => (value.length === 2 ? null : '必须为 [横向分量数, 纵向分量数]')
+      }
+    }
+  }
+};
+
+// 单图规则：options 复用配置项的校验规则，但只能覆盖处理参数
+CONFIG_SCHEMA.rules = {
+  type: 'array',
+  items: {
+    type: 'object',
+    required: ['match', 'options'],
+    properties: {
+      name: { type: 'string', minLength: 1 },
+      match: RULE_MATCH_SCHEMA,
+      options: {
+        type: 'object',
+        properties: CONFIG_SCHEMA,
+        check: (value) => {
+          const invalid = Object.keys(value).filter(key => CONFIG_SCHEMA[key] && !RULE_OPTION_KEYS.includes(key));
+          return invalid.length > 0 ? `以下配置项不能按文件覆盖: ${invalid.join(', ')}` : null;
+        }
+      }
+    }
+  }
+};
+
+const TYPE_NAMES = {
+  string: '字符串',
+  number: '数字',
+  integer: '整数',
+  boolean: '布尔值',
+  array: '数组',
+  object: '对象',
+  null: 'null'
+};
+
+// 获取值的类型名
+function getValueType(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  return typeof value;
+}
+
+// 判断值是否符合指定类型
+function matchesType(value, type) {
+  if (type === 'integer') {
+    return Number.isInteger(value);
+  }
+  if (type === 'number') {
+    return typeof value === 'number' && Number.isFinite(value);
+  }
+  return getValueType(value) === type;
+}
+
+// 编辑距离，用于给未知配置项提供拼写建议
+function levenshtein(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const temp = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1].toLowerCase() === b[j - 1].toLowerCase() ? 0 : 1)
+      );
+      diagonal = temp;
+    }
+  }
+  return previous[b.length];
+}
+
+// 为未知配置项查找最接近的已知配置项
+function suggestKey(key, knownKeys) {
+  let best = null;
+  let bestDistance = Infinity;
+  for (const known of knownKeys) {
+    const distance = levenshtein(key, known);
+    if (distance < bestDistance) {
+      best = known;
+      bestDistance = distance;
+    }
+  }
+  return bestDistance <= Math.max(2, Math.floor(key.length / 3)) ? best : null;
+}
+
+// 按规则校验单个值，错误追加到 errors: [{ path, message }]
+function validateValue(value, rule, valuePath, errors) {
+  if (rule.anyOf) {
+    // 依次尝试各候选规则，全部不符合时报告与值类型最匹配的那条规则的错误
+    let bestErrors = null;
+    for (const candidate of rule.anyOf) {
+      const candidateErrors = [];
+      validateValue(value, candidate, valuePath, candidateErrors);
+      if (candidateErrors.length === 0) {
+        return;
+      }
+      const types = [].concat(candidate.type || []);
+      if (!bestErrors || types.some(type => matchesType(value, type))) {
+        bestErrors = candidateErrors;
+      }
+    }
+    errors.push(...bestErrors);
+    return;
+  }
+
+  if (rule.type) {
+    const types = [].concat(rule.type);
+    if (!types.some(type => matchesType(value, type))) {
+      const expected = types.map(type => TYPE_NAMES[type]).join(' 或 ');
+      errors.push({ path: valuePath, message: `应为${expected}，实际为${TYPE_NAMES[getValueType(value)] || getValueType(value)} ${JSON.stringify(value)}` });
+      return;
+    }
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    errors.push({ path: valuePath, message: `无效取值 ${JSON.stringify(value)}，可选: ${rule.enum.map(item => JSON.stringify(item)).join(', ')}` });
+    return;
+  }
+
+  if (typeof value === 'number') {
+    if (rule.minimum !== undefined && value < rule.minimum) {
+      errors.push({ path: valuePath, message: `不能小于 ${rule.minimum}，实际为 ${value}` });
+    }
+    if (rule.maximum !== undefined && value > rule.maximum) {
+      errors.push({ path: valuePath, message: `不能大于 ${rule.maximum}，实际为 ${value}` });
+    }
+  }
+
+  if (typeof value === 'string' && rule.minLength !== undefined && value.length < rule.minLength) {
+    errors.push({ path: valuePath, message: '不能为空字符串' });
+  }
+
+  if (Array.isArray(value)) {
+    if (rule.minItems !== undefined && value.length < rule.minItems) {
+      errors.push({ path: valuePath, message: `至少需要 ${rule.minItems} 项` });
+    }
+    if (rule.uniqueItems && new Set(value.map(item => JSON.stringify(item))).size !== value.length) {
+      errors.push({ path: valuePath, message: '不能包含重复项' });
+    }
+    if (rule.items) {
+      value.forEach((item, index) => validateValue(item, rule.items, `${valuePath}[${index}]`, errors));
+    }
+  }
+
+  if (getValueType(value) === 'object' && rule.properties) {
+    validateObject(value, rule, valuePath, errors);
+  }
+
+  if (rule.check) {
+    const message = rule.check(value);
+    if (message) {
+      errors.push({ path: valuePath, message });
+    }
+  }
+}
+
+// 校验对象：必填项、未知项及各属性
+function validateObject(value, rule, valuePath, errors) {
+  const knownKeys = Object.keys(rule.properties);
+  for (const key of rule.required || []) {
+    if (value[key] === undefined) {
+      errors.push({ path: `${valuePath}.${key}`, message: '缺少必填项' });
+    }
+  }
+  for (const key of Object.keys(value)) {
+    const propertyPath = `${valuePath}.${key}`;
+    if (!rule.properties[key]) {
+      const suggestion = suggestKey(key, knownKeys);
+      errors.push({ path: propertyPath, message: `未知配置项${suggestion ? `（是否应为 "${suggestion}"？）` : ''}` });
+      continue;
+    }
+    validateValue(value[key], rule.properties[key], propertyPath, errors);
+  }
+}
+
+// 校验单个配置对象，返回 [{ configName, path, message }]
+function validateConfig(config, configPath) {
+  const configName = config && typeof config.name === 'string' ? config.name : '未命名配置';
+  const errors = [];
+  if (getValueType(config) !== 'object') {
+    errors.push({ path: configPath, message: `应为对象，实际为${TYPE_NAMES[getValueType(config)] || getValueType(config)}` });
+  } else {
+    validateObject(config, { properties: CONFIG_SCHEMA }, configPath, errors);
+  }
+  return errors.map(error => ({ configName, ...error }));
+}
+
+// 校验整个配置文件内容（配置数组格式或旧的单一配置格式），返回错误列表
+function validateConfigFile(configData) {
+  if (getValueType(configData) !== 'object') {
+    return [{ configName: null, path: '$', message: '配置文件顶层应为对象' }];
+  }
+
+  // 旧的单一配置格式
+  if (configData.configs === undefined) {
+    return validateConfig(configData, '$');
+  }
+
+  const errors = [];
+  for (const key of Object.keys(configData)) {
+    if (key !== 'configs') {
+      errors.push({ configName: null, path: key, message: '未知的顶层配置项（配置数组格式下只允许 "configs"）' });
+    }
+  }
+  if (!Array.isArray(configData.configs)) {
+    errors.push({ configName: null, path: 'configs', message: '应为数组' });
+    return errors;
+  }
+  if (configData.configs.length === 0) {
+    errors.push({ configName: null, path: 'configs', message: '至少需要 1 个配置' });
+  }
+
+  const seenNames = new Map();
+  configData.configs.forEach((config, index) => {
+    const configPath = `configs[${index}]`;
+    errors.push(...validateConfig(config, configPath));
+
+    // 配置名称用于 --only 筛选和缓存清单，必须唯一
+    const name = config && typeof config.name === 'string' ? config.name : '未命名配置';
+    if (seenNames.has(name)) {
+      errors.push({ configName: name, path: `${configPath}.name`, message: `配置名称与 configs[${seenNames.get(name)}] 重复` });
+    } else {
+      seenNames.set(name, index);
+    }
+  });
+  return errors;
+}
+
+// 将错误列表格式化为多行文本
+function formatValidationErrors(errors) {
+  return errors.map(error => {
+    const prefix = error.configName ? `配置 "${error.configName}" ` : '';
+    return `   ${prefix}${error.path}: ${error.message}`;
+  }).join('\n');
+}
+
+module.exports = { CONFIG_SCHEMA, validateConfig, validateConfigFile, formatValidationErrors };
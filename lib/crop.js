@@ -0,0 +1,142 @@
+const sharp = require('sharp');
+
+// 裁剪区域计算：九宫格方位、焦点坐标和智能裁剪（entropy / attention）
+// 裁剪区域为原图坐标 { left, top, width, height }，宽高比与目标尺寸一致
+
+// 九宫格裁剪方位对应的锚点比例（0 为左/上边缘，1 为右/下边缘）
+const CROP_GRAVITY = {
+  'top-left': { x: 0, y: 0 },
+  'top': { x: 0.5, y: 0 },
+  'top-right': { x: 1, y: 0 },
+  'left': { x: 0, y: 0.5 },
+  'center': { x: 0.5, y: 0.5 },
+  'right': { x: 1, y: 0.5 },
+  'bottom-left': { x: 0, y: 1 },
+  'bottom': { x: 0.5, y: 1 },
+  'bottom-right': { x: 1, y: 1 }
+};
+
+// 智能裁剪策略：entropy 选择信息量（熵）最高的区域，attention 选择显著性最高的区域（偏好肤色、高饱和度和高亮部分）
+const SMART_CROP_STRATEGIES = ['entropy', 'attention'];
+
+// 智能裁剪使用的预览图最大边长
+const SMART_CROP_PREVIEW_SIZE = 512;
+
+// 将裁剪位置解析为锚点: { x, y, focal }，focal 为 true 表示以该点为中心裁剪
+function resolveCropAnchor(cropPosition, source = 'cropPosition') {
+  // 智能裁剪在 resolveCropArea 中按图像内容计算，这里按居中兜底
+  if (cropPosition === undefined || cropPosition === null || SMART_CROP_STRATEGIES.includes(cropPosition)) {
+    return { ...CROP_GRAVITY.center, focal: false };
+  }
+  if (typeof cropPosition === 'string') {
+    const gravity = CROP_GRAVITY[cropPosition];
+    if (!gravity) {
+      throw new Error(`${source} 中的裁剪位置无效: ${cropPosition}（可选: ${Object.keys(CROP_GRAVITY).join(', ')}）`);
+    }
+    return { ...gravity, focal: false };
+  }
+  
+  const { x, y } = cropPosition;
+  const isFraction = value => typeof value === 'number' && value >= 0 && value <= 1;
+  if (!isFraction(x) || !isFraction(y)) {
+    throw new Error(`${source} 中的焦点坐标无效: ${JSON.stringify(cropPosition)}（x、y 需为 0-1 之间的比例）`);
+  }
+  return { x, y, focal: true };
+}
+
+// 计算裁剪区域
+function calculateCropArea(originalWidth, originalHeight, targetWidth, targetHeight, cropPosition) {
+  // 计算目标宽高比
+  const targetRatio = targetWidth / targetHeight;
+  const originalRatio = originalWidth / originalHeight;
+  
+  let cropWidth, cropHeight;
+  
+  if (originalRatio > targetRatio) {
+    // 原图更宽，需要裁剪宽度
+    cropHeight = originalHeight;
+    cropWidth = Math.round(originalHeight * targetRatio);
+  } else {
+    // 原图更高，需要裁剪高度
+    cropWidth = originalWidth;
+    cropHeight = Math.round(originalWidth / targetRatio);
+  }
+  
+  // 根据裁剪位置计算水平和垂直偏移
+  const anchor = resolveCropAnchor(cropPosition);
+  const maxLeft = Math.max(0, originalWidth - cropWidth);
+  const maxTop = Math.max(0, originalHeight - cropHeight);
+  let left, top;
+  
+  if (anchor.focal) {
+    // 焦点模式：裁剪框中心尽量对准焦点，超出边缘时贴边
+    left = Math.min(maxLeft, Math.max(0, Math.round(anchor.x * originalWidth - cropWidth / 2)));
+    top = Math.min(maxTop, Math.max(0, Math.round(anchor.y * originalHeight - cropHeight / 2)));
+  } else {
+    // 方位模式：按锚点比例分配多余的宽高
+    left = Math.round(maxLeft * anchor.x);
+    top = Math.round(maxTop * anchor.y);
+  }
+  
+  return {
+    left: Math.max(0, left),
+    top: Math.max(0, top),
+    width: Math.min(cropWidth, originalWidth),
+    height: Math.min(cropHeight, originalHeight)
+  };
+}
+
+// 创建图片处理实例：input 为源文件Buffer，或已解码的sharp实例（通过 clone() 复用解码结果，不再重复解码）
+function openImage(input) {
+  return input instanceof sharp ? input.clone() : sharp(input);
+}
+
+// 智能裁剪：在缩小的预览图上使用sharp的裁剪策略找出目标宽高比下最显著的区域，再换算回原图坐标
+async function calculateSmartCropArea(input, originalWidth, originalHeight, targetWidth, targetHeight, strategy) {
+  const cropArea = calculateCropArea(originalWidth, originalHeight, targetWidth, targetHeight, 'center');
+  if (cropArea.width === originalWidth && cropArea.height === originalHeight) {
+    return cropArea; // 宽高比一致，无需裁剪
+  }
+  
+  const previewScale = Math.min(1, SMART_CROP_PREVIEW_SIZE / Math.max(originalWidth, originalHeight));
+  const previewWidth = Math.max(1, Math.round(originalWidth * previewScale));
+  const previewHeight = Math.max(1, Math.round(originalHeight * previewScale));
+  const { data, info } = await openImage(input)
+    .resize(previewWidth, previewHeight, { fit: 'fill' })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  
+  // 预览图上的裁剪框与原图裁剪框等比，使用 cover 只裁剪不缩放，sharp 会返回选中区域的偏移（负值）
+  const { info: cropInfo } = await sharp(data, { raw: { width: info.width, height: info.height, channels: info.channels } })
+    .resize(
+      Math.max(1, Math.min(previewWidth, Math.round(cropArea.width * previewScale))),
+      Math.max(1, Math.min(previewHeight, Math.round(cropArea.height * previewScale))),
+      { fit: 'cover', position: sharp.strategy[strategy] }
+    )
+    .toBuffer({ resolveWithObject: true });
+  
+  const left = Math.round(Math.abs(cropInfo.cropOffsetLeft || 0) / previewScale);
+  const top = Math.round(Math.abs(cropInfo.cropOffsetTop || 0) / previewScale);
+  return {
+    ...cropArea,
+    left: Math.min(originalWidth - cropArea.width, Math.max(0, left)),
+    top: Math.min(originalHeight - cropArea.height, Math.max(0, top))
+  };
+}
+
+// 计算裁剪区域：智能裁剪需要分析图像内容，其它裁剪位置直接按几何计算
+async function resolveCropArea(input, originalWidth, originalHeight, targetWidth, targetHeight, cropPosition) {
+  if (SMART_CROP_STRATEGIES.includes(cropPosition)) {
+    return calculateSmartCropArea(input, originalWidth, originalHeight, targetWidth, targetHeight, cropPosition);
+  }
+  return calculateCropArea(originalWidth, originalHeight, targetWidth, targetHeight, cropPosition);
+}
+
+module.exports = {
+  CROP_GRAVITY,
+  SMART_CROP_STRATEGIES,
+  resolveCropAnchor,
+  calculateCropArea,
+  openImage,
+  resolveCropArea
+};
@@ -0,0 +1,152 @@
+// 输出格式编码器定义：扩展名、sharp编码方法及允许透传的编码参数
+const FORMAT_ENCODERS = {
+  webp: {
+    extension: '.webp',
+    method: 'webp',
+    options: ['quality', 'alphaQuality', 'lossless', 'nearLossless', 'smartSubsample', 'effort']
+  },
+  avif: {
+    extension: '.avif',
+    method: 'avif',
+    options: ['quality', 'lossless', 'effort', 'chromaSubsampling']
+  },
+  jpeg: {
+    extension: '.jpg',
+    method: 'jpeg',
+    options: ['quality', 'progressive', 'chromaSubsampling', 'mozjpeg']
+  },
+  png: {
+    extension: '.png',
+    method: 'png',
+    options: ['quality', 'progressive', 'compressionLevel', 'palette', 'effort']
+  }
+};
+
+// 格式别名
+const FORMAT_ALIASES = { jpg: 'jpeg' };
+
+// 将配置中的 formats 规范化为 [{ format, extension, options }]
+// 支持字符串写法 "avif" 和对象写法 { "format": "avif", "quality": 50, "effort": 4 }
+function normalizeFormats(config) {
+  const formats = Array.isArray(config.formats) && config.formats.length > 0 ? config.formats : ['webp'];
+
+  return formats.map(item => {
+    const spec = typeof item === 'string' ? { format: item } : { ...item };
+    const rawFormat = String(spec.format || '').toLowerCase();
+    const format = FORMAT_ALIASES[rawFormat] || rawFormat;
+    const encoder = FORMAT_ENCODERS[format];
+    if (!encoder) {
+      throw new Error(`不支持的输出格式: ${spec.format}（可选: ${Object.keys(FORMAT_ENCODERS).join(', ')}）`);
+    }
+
+    // 未单独指定品质时沿用配置级 quality（PNG设置quality会启用调色板量化，因此仅在显式指定时生效）
+    const options = format === 'png' ? {} : { quality: config.quality };
+    for (const key of encoder.options) {
+      if (spec[key] !== undefined) {
+        options[key] = spec[key];
+      }
+    }
+
+    return {
+      format,
+      extension: encoder.extension,
+      options,
+      // JPEG不支持透明通道，按此颜色铺底
+      background: spec.background || '#ffffff'
+    };
+  });
+}
+
+// 为pipeline附加指定格式的编码器
+function applyEncoder(pipeline, formatSpec) {
+  const encoder = FORMAT_ENCODERS[formatSpec.format];
+  if (formatSpec.format === 'jpeg') {
+    pipeline = pipeline.flatten({ background: formatSpec.background });
+  }
+  return pipeline[encoder.method](formatSpec.options);
+}
+
+// 大小预算下品质搜索的默认最低品质
+const DEFAULT_MIN_QUALITY = 30;
+
+// 取按倍数设置的配置值：数值对所有倍数生效，对象按倍数取值，如 { "1": 50000, "2": 100000 }
+function pickScaleValue(value, scale) {
+  return value !== null && typeof value === 'object' ? value[String(scale)] : value;
+}
+
+// 品质搜索（大小预算、SSIM目标）的最低品质
+function getMinQuality(config, scale) {
+  const minQuality = pickScaleValue(config.minQuality, scale);
+  return minQuality === undefined || minQuality === null ? DEFAULT_MIN_QUALITY : minQuality;
+}
+
+// 获取某个倍数的大小预算 { maxBytes, minQuality }，未设置时返回 null
+function getSizeBudget(config, scale) {
+  const maxBytes = pickScaleValue(config.maxBytes, scale);
+  if (!maxBytes) {
+    return null;
+  }
+  return { maxBytes, minQuality: getMinQuality(config, scale) };
+}
+
+// 格式是否可以通过品质参数调整压缩程度（无损编码和未指定 quality 的PNG不可以）
+function isQualityAdjustable(formatSpec) {
+  return formatSpec.options.quality !== undefined && !formatSpec.options.lossless;
+}
+
+// 按指定品质编码为Buffer，返回 { data, info }
+function encodeAtQuality(pipeline, formatSpec, quality) {
+  const spec = quality === null ? formatSpec : { ...formatSpec, options: { ...formatSpec.options, quality } };
+  return applyEncoder(pipeline.clone(), spec).toBuffer({ resolveWithObject: true });
+}
+
+// 在大小预算内编码：以配置的品质为上限，二分查找不超过 maxBytes 的最高品质
+// 返回 { data, info, quality, overBudget }；最低品质仍超出预算时返回最低品质的结果并标记 overBudget，
+// 无损编码或未使用品质参数的格式（如未指定 quality 的PNG）只编码一次，quality 为 null
+async function encodeWithinBudget(pipeline, formatSpec, { maxBytes, minQuality }) {
+  const maxQuality = formatSpec.options.quality;
+  if (!isQualityAdjustable(formatSpec)) {
+    const result = await encodeAtQuality(pipeline, formatSpec, null);
+    return { ...result, quality: null, overBudget: result.data.length > maxBytes };
+  }
+
+  // 大部分输出在配置的品质下即可满足预算，只需编码一次
+  let best = await encodeAtQuality(pipeline, formatSpec, maxQuality);
+  if (best.data.length <= maxBytes) {
+    return { ...best, quality: maxQuality, overBudget: false };
+  }
+
+  const lowest = Math.min(minQuality, maxQuality);
+  best = await encodeAtQuality(pipeline, formatSpec, lowest);
+  if (best.data.length > maxBytes || lowest === maxQuality) {
+    return { ...best, quality: lowest, overBudget: best.data.length > maxBytes };
+  }
+
+  // 区间 (low, high) 内查找：low 满足预算，high 超出预算
+  let low = lowest;
+  let high = maxQuality;
+  while (high - low > 1) {
+    const quality = Math.floor((low + high) / 2);
+    const result = await encodeAtQuality(pipeline, formatSpec, quality);
+    if (result.data.length <= maxBytes) {
+      low = quality;
+      best = result;
+    } else {
+      high = quality;
+    }
+  }
+  return { ...best, quality: low, overBudget: false };
+}
+
+module.exports = {
+  FORMAT_ENCODERS,
+  FORMAT_ALIASES,
+  DEFAULT_MIN_QUALITY,
+  normalizeFormats,
+  applyEncoder,
+  getMinQuality,
+  getSizeBudget,
+  isQualityAdjustable,
+  encodeAtQuality,
+  encodeWithinBudget
+};
@@ -0,0 +1,11 @@
+const path = require('path');
+
+// 文件名冲突时使用的序号后缀（输出文件名冲突、隔离目录中的同名文件）
+
+// 在 "/" 分隔的相对路径的文件名后追加序号: x1/banner.webp → x1/banner-1.webp
+function appendOutputSuffix(key, index) {
+  const ext = path.posix.extname(key);
+  return `${key.slice(0, key.length - ext.length)}-${index}${ext}`;
+}
+
+module.exports = { appendOutputSuffix };
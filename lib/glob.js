@@ -0,0 +1,117 @@
+// 轻量glob匹配，支持 **、*、?、[abc]、{a,b}
+// 路径统一使用 "/" 分隔，且相对于输入目录
+
+const regExpCache = new Map();
+
+// 转义正则特殊字符
+function escapeRegExp(char) {
+  return /[\\^$.*+?()[\]{}|/]/.test(char) ? `\\${char}` : char;
+}
+
+// 查找有对应 "}" 的 "{" 的位置（跳过 [...] 字符集），未闭合的 "{" 按字面匹配
+function findClosedBraces(pattern) {
+  const closed = new Set();
+  const open = [];
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '[') {
+      const end = pattern.indexOf(']', i + 1);
+      if (end !== -1) {
+        i = end;
+      }
+    } else if (char === '{') {
+      open.push(i);
+    } else if (char === '}' && open.length > 0) {
+      closed.add(open.pop());
+    }
+  }
+  return closed;
+}
+
+// 将glob模式转换为正则表达式
+// 字符集中的无效范围（如 [z-a]）会抛出 SyntaxError，配置校验时通过 checkGlob 提前报告
+function globToRegExp(pattern) {
+  if (regExpCache.has(pattern)) {
+    return regExpCache.get(pattern);
+  }
+
+  let source = '';
+  let braceDepth = 0;
+  const closedBraces = findClosedBraces(pattern);
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '*') {
+      if (pattern[i + 1] === '*') {
+        // "**/" 匹配零个或多个目录，单独的 "**" 匹配任意字符（含 "/"）
+        if (pattern[i + 2] === '/') {
+          source += '(?:.*/)?';
+          i += 2;
+        } else {
+          source += '.*';
+          i += 1;
+        }
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const end = pattern.indexOf(']', i + 1);
+      if (end === -1) {
+        source += '\\[';
+      } else {
+        let set = pattern.slice(i + 1, end).replace(/\\/g, '\\\\');
+        if (set.startsWith('!')) {
+          set = `^${set.slice(1)}`;
+        }
+        source += `[${set}]`;
+        i = end;
+      }
+    } else if (char === '{' && closedBraces.has(i)) {
+      braceDepth++;
+      source += '(?:';
+    } else if (char === '}' && braceDepth > 0) {
+      braceDepth--;
+      source += ')';
+    } else if (char === ',' && braceDepth > 0) {
+      source += '|';
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+
+  const regExp = new RegExp(`^${source}$`);
+  regExpCache.set(pattern, regExp);
+  return regExp;
+}
+
+// 校验glob模式，无效时返回错误信息
+function checkGlob(pattern) {
+  try {
+    globToRegExp(pattern);
+    return null;
+  } catch (error) {
+    return `无效的glob模式: ${error.message}`;
+  }
+}
+
+// 判断相对路径是否匹配某个glob模式
+// 与 .gitignore 类似：不含 "/" 的模式只匹配文件名，可出现在任意层级
+function matchGlob(relativePath, pattern) {
+  const normalizedPath = relativePath.split('\\').join('/');
+  const normalizedPattern = pattern.replace(/^\.\//, '');
+  if (!normalizedPattern.includes('/')) {
+    const baseName = normalizedPath.slice(normalizedPath.lastIndexOf('/') + 1);
+    return globToRegExp(normalizedPattern).test(baseName);
+  }
+  return globToRegExp(normalizedPattern).test(normalizedPath);
+}
+
+// 判断相对路径是否匹配任意一个glob模式
+function matchAnyGlob(relativePath, patterns) {
+  return patterns.some(pattern => matchGlob(relativePath, pattern));
+}
+
+module.exports = { globToRegExp, checkGlob, matchGlob, matchAnyGlob };
@@ -0,0 +1,207 @@
+const fs = require('fs');
+
+// 图片服务（serve 命令）使用的HTTP工具函数
+
+const CONTENT_TYPES = {
+  avif: 'image/avif',
+  webp: 'image/webp',
+  jpeg: 'image/jpeg',
+  png: 'image/png'
+};
+
+// 请求路径中的扩展名对应的输出格式
+const EXTENSION_FORMATS = {
+  '.avif': 'avif',
+  '.webp': 'webp',
+  '.jpg': 'jpeg',
+  '.jpeg': 'jpeg',
+  '.png': 'png'
+};
+
+// 内容协商时同等优先级下的格式偏好（压缩率从高到低）
+const NEGOTIATION_ORDER = ['avif', 'webp', 'jpeg', 'png'];
+
+// 只有在 Accept 中明确列出时才使用的格式（旧浏览器也会发送 image/* 或 */*，但不一定能解码这些格式）
+const EXPLICIT_ONLY_FORMATS = ['avif', 'webp'];
+
+// 允许的查询参数
+const ALLOWED_QUERY_PARAMS = ['w', 'q'];
+
+// 创建带HTTP状态码的错误
+function httpError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// 解析图片路由: /img/<配置名>/x<倍数>/<源文件相对路径（不含扩展名）>[.<输出扩展名>]
+// 返回 { configName, scale, relativePath, format }，format 为 null 表示按 Accept 协商
+function parseImageRoute(pathname) {
+  const segments = pathname.split('/').slice(1);
+  if (segments[0] !== 'img' || segments.length < 4) {
+    return null;
+  }
+
+  let decoded;
+  try {
+    decoded = segments.slice(1).map(segment => decodeURIComponent(segment));
+  } catch (error) {
+    throw httpError(400, '路径编码无效');
+  }
+  const [configName, scaleSegment, ...fileSegments] = decoded;
+
+  const scaleMatch = /^x(\d+)$/.exec(scaleSegment);
+  if (!scaleMatch) {
+    return null;
+  }
+
+  // 拒绝空路径段、"." / ".." 以及隐藏文件，防止访问输入目录以外的文件
+  if (fileSegments.some(segment => segment === '' || segment.startsWith('.') || /[\\/\0]/.test(segment))) {
+    throw httpError(400, '文件路径无效');
+  }
+
+  const fileName = fileSegments[fileSegments.length - 1];
+  const dotIndex = fileName.lastIndexOf('.');
+  const extension = dotIndex > 0 ? fileName.slice(dotIndex).toLowerCase() : '';
+  // 不是输出扩展名时视为文件名的一部分（如 banner.v2），按 Accept 协商格式
+  const format = EXTENSION_FORMATS[extension] || null;
+
+  fileSegments[fileSegments.length - 1] = format ? fileName.slice(0, dotIndex) : fileName;
+  return {
+    configName,
+    scale: Number(scaleMatch[1]),
+    relativePath: fileSegments.join('/'),
+    format
+  };
+}
+
+// 解析 Accept 请求头，返回 [{ type, q }]
+function parseAccept(header) {
+  if (!header) {
+    return [{ type: '*/*', q: 1 }];
+  }
+  return header.split(',').map(part => {
+    const [type, ...params] = part.trim().split(';');
+    const qParam = params.map(param => param.trim()).find(param => param.startsWith('q='));
+    const q = qParam ? Number(qParam.slice(2)) : 1;
+    return { type: type.trim().toLowerCase(), q: Number.isFinite(q) ? q : 0 };
+  }).filter(item => item.type);
+}
+
+// 获取客户端对某种内容类型的接受程度（q值），不接受时为 0；explicitOnly 时忽略通配符
+function getAcceptQuality(accepted, contentType, explicitOnly = false) {
+  const [group] = contentType.split('/');
+  let best = null;
+  for (const { type, q } of accepted) {
+    // 精确匹配优先于 image/*，image/* 优先于 */*
+    let specificity = type === contentType ? 3 : type === `${group}/*` ? 2 : type === '*/*' ? 1 : 0;
+    if (explicitOnly && specificity < 3) {
+      specificity = 0;
+    }
+    if (specificity > 0 && (!best || specificity > best.specificity)) {
+      best = { specificity, q };
+    }
+  }
+  return best ? best.q : 0;
+}
+
+// 按 Accept 请求头从可用格式中选择输出格式，没有可接受的格式时返回 null
+// 优先在明确声明支持的格式中选择；都不满足时（如只启用了 webp 而客户端只发送 */*）再按通配符选择
+function negotiateFormat(acceptHeader, formats) {
+  const accepted = parseAccept(acceptHeader);
+  const select = (explicitFormats) => {
+    let selected = null;
+    let selectedQuality = 0;
+    for (const format of NEGOTIATION_ORDER) {
+      if (!formats.includes(format)) {
+        continue;
+      }
+      const quality = getAcceptQuality(accepted, CONTENT_TYPES[format], explicitFormats.includes(format));
+      if (quality > selectedQuality) {
+        selected = format;
+        selectedQuality = quality;
+      }
+    }
+    return selected;
+  };
+  return select(EXPLICIT_ONLY_FORMATS) || select([]);
+}
+
+// 解析并校验查询参数: w（显示宽度）和 q（品质）只允许白名单中的取值
+// 返回 { width, quality }，未指定的参数为 null
+function parseVariantQuery(searchParams, { widths, qualities }) {
+  for (const key of searchParams.keys()) {
+    if (!ALLOWED_QUERY_PARAMS.includes(key)) {
+      throw httpError(400, `不支持的参数: ${key}（允许: ${ALLOWED_QUERY_PARAMS.join(', ')}）`);
+    }
+  }
+
+  const parseAllowed = (key, allowed) => {
+    if (!searchParams.has(key)) {
+      return null;
+    }
+    const raw = searchParams.get(key);
+    const value = Number(raw);
+    if (!/^\d+$/.test(raw) || !allowed.includes(value)) {
+      throw httpError(400, `参数 ${key}=${raw} 不在允许范围内（允许: ${allowed.join(', ')}）`);
+    }
+    return value;
+  };
+
+  return {
+    width: parseAllowed('w', widths),
+    quality: parseAllowed('q', qualities)
+  };
+}
+
+// 判断请求的 If-None-Match 是否与当前ETag匹配
+function isNotModified(req, etag) {
+  const header = req.headers['if-none-match'];
+  if (!header) {
+    return false;
+  }
+  return header.trim() === '*' || header.split(',').some(item => item.trim().replace(/^W\//, '') === etag);
+}
+
+// 发送图片文件，支持 304 和 HEAD 请求
+function sendImageFile(req, res, filePath, { contentType, etag, maxAge, vary = false }) {
+  const headers = {
+    'Content-Type': contentType,
+    'Cache-Control': `public, max-age=${maxAge}`,
+    ETag: etag
+  };
+  if (vary) {
+    headers.Vary = 'Accept';
+  }
+
+  if (isNotModified(req, etag)) {
+    res.writeHead(304, headers);
+    res.end();
+    return;
+  }
+
+  headers['Content-Length'] = fs.statSync(filePath).size;
+  res.writeHead(200, headers);
+  if (req.method === 'HEAD') {
+    res.end();
+    return;
+  }
+  fs.createReadStream(filePath).pipe(res);
+}
+
+// 发送错误响应（纯文本）
+function sendError(res, statusCode, message) {
+  res.writeHead(statusCode, { 'Content-Type': 'text/plain; charset=utf-8', 'Cache-Control': 'no-store' });
+  res.end(`${message}\n`);
+}
+
+module.exports = {
+  CONTENT_TYPES,
+  httpError,
+  parseImageRoute,
+  negotiateFormat,
+  parseVariantQuery,
+  isNotModified,
+  sendImageFile,
+  sendError
+};
@@ -0,0 +1,32 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// 日志输出：命令行下写到控制台；库API（createProcessor）和监听模式中可替换为其它输出或静默
+// 输出目标按异步调用上下文保存，同一进程中同时进行的多次运行互不影响，也不会修改全局 console
+
+const loggerStorage = new AsyncLocalStorage();
+
+// 不输出任何内容的日志对象
+const silentLogger = { log() {}, warn() {}, error() {} };
+
+// 写到当前上下文的输出目标：未设置时使用 console，目标缺少对应方法时忽略该条日志
+function write(method, args) {
+  const target = loggerStorage.getStore();
+  if (target && typeof target[method] === 'function') {
+    target[method](...args);
+  } else if (!target) {
+    console[method](...args);
+  }
+}
+
+const logger = {
+  log: (...args) => write('log', args),
+  warn: (...args) => write('warn', args),
+  error: (...args) => write('error', args)
+};
+
+// 在指定输出目标下执行 fn，fn 及其中的异步回调通过 logger 输出的日志都写到 target
+function runWithLogger(target, fn) {
+  return loggerStorage.run(target, fn);
+}
+
+module.exports = { logger, silentLogger, runWithLogger };
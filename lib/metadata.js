@@ -0,0 +1,226 @@
+// 方向、ICC配置文件和元数据处理
+// autoOrient: 按 EXIF 方向旋转原图后再裁剪；colorProfile: 输出的色彩配置；metadata: 保留哪些 EXIF / XMP / IPTC 数据
+
+// 可按名称保留的 EXIF 字段: 名称 → [sharp withExif 使用的 IFD, 标签编号]
+// IFD0 为主图像信息，IFD2 为拍摄参数（Exif IFD），IFD3 为GPS信息
+const EXIF_TAGS = {
+  ImageDescription: ['IFD0', 0x010e],
+  Make: ['IFD0', 0x010f],
+  Model: ['IFD0', 0x0110],
+  Software: ['IFD0', 0x0131],
+  DateTime: ['IFD0', 0x0132],
+  Artist: ['IFD0', 0x013b],
+  Copyright: ['IFD0', 0x8298],
+  ExposureTime: ['IFD2', 0x829a],
+  FNumber: ['IFD2', 0x829d],
+  ISOSpeedRatings: ['IFD2', 0x8827],
+  DateTimeOriginal: ['IFD2', 0x9003],
+  DateTimeDigitized: ['IFD2', 0x9004],
+  FocalLength: ['IFD2', 0x920a],
+  CameraOwnerName: ['IFD2', 0xa430],
+  BodySerialNumber: ['IFD2', 0xa431],
+  LensMake: ['IFD2', 0xa433],
+  LensModel: ['IFD2', 0xa434],
+  GPSLatitudeRef: ['IFD3', 0x0001],
+  GPSLatitude: ['IFD3', 0x0002],
+  GPSLongitudeRef: ['IFD3', 0x0003],
+  GPSLongitude: ['IFD3', 0x0004],
+  GPSAltitude: ['IFD3', 0x0006]
+};
+
+const EXIF_TAG_NAMES = Object.keys(EXIF_TAGS);
+
+// 指向 Exif IFD 和 GPS IFD 的标签
+const EXIF_IFD_POINTER = 0x8769;
+const GPS_IFD_POINTER = 0x8825;
+
+// TIFF 数据类型 → 每个值的字节数（只支持可转换为字符串写回的类型）
+const TYPE_SIZES = {
+  2: 1,   // ASCII
+  3: 2,   // SHORT
+  4: 4,   // LONG
+  5: 8,   // RATIONAL
+  9: 4,   // SLONG
+  10: 8   // SRATIONAL
+};
+
+const COLOR_PROFILES = ['srgb', 'embed-srgb', 'keep'];
+
+// 配置中 metadata 的取值转换为 { exif: true | false | 字段名数组, xmp: 是否保留 XMP 和 IPTC }
+function getMetadataOptions(config) {
+  const metadata = config.metadata || 'strip';
+  if (metadata === 'strip') {
+    return { exif: false, xmp: false };
+  }
+  if (metadata === 'keep') {
+    return { exif: true, xmp: true };
+  }
+  return { exif: metadata.exif === undefined ? false : metadata.exif, xmp: Boolean(metadata.xmp) };
+}
+
+// 是否需要按 EXIF 方向旋转（orientation 2-8 表示原图需要翻转或旋转）
+function shouldAutoOrient(metadata, config) {
+  return config.autoOrient !== false && metadata.orientation >= 2 && metadata.orientation <= 8;
+}
+
+// 旋转后的元数据：方向 5-8 包含 90° 旋转，宽高互换
+function getOrientedMetadata(metadata) {
+  const swap = metadata.orientation >= 5;
+  return {
+    ...metadata,
+    width: swap ? metadata.height : metadata.width,
+    height: swap ? metadata.width : metadata.height,
+    orientation: 1
+  };
+}
+
+// 是否需要从源文件直接读取：保留 ICC 配置文件、完整 EXIF 或 XMP / IPTC 时，
+// 这些数据只能由 sharp 从源文件复制，不能使用已解码的像素数据
+function requiresSourcePipeline(config) {
+  const options = getMetadataOptions(config);
+  return config.colorProfile === 'keep' || options.exif === true || options.xmp;
+}
+
+// 读取 TIFF 结构中的单个 IFD，返回 Map<标签编号, 字符串值>（不支持的数据类型跳过）
+function readIfd(tiff, offset, littleEndian) {
+  const readUInt16 = position => (littleEndian ? tiff.readUInt16LE(position) : tiff.readUInt16BE(position));
+  const readUInt32 = position => (littleEndian ? tiff.readUInt32LE(position) : tiff.readUInt32BE(position));
+  const readInt32 = position => (littleEndian ? tiff.readInt32LE(position) : tiff.readInt32BE(position));
+
+  const entries = new Map();
+  const count = readUInt16(offset);
+  for (let index = 0; index < count; index++) {
+    const entryOffset = offset + 2 + index * 12;
+    const tag = readUInt16(entryOffset);
+    const type = readUInt16(entryOffset + 2);
+    const valueCount = readUInt32(entryOffset + 4);
+    const size = TYPE_SIZES[type];
+    if (!size) {
+      if (tag === EXIF_IFD_POINTER || tag === GPS_IFD_POINTER) {
+        entries.set(tag, readUInt32(entryOffset + 8));
+      }
+      continue;
+    }
+    // 不超过4字节的值直接存放在条目中，否则条目中存放值的偏移
+    const valueOffset = size * valueCount <= 4 ? entryOffset + 8 : readUInt32(entryOffset + 8);
+    if (valueOffset + size * valueCount > tiff.length) {
+      continue;
+    }
+
+    if (type === 2) {
+      const text = tiff.toString('latin1', valueOffset, valueOffset + valueCount).replace(/\0[\s\S]*$/, '').trim();
+      entries.set(tag, text);
+      continue;
+    }
+    const values = [];
+    for (let valueIndex = 0; valueIndex < valueCount; valueIndex++) {
+      const position = valueOffset + valueIndex * size;
+      if (type === 3) {
+        values.push(readUInt16(position));
+      } else if (type === 4) {
+        values.push(readUInt32(position));
+      } else if (type === 9) {
+        values.push(readInt32(position));
+      } else {
+        const read = type === 5 ? readUInt32 : readInt32;
+        values.push(`${read(position)}/${read(position + 4)}`);
+      }
+    }
+    entries.set(tag, (tag === EXIF_IFD_POINTER || tag === GPS_IFD_POINTER) ? values[0] : values.join(' '));
+  }
+  return entries;
+}
+
+// 解析 sharp metadata() 返回的 EXIF 数据，返回 { IFD0, IFD2, IFD3 }，各项为 { 字段名: 字符串值 }（只包含 EXIF_TAGS 中的字段）
+// 数据损坏时返回已解析的部分
+function parseExif(exif) {
+  const result = { IFD0: {}, IFD2: {}, IFD3: {} };
+  if (!exif || exif.length < 14) {
+    return result;
+  }
+  const tiff = exif.toString('latin1', 0, 6) === 'Exif\0\0' ? exif.subarray(6) : exif;
+  const byteOrder = tiff.toString('latin1', 0, 2);
+  if (byteOrder !== 'II' && byteOrder !== 'MM') {
+    return result;
+  }
+  const littleEndian = byteOrder === 'II';
+
+  const ifds = {};
+  try {
+    const ifd0 = readIfd(tiff, littleEndian ? tiff.readUInt32LE(4) : tiff.readUInt32BE(4), littleEndian);
+    ifds.IFD0 = ifd0;
+    if (ifd0.has(EXIF_IFD_POINTER)) {
+      ifds.IFD2 = readIfd(tiff, ifd0.get(EXIF_IFD_POINTER), littleEndian);
+    }
+    if (ifd0.has(GPS_IFD_POINTER)) {
+      ifds.IFD3 = readIfd(tiff, ifd0.get(GPS_IFD_POINTER), littleEndian);
+    }
+  } catch (error) {
+    // 偏移越界等损坏的 EXIF 数据：忽略无法读取的 IFD，保留之前已读取的
+  }
+  for (const [name, [ifd, tag]] of Object.entries(EXIF_TAGS)) {
+    const value = ifds[ifd] && ifds[ifd].get(tag);
+    if (value !== undefined && value !== '') {
+      result[ifd][name] = String(value);
+    }
+  }
+  return result;
+}
+
+// 从源文件 EXIF 中挑出白名单字段，返回 sharp withExif 的参数（没有任何字段时返回 null）
+function pickExifTags(exif, names) {
+  const parsed = parseExif(exif);
+  const picked = {};
+  for (const name of names) {
+    const [ifd] = EXIF_TAGS[name];
+    if (parsed[ifd][name] !== undefined) {
+      picked[ifd] = { ...picked[ifd], [name]: parsed[ifd][name] };
+    }
+  }
+  return Object.keys(picked).length > 0 ? picked : null;
+}
+
+// 为输出pipeline设置色彩配置和元数据（sharp 默认转换为 sRGB 并移除所有元数据）
+// sourceMetadata 为源文件的 sharp 元数据，用于读取 EXIF 白名单字段
+function applyOutputMetadata(pipeline, config, sourceMetadata) {
+  const options = getMetadataOptions(config);
+  let result = pipeline;
+
+  if (options.xmp) {
+    // sharp 只能整体保留 EXIF / XMP / IPTC / ICC，EXIF 白名单和色彩配置随后单独覆盖
+    result = result.keepMetadata();
+  } else if (options.exif === true) {
+    result = result.keepExif();
+  }
+  if (Array.isArray(options.exif)) {
+    const exif = pickExifTags(sourceMetadata.exif, options.exif);
+    if (exif || options.xmp) {
+      result = result.withExif(exif || {});
+    }
+  } else if (options.exif === false && options.xmp) {
+    result = result.withExif({});
+  }
+
+  const colorProfile = config.colorProfile || 'srgb';
+  if (colorProfile === 'keep') {
+    result = result.keepIccProfile();
+  } else if (colorProfile === 'embed-srgb') {
+    result = result.withIccProfile('srgb');
+  } else if (options.xmp) {
+    // keepMetadata 会保留原图的 ICC 配置文件：转换为 sRGB 输出（libvips 仍会嵌入 sRGB 配置文件）
+    result = result.withIccProfile('srgb', { attach: false });
+  }
+  return result;
+}
+
+module.exports = {
+  EXIF_TAG_NAMES,
+  COLOR_PROFILES,
+  getMetadataOptions,
+  shouldAutoOrient,
+  getOrientedMetadata,
+  requiresSourcePipeline,
+  parseExif,
+  pickExifTags,
+  applyOutputMetadata
+};
@@ -0,0 +1,198 @@
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { hashFile } = require('./cache-manifest');
+
+// 水印与叠加层：在裁剪缩放之后、编码之前合成到每个输出上
+// 边距和字号以 1 倍图的像素为单位并按倍数放大，图片叠加层的 width / height 为相对输出宽高的比例，
+// 因此同一水印在 x1 / x2 / x3 输出中的相对大小和位置一致
+
+const OVERLAY_POSITIONS = [
+  'top-left', 'top', 'top-right', 'left', 'center', 'right', 'bottom-left', 'bottom', 'bottom-right'
+];
+
+// 叠加层的默认值
+const OVERLAY_DEFAULTS = {
+  position: 'bottom-right',  // 九宫格方位
+  margin: 16,                // 与输出边缘的距离（1 倍图像素）
+  opacity: 1                 // 不透明度 (0-1)
+};
+
+// 文字叠加层的默认值
+const TEXT_DEFAULTS = {
+  fontSize: 24,              // 字号（1 倍图像素）
+  fontFamily: 'sans-serif',
+  fontWeight: 'bold',
+  color: '#ffffff'
+};
+
+// 按文字基线估算上伸和下伸高度（相对字号）
+const TEXT_ASCENT = 0.8;
+const TEXT_DESCENT = 0.2;
+
+// 图片叠加层文件缓存：路径 → { mtimeMs, buffer }，同一Worker处理多张图片时不重复读取
+const inputCache = new Map();
+
+// 读取图片叠加层文件（相对路径按当前工作目录解析，与 inputDir 一致）
+function readOverlayInput(inputPath) {
+  const resolved = path.resolve(inputPath);
+  let stat;
+  try {
+    stat = fs.statSync(resolved);
+  } catch (error) {
+    throw new Error(`叠加层图片读取失败: ${inputPath}`);
+  }
+  const cached = inputCache.get(resolved);
+  if (cached && cached.mtimeMs === stat.mtimeMs) {
+    return cached.buffer;
+  }
+  const buffer = fs.readFileSync(resolved);
+  inputCache.set(resolved, { mtimeMs: stat.mtimeMs, buffer });
+  return buffer;
+}
+
+// 九宫格方位拆分为水平和垂直方向: 'top-left' → { horizontal: 'left', vertical: 'top' }
+function splitPosition(position) {
+  const parts = position.split('-');
+  let vertical = 'center';
+  if (parts.includes('top')) {
+    vertical = 'top';
+  } else if (parts.includes('bottom')) {
+    vertical = 'bottom';
+  }
+  let horizontal = 'center';
+  if (parts.includes('left')) {
+    horizontal = 'left';
+  } else if (parts.includes('right')) {
+    horizontal = 'right';
+  }
+  return { horizontal, vertical };
+}
+
+// 按方位和边距计算叠加层左上角坐标
+function placeLayer(position, margin, layerWidth, layerHeight, width, height) {
+  const { horizontal, vertical } = splitPosition(position);
+  const offsets = { left: margin, center: (width - layerWidth) / 2, right: width - layerWidth - margin };
+  const verticalOffsets = { top: margin, center: (height - layerHeight) / 2, bottom: height - layerHeight - margin };
+  return {
+    left: Math.max(0, Math.round(offsets[horizontal])),
+    top: Math.max(0, Math.round(verticalOffsets[vertical]))
+  };
+}
+
+// 转义XML特殊字符
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// 图片叠加层（PNG / SVG 等）：按相对尺寸或原始尺寸 × 倍数缩放，不超过输出尺寸减去边距
+async function createImageLayer(overlay, { width, height, scale }) {
+  const input = readOverlayInput(overlay.input);
+  const metadata = await sharp(input).metadata();
+  const margin = Math.round(overlay.margin * scale);
+  const aspect = metadata.width / metadata.height;
+
+  let layerWidth = metadata.width * scale;
+  let layerHeight = metadata.height * scale;
+  if (overlay.width && overlay.height) {
+    layerWidth = width * overlay.width;
+    layerHeight = height * overlay.height;
+  } else if (overlay.width) {
+    layerWidth = width * overlay.width;
+    layerHeight = layerWidth / aspect;
+  } else if (overlay.height) {
+    layerHeight = height * overlay.height;
+    layerWidth = layerHeight * aspect;
+  }
+  const fit = Math.min(1, Math.max(1, width - 2 * margin) / layerWidth, Math.max(1, height - 2 * margin) / layerHeight);
+  layerWidth = Math.max(1, Math.round(layerWidth * fit));
+  layerHeight = Math.max(1, Math.round(layerHeight * fit));
+
+  // SVG 按目标尺寸重新栅格化，保持清晰
+  const density = metadata.format === 'svg'
+    ? Math.min(100000, Math.max(1, (metadata.density || 72) * layerWidth / metadata.width))
+    : undefined;
+  let image = sharp(input, density ? { density } : {})
+    .resize(layerWidth, layerHeight, { fit: 'fill' })
+    .ensureAlpha();
+  if (overlay.opacity < 1) {
+    // 按不透明度缩放透明通道
+    image = image.composite([{
+      input: Buffer.from([255, 255, 255, Math.round(overlay.opacity * 255)]),
+      raw: { width: 1, height: 1, channels: 4 },
+      tile: true,
+      blend: 'dest-in'
+    }]);
+  }
+  const { data, info } = await image.raw().toBuffer({ resolveWithObject: true });
+
+  return {
+    input: data,
+    raw: { width: info.width, height: info.height, channels: info.channels },
+    ...placeLayer(overlay.position, margin, info.width, info.height, width, height)
+  };
+}
+
+// 文字叠加层：渲染为与输出同尺寸的SVG，按方位对齐文字
+function createTextLayer(overlay, { width, height, scale }) {
+  const fontSize = overlay.fontSize * scale;
+  const margin = overlay.margin * scale;
+  const { horizontal, vertical } = splitPosition(overlay.position);
+
+  const anchors = { left: 'start', center: 'middle', right: 'end' };
+  const x = { left: margin, center: width / 2, right: width - margin }[horizontal];
+  const y = {
+    top: margin + fontSize * TEXT_ASCENT,
+    center: height / 2 + fontSize * (TEXT_ASCENT - TEXT_DESCENT) / 2,
+    bottom: height - margin - fontSize * TEXT_DESCENT
+  }[vertical];
+
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+    <text x="${x}" y="${y}" text-anchor="${anchors[horizontal]}"
+      font-family="${escapeXml(overlay.fontFamily)}" font-size="${fontSize}" font-weight="${escapeXml(overlay.fontWeight)}"
+      fill="${escapeXml(overlay.color)}" fill-opacity="${overlay.opacity}">${escapeXml(overlay.text)}</text>
+  </svg>`;
+  return { input: Buffer.from(svg), left: 0, top: 0 };
+}
+
+// 生成所有叠加层，返回 sharp composite() 的参数
+// size: { width, height, scale, frames }，width / height 为输出（单帧）尺寸；
+// 动图的所有帧纵向排列在同一图像中，frames 大于 1 时每帧重复合成一次
+async function createOverlayLayers(overlays, size) {
+  const frames = size.frames || 1;
+  const layers = [];
+  for (const item of overlays) {
+    const overlay = { ...OVERLAY_DEFAULTS, ...(item.type === 'text' ? TEXT_DEFAULTS : {}), ...item };
+    let layer;
+    try {
+      layer = overlay.type === 'text' ? createTextLayer(overlay, size) : await createImageLayer(overlay, size);
+    } catch (error) {
+      throw new Error(error.message.startsWith('叠加层') ? error.message : `叠加层处理失败 ${overlay.input || overlay.text}: ${error.message}`);
+    }
+    for (let frame = 0; frame < frames; frame++) {
+      layers.push({ ...layer, top: layer.top + frame * size.height });
+    }
+  }
+  return layers;
+}
+
+// 叠加层参与输出配置哈希的内容：图片叠加层附加文件内容哈希，替换水印图片后增量构建会重新生成
+function getOverlaysCacheKey(overlays) {
+  return overlays.map((overlay) => {
+    if (overlay.type !== 'image') {
+      return overlay;
+    }
+    const resolved = path.resolve(overlay.input);
+    return { ...overlay, inputHash: fs.existsSync(resolved) ? hashFile(resolved) : null };
+  });
+}
+
+module.exports = {
+  OVERLAY_POSITIONS,
+  createOverlayLayers,
+  getOverlaysCacheKey
+};
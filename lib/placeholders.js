@@ -0,0 +1,359 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { stableStringify } = require('./cache-manifest');
+
+// 懒加载占位数据：由每个源文件第一个倍数的输出画面（裁剪、缩放和叠加层之后，动图取第一帧）生成
+// base64 编码的极小 WebP（LQIP）、BlurHash / ThumbHash 字符串、主色与平均色以及宽高比，
+// 写入输出目录的侧车 JSON，按输出文件的相对路径索引。BlurHash 和 ThumbHash 为纯 JS 编码
+
+const PLACEHOLDERS_FILE_VERSION = 1;
+
+// 可生成的占位数据类型
+const PLACEHOLDER_TYPES = ['lqip', 'blurhash', 'thumbhash', 'color'];
+
+// 配置中 placeholders 的默认值
+const PLACEHOLDER_DEFAULTS = {
+  fileName: 'placeholders',       // 侧车文件名（不含扩展名，相对输出目录）: placeholders.json
+  types: PLACEHOLDER_TYPES,       // 生成的占位数据类型，宽高比总是生成
+  lqipSize: 16,                   // LQIP 的最长边（像素）
+  lqipQuality: 40,                // LQIP 的 WebP 品质
+  blurhashComponents: [4, 3]      // BlurHash 横向、纵向的分量数（1-9）
+};
+
+// BlurHash、ThumbHash 和颜色统计使用的缩略图最长边（ThumbHash 要求不超过 100）
+const SAMPLE_SIZE = 64;
+
+// 合并 placeholders 配置与默认值，未启用时返回 null
+function getPlaceholderOptions(config) {
+  return config.placeholders ? { ...PLACEHOLDER_DEFAULTS, ...config.placeholders } : null;
+}
+
+// 占位数据参数的哈希（侧车文件名除外），记录在缓存清单中，参数变化时重新生成占位数据
+function hashPlaceholderOptions(options) {
+  const { fileName, ...generateOptions } = options;
+  return crypto.createHash('sha256')
+    .update(stableStringify(generateOptions))
+    .digest('hex')
+    .slice(0, 16);
+}
+
+const BASE83_DIGITS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz#$%*+,-.:;=?@[]^_{|}~';
+
+function encodeBase83(value, length) {
+  let result = '';
+  for (let i = 1; i <= length; i++) {
+    const digit = Math.floor(value / Math.pow(83, length - i)) % 83;
+    result += BASE83_DIGITS[digit];
+  }
+  return result;
+}
+
+function srgbToLinear(value) {
+  const v = value / 255;
+  return v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+}
+
+function linearToSrgb(value) {
+  const v = Math.max(0, Math.min(1, value));
+  return v <= 0.0031308
+    ? Math.trunc(v * 12.92 * 255 + 0.5)
+    : Math.trunc((1.055 * Math.pow(v, 1 / 2.4) - 0.055) * 255 + 0.5);
+}
+
+function signPow(value, exponent) {
+  return Math.sign(value) * Math.pow(Math.abs(value), exponent);
+}
+
+// 按 BlurHash 规范编码 RGB 像素（pixels 为每像素 3 字节），componentX / componentY 为横向、纵向分量数
+function encodeBlurhash(pixels, width, height, componentX, componentY) {
+  const linear = new Float64Array(pixels.length);
+  for (let i = 0; i < pixels.length; i++) {
+    linear[i] = srgbToLinear(pixels[i]);
+  }
+
+  const factors = [];
+  for (let j = 0; j < componentY; j++) {
+    for (let i = 0; i < componentX; i++) {
+      const normalisation = i === 0 && j === 0 ? 1 : 2;
+      let r = 0;
+      let g = 0;
+      let b = 0;
+      for (let y = 0; y < height; y++) {
+        const basisY = Math.cos(Math.PI * j * y / height);
+        for (let x = 0; x < width; x++) {
+          const basis = normalisation * Math.cos(Math.PI * i * x / width) * basisY;
+          const offset = (y * width + x) * 3;
+          r += basis * linear[offset];
+          g += basis * linear[offset + 1];
+          b += basis * linear[offset + 2];
+        }
+      }
+      const scale = 1 / (width * height);
+      factors.push([r * scale, g * scale, b * scale]);
+    }
+  }
+
+  const [dc, ...ac] = factors;
+  let hash = encodeBase83((componentX - 1) + (componentY - 1) * 9, 1);
+  let maximumValue = 1;
+  if (ac.length > 0) {
+    const actualMaximum = Math.max(...ac.map(factor => Math.max(...factor.map(Math.abs))));
+    const quantisedMaximum = Math.floor(Math.max(0, Math.min(82, Math.floor(actualMaximum * 166 - 0.5))));
+    maximumValue = (quantisedMaximum + 1) / 166;
+    hash += encodeBase83(quantisedMaximum, 1);
+  } else {
+    hash += encodeBase83(0, 1);
+  }
+  hash += encodeBase83((linearToSrgb(dc[0]) << 16) + (linearToSrgb(dc[1]) << 8) + linearToSrgb(dc[2]), 4);
+  for (const factor of ac) {
+    const [r, g, b] = factor.map(value => Math.floor(Math.max(0, Math.min(18, Math.floor(signPow(value / maximumValue, 0.5) * 9 + 9.5)))));
+    hash += encodeBase83(r * 19 * 19 + g * 19 + b, 2);
+  }
+  return hash;
+}
+
+// 按 ThumbHash 规范编码 RGBA 像素（宽高均不超过 100），返回字节数组
+function encodeThumbhash(rgba, width, height) {
+  const count = width * height;
+  let averageR = 0;
+  let averageG = 0;
+  let averageB = 0;
+  let averageA = 0;
+  for (let i = 0, j = 0; i < count; i++, j += 4) {
+    const alpha = rgba[j + 3] / 255;
+    averageR += alpha / 255 * rgba[j];
+    averageG += alpha / 255 * rgba[j + 1];
+    averageB += alpha / 255 * rgba[j + 2];
+    averageA += alpha;
+  }
+  if (averageA) {
+    averageR /= averageA;
+    averageG /= averageA;
+    averageB /= averageA;
+  }
+
+  // 透明区域按平均色铺底后转换为 LPQA（亮度、黄蓝、红绿、透明度）通道
+  const hasAlpha = averageA < count;
+  const luminanceLimit = hasAlpha ? 5 : 7;
+  const lx = Math.max(1, Math.round(luminanceLimit * width / Math.max(width, height)));
+  const ly = Math.max(1, Math.round(luminanceLimit * height / Math.max(width, height)));
+  const l = new Float64Array(count);
+  const p = new Float64Array(count);
+  const q = new Float64Array(count);
+  const a = new Float64Array(count);
+  for (let i = 0, j = 0; i < count; i++, j += 4) {
+    const alpha = rgba[j + 3] / 255;
+    const r = averageR * (1 - alpha) + alpha / 255 * rgba[j];
+    const g = averageG * (1 - alpha) + alpha / 255 * rgba[j + 1];
+    const b = averageB * (1 - alpha) + alpha / 255 * rgba[j + 2];
+    l[i] = (r + g + b) / 3;
+    p[i] = (r + g) / 2 - b;
+    q[i] = r - g;
+    a[i] = alpha;
+  }
+
+  // 对单个通道做 DCT，返回 [直流分量, 归一化到 0-1 的交流分量, 交流分量的最大绝对值]
+  const encodeChannel = (channel, nx, ny) => {
+    let dc = 0;
+    let scale = 0;
+    const ac = [];
+    const fx = new Float64Array(width);
+    for (let cy = 0; cy < ny; cy++) {
+      for (let cx = 0; cx * ny < nx * (ny - cy); cx++) {
+        let f = 0;
+        for (let x = 0; x < width; x++) {
+          fx[x] = Math.cos(Math.PI / width * cx * (x + 0.5));
+        }
+        for (let y = 0; y < height; y++) {
+          const fy = Math.cos(Math.PI / height * cy * (y + 0.5));
+          for (let x = 0; x < width; x++) {
+            f += channel[x + y * width] * fx[x] * fy;
+          }
+        }
+        f /= count;
+        if (cx || cy) {
+          ac.push(f);
+          scale = Math.max(scale, Math.abs(f));
+        } else {
+          dc = f;
+        }
+      }
+    }
+    if (scale) {
+      for (let i = 0; i < ac.length; i++) {
+        ac[i] = 0.5 + 0.5 / scale * ac[i];
+      }
+    }
+    return [dc, ac, scale];
+  };
+
+  const [lDc, lAc, lScale] = encodeChannel(l, Math.max(3, lx), Math.max(3, ly));
+  const [pDc, pAc, pScale] = encodeChannel(p, 3, 3);
+  const [qDc, qAc, qScale] = encodeChannel(q, 3, 3);
+  const [aDc, aAc, aScale] = hasAlpha ? encodeChannel(a, 5, 5) : [];
+
+  const isLandscape = width > height;
+  const header24 = Math.round(63 * lDc) | (Math.round(31.5 + 31.5 * pDc) << 6) | (Math.round(31.5 + 31.5 * qDc) << 12) |
+    (Math.round(31 * lScale) << 18) | ((hasAlpha ? 1 : 0) << 23);
+  const header16 = (isLandscape ? ly : lx) | (Math.round(63 * pScale) << 3) | (Math.round(63 * qScale) << 9) | ((isLandscape ? 1 : 0) << 15);
+  const hash = [header24 & 255, (header24 >> 8) & 255, header24 >> 16, header16 & 255, header16 >> 8];
+  if (hasAlpha) {
+    hash.push(Math.round(15 * aDc) | (Math.round(15 * aScale) << 4));
+  }
+  const acStart = hash.length;
+  let acIndex = 0;
+  for (const ac of hasAlpha ? [lAc, pAc, qAc, aAc] : [lAc, pAc, qAc]) {
+    for (const f of ac) {
+      const byteIndex = acStart + (acIndex >> 1);
+      hash[byteIndex] = (hash[byteIndex] || 0) | (Math.round(15 * f) << ((acIndex & 1) << 2));
+      acIndex++;
+    }
+  }
+  return Uint8Array.from(hash);
+}
+
+function toHexColor([r, g, b]) {
+  return `#${[r, g, b].map(value => Math.round(value).toString(16).padStart(2, '0')).join('')}`;
+}
+
+// 统计 RGBA 像素（按透明度加权）的平均色和主色，主色为 4096 个量化颜色区间中权重最大区间的平均颜色
+// 全透明图片返回 null
+function measureColors(rgba) {
+  const buckets = new Map();
+  const total = [0, 0, 0];
+  let totalWeight = 0;
+  for (let i = 0; i < rgba.length; i += 4) {
+    const weight = rgba[i + 3] / 255;
+    if (weight === 0) {
+      continue;
+    }
+    const r = rgba[i];
+    const g = rgba[i + 1];
+    const b = rgba[i + 2];
+    const key = ((r >> 4) << 8) | ((g >> 4) << 4) | (b >> 4);
+    const bucket = buckets.get(key) || { weight: 0, r: 0, g: 0, b: 0 };
+    bucket.weight += weight;
+    bucket.r += r * weight;
+    bucket.g += g * weight;
+    bucket.b += b * weight;
+    buckets.set(key, bucket);
+    total[0] += r * weight;
+    total[1] += g * weight;
+    total[2] += b * weight;
+    totalWeight += weight;
+  }
+  if (totalWeight === 0) {
+    return { dominantColor: null, averageColor: null };
+  }
+  let dominant = null;
+  for (const bucket of buckets.values()) {
+    if (!dominant || bucket.weight > dominant.weight) {
+      dominant = bucket;
+    }
+  }
+  return {
+    dominantColor: toHexColor([dominant.r, dominant.g, dominant.b].map(value => value / dominant.weight)),
+    averageColor: toHexColor(total.map(value => value / totalWeight))
+  };
+}
+
+// 由编码前的输出pipeline生成占位数据: { aspectRatio, lqip, blurhash, thumbhash, dominantColor, averageColor }
+// （按 types 只包含需要的字段）；pipeline 不会被修改
+async function generatePlaceholder(pipeline, options) {
+  // 先输出 sRGB 像素数据再缩小：clone() 保留了原pipeline的缩放参数，不能直接再次 resize
+  const { data, info } = await pipeline.clone()
+    .withIccProfile('srgb', { attach: false })
+    .toColourspace('srgb')
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const raw = { width: info.width, height: info.height, channels: info.channels };
+  const types = new Set(options.types);
+  const placeholder = { aspectRatio: Math.round(info.width / info.height * 10000) / 10000 };
+
+  if (types.has('lqip')) {
+    const lqip = await sharp(data, { raw })
+      .resize(options.lqipSize, options.lqipSize, { fit: 'inside', withoutEnlargement: true })
+      .webp({ quality: options.lqipQuality })
+      .toBuffer();
+    placeholder.lqip = `data:image/webp;base64,${lqip.toString('base64')}`;
+  }
+
+  if (types.has('blurhash') || types.has('thumbhash') || types.has('color')) {
+    const sample = await sharp(data, { raw })
+      .resize(SAMPLE_SIZE, SAMPLE_SIZE, { fit: 'inside', withoutEnlargement: true })
+      .ensureAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+    const { width, height } = sample.info;
+    const colors = measureColors(sample.data);
+
+    if (types.has('blurhash')) {
+      // BlurHash 不支持透明度：透明区域按平均色铺底
+      const background = colors.averageColor
+        ? [1, 3, 5].map(offset => parseInt(colors.averageColor.slice(offset, offset + 2), 16))
+        : [0, 0, 0];
+      const rgb = Buffer.alloc(width * height * 3);
+      for (let i = 0, j = 0; j < sample.data.length; i += 3, j += 4) {
+        const alpha = sample.data[j + 3] / 255;
+        for (let c = 0; c < 3; c++) {
+          rgb[i + c] = Math.round(sample.data[j + c] * alpha + background[c] * (1 - alpha));
+        }
+      }
+      const [componentX, componentY] = options.blurhashComponents;
+      placeholder.blurhash = encodeBlurhash(rgb, width, height, componentX, componentY);
+    }
+    if (types.has('thumbhash')) {
+      placeholder.thumbhash = Buffer.from(encodeThumbhash(sample.data, width, height)).toString('base64');
+    }
+    if (types.has('color')) {
+      Object.assign(placeholder, colors);
+    }
+  }
+  return placeholder;
+}
+
+// 侧车文件路径
+function getPlaceholdersPath(outputDir, options) {
+  return path.join(outputDir, `${options.fileName}.json`);
+}
+
+// 读取此前生成的侧车文件中的占位数据（按输出路径索引），文件不存在或无法解析时返回空对象
+function readPlaceholders(outputDir, options) {
+  try {
+    const data = JSON.parse(fs.readFileSync(getPlaceholdersPath(outputDir, options), 'utf8'));
+    return data.images || {};
+  } catch (error) {
+    return {};
+  }
+}
+
+// 写入侧车文件，images 为 { 输出相对路径: 占位数据 }；内容未变化时跳过，返回是否写入
+function writePlaceholders(outputDir, configName, images, options) {
+  const filePath = getPlaceholdersPath(outputDir, options);
+  const sorted = {};
+  for (const key of Object.keys(images).sort()) {
+    sorted[key] = images[key];
+  }
+  const content = `${JSON.stringify({ version: PLACEHOLDERS_FILE_VERSION, config: configName, images: sorted }, null, 2)}\n`;
+  if (fs.existsSync(filePath) && fs.readFileSync(filePath, 'utf8') === content) {
+    return false;
+  }
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, content);
+  fs.renameSync(tempPath, filePath);
+  return true;
+}
+
+module.exports = {
+  PLACEHOLDER_TYPES,
+  PLACEHOLDER_DEFAULTS,
+  getPlaceholderOptions,
+  hashPlaceholderOptions,
+  generatePlaceholder,
+  getPlaceholdersPath,
+  readPlaceholders,
+  writePlaceholders
+};
@@ -0,0 +1,76 @@
+const sharp = require('sharp');
+const { computeSsim } = require('./ssim');
+const { getMinQuality, isQualityAdjustable, encodeAtQuality } = require('./encoders');
+
+// 感知质量检查：将编码结果解码后与未编码的缩放结果比较 SSIM
+// mode 为 'flag' 时只标记低于阈值的输出；为 'target' 时在 [minQuality, 上限品质] 中选择 SSIM 达标的最低品质
+
+// 获取配置的感知质量要求 { minSsim, mode, minQuality }，未设置时返回 null
+function getQualityGuard(config, scale) {
+  const guard = config.qualityGuard;
+  if (!guard || guard.minSsim === undefined) {
+    return null;
+  }
+  return { minSsim: guard.minSsim, mode: guard.mode || 'flag', minQuality: getMinQuality(config, scale) };
+}
+
+// 转换为可比较的原始像素：透明区域按编码器的底色铺底，统一为 sRGB 三通道
+// sharp 在合成叠加层之前执行 flatten，因此先输出像素数据再铺底，避免叠加层重新引入透明通道
+async function toComparablePixels(image, background) {
+  const { data, info } = await image
+    .toColourspace('srgb')
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  return sharp(data, { raw: { width: info.width, height: info.height, channels: info.channels } })
+    .flatten({ background })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+}
+
+// 计算编码结果相对参考图像的 SSIM（动图解码所有帧，与参考图像一样纵向排列）
+async function measureSsim(reference, encoded, formatSpec) {
+  const decoded = await toComparablePixels(sharp(encoded.data, { animated: true }), formatSpec.background);
+  const { width, height, channels } = reference.info;
+  if (decoded.info.width !== width || decoded.info.height !== height || decoded.info.channels !== channels) {
+    throw new Error(`SSIM 计算失败: 解码尺寸 ${decoded.info.width}x${decoded.info.height} 与参考图像 ${width}x${height} 不一致`);
+  }
+  return computeSsim(reference.data, decoded.data, reference.info);
+}
+
+// 对编码结果进行感知质量检查，base 为按配置品质（或大小预算）得到的编码结果 { data, info, quality }
+// 返回 { data, info, quality, ssim, belowSsim }；target 模式下 base 品质即为上限，只会向下调整
+async function applyQualityGuard(pipeline, formatSpec, base, guard) {
+  // 保留原图 ICC 配置文件时参考图像的像素仍在原色彩空间，与解码结果一样转换为 sRGB 后再比较
+  const reference = await toComparablePixels(pipeline.clone().withIccProfile('srgb', { attach: false }), formatSpec.background);
+  const measure = async (result) => ({ ...result, ssim: await measureSsim(reference, result, formatSpec) });
+  const passes = result => result.ssim >= guard.minSsim;
+  const encodeAndMeasure = async quality => measure({ ...(await encodeAtQuality(pipeline, formatSpec, quality)), quality });
+
+  let best = await measure(base);
+  if (guard.mode !== 'target' || !passes(best) || !isQualityAdjustable(formatSpec) || base.quality <= guard.minQuality) {
+    return { ...best, belowSsim: !passes(best) };
+  }
+
+  // 最低品质已达标时直接使用
+  const lowest = await encodeAndMeasure(guard.minQuality);
+  if (passes(lowest)) {
+    return { ...lowest, belowSsim: false };
+  }
+
+  // 区间 (low, high) 内查找：low 未达标，high 达标
+  let low = guard.minQuality;
+  let high = base.quality;
+  while (high - low > 1) {
+    const quality = Math.floor((low + high) / 2);
+    const result = await encodeAndMeasure(quality);
+    if (passes(result)) {
+      high = quality;
+      best = result;
+    } else {
+      low = quality;
+    }
+  }
+  return { ...best, belowSsim: false };
+}
+
+module.exports = { getQualityGuard, applyQualityGuard };
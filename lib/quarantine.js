@@ -0,0 +1,106 @@
+const fs = require('fs');
+const path = require('path');
+const { appendOutputSuffix } = require('./file-names');
+
+// 损坏或无法处理的源文件：解码失败、超过像素上限（超时和Worker崩溃不算，不会被隔离）
+// 设置了 quarantineDir 时在隔离目录的 quarantine.json 中列出（quarantineMode: 'move' 时同时移动源文件）
+
+const QUARANTINE_FILE = 'quarantine.json';
+const QUARANTINE_VERSION = 1;
+
+// sharp / libvips 读取源文件失败的错误信息（不支持的格式、文件头损坏、超过像素上限、加载器报错、JPEG 数据截断或损坏）
+// 只匹配 sharp 原始错误信息的开头，叠加层等其它文件的读取错误带有中文前缀，不会被误判为源文件损坏；
+// 编码和写入失败（如 VipsForeignSave*、磁盘已满）属于输出或环境问题，不匹配
+const BAD_INPUT_PATTERN = new RegExp('^(' + [
+  'Input (buffer|file) contains unsupported image format',
+  'Input (buffer|file) has corrupt header',
+  'Input image exceeds pixel limit',
+  '[a-z0-9]+load(_buffer|_source)?:',
+  'VipsJpeg: (Premature end|Corrupt JPEG|Invalid JPEG|Not a JPEG|Bogus|Unsupported marker)'
+].join('|') + ')');
+
+// 错误是否由源文件本身导致（重试也无法成功）
+function isBadInputError(error) {
+  return BAD_INPUT_PATTERN.test(error && error.message ? error.message : String(error));
+}
+
+// 读取隔离清单，文件不存在或版本不符时返回空清单
+function readQuarantineList(quarantineDir) {
+  const listPath = path.join(quarantineDir, QUARANTINE_FILE);
+  if (!fs.existsSync(listPath)) {
+    return { version: QUARANTINE_VERSION, files: {} };
+  }
+  try {
+    const data = JSON.parse(fs.readFileSync(listPath, 'utf8'));
+    if (data.version === QUARANTINE_VERSION && data.files) {
+      return data;
+    }
+  } catch (error) {
+    // 清单损坏时重新生成
+  }
+  return { version: QUARANTINE_VERSION, files: {} };
+}
+
+function writeQuarantineList(quarantineDir, data) {
+  fs.mkdirSync(quarantineDir, { recursive: true });
+  const listPath = path.join(quarantineDir, QUARANTINE_FILE);
+  const tempPath = `${listPath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+  fs.renameSync(tempPath, listPath);
+}
+
+// 更新配置的隔离清单：badInputs 为 Map<源文件路径, 错误信息>，recovered 为本次处理成功的源文件（从清单中移除）
+// 返回 [{ file, error, movedTo }]，movedTo 仅 'move' 模式下存在
+function quarantineInputs(config, badInputs, recovered = []) {
+  const { quarantineDir, quarantineMode = 'list' } = config;
+  const configName = config.name || '未命名配置';
+  const data = readQuarantineList(quarantineDir);
+  // 清单中的键为相对当前工作目录的 "/" 分隔路径，多个配置共享隔离目录时不会冲突
+  const toKey = file => path.relative(process.cwd(), file).split(path.sep).join('/');
+
+  let changed = false;
+  for (const file of recovered) {
+    const key = toKey(file);
+    if (data.files[key] && data.files[key].config === configName && !data.files[key].movedTo) {
+      delete data.files[key];
+      changed = true;
+    }
+  }
+
+  const quarantined = [];
+  for (const [file, error] of badInputs) {
+    const record = { config: configName, error, quarantinedAt: new Date().toISOString() };
+    // 多个配置共享同一源文件时，已被其它配置移走的文件不再处理
+    if (quarantineMode === 'move' && fs.existsSync(file)) {
+      // 隔离目录中已有同名文件（之前隔离的同路径文件）时追加序号，不覆盖
+      const relativePath = path.relative(config.inputDir, file).split(path.sep).join('/');
+      let movedTo = path.join(quarantineDir, relativePath);
+      for (let index = 1; fs.existsSync(movedTo); index++) {
+        movedTo = path.join(quarantineDir, appendOutputSuffix(relativePath, index));
+      }
+      fs.mkdirSync(path.dirname(movedTo), { recursive: true });
+      try {
+        fs.renameSync(file, movedTo);
+      } catch (renameError) {
+        // 跨文件系统时无法重命名，改为复制后删除
+        fs.copyFileSync(file, movedTo);
+        fs.rmSync(file);
+      }
+      record.movedTo = toKey(movedTo);
+    }
+    data.files[toKey(file)] = record;
+    quarantined.push({ file, error, movedTo: record.movedTo });
+    changed = true;
+  }
+
+  if (changed) {
+    writeQuarantineList(quarantineDir, data);
+  }
+  return quarantined;
+}
+
+module.exports = {
+  QUARANTINE_FILE,
+  isBadInputError,
+  quarantineInputs
+};
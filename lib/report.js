@@ -0,0 +1,254 @@
+const fs = require('fs');
+const path = require('path');
+
+// 运行报告：按输入文件汇总每次运行的处理结果，可写出为 JSON 或 JUnit XML
+const REPORT_VERSION = 1;
+
+// 读取文件大小，文件不存在时返回 null
+function getFileSize(filePath) {
+  try {
+    return fs.statSync(filePath).size;
+  } catch (error) {
+    return null;
+  }
+}
+
+// 压缩率 = 输出字节数 / 源文件字节数，保留4位小数
+function getCompressionRatio(bytes, sourceBytes) {
+  if (!bytes || !sourceBytes) {
+    return null;
+  }
+  return Math.round((bytes / sourceBytes) * 10000) / 10000;
+}
+
+// 汇总单个输入文件在各倍数下的处理结果
+// fileResults 为该文件本次实际处理的 (文件, 倍数) 结果，未处理的倍数视为缓存命中
+// cacheRecords 为缓存清单中该文件的输出记录，用于补充缓存命中输出的尺寸和品质
+function buildInputReport(file, fileInfo, fileResults, config, pendingScales, cacheRecords = {}) {
+  const resultsByScale = new Map(fileResults.map(result => [result.scale, result]));
+  const sourceResult = fileResults.find(result => result.sourceBytes !== undefined);
+  const sourceBytes = sourceResult ? sourceResult.sourceBytes : (fileInfo.source.size || getFileSize(file));
+  const outputs = [];
+  const errors = [];
+  let durationMs = 0;
+
+  for (const scale of config.scales) {
+    const result = resultsByScale.get(scale);
+    if (!result) {
+      // 本次未处理：缓存命中的输出直接从输出目录读取大小，未知尺寸记为 null
+      if (!pendingScales.has(scale)) {
+        for (const output of fileInfo.outputs.get(scale)) {
+          const outputPath = path.join(config.outputDir, output.key);
+          const bytes = getFileSize(outputPath);
+          const record = cacheRecords[output.key] || {};
+          outputs.push({
+            scale,
+            format: output.format,
+            path: outputPath,
+            width: record.width || null,
+            height: record.height || null,
+            bytes,
+            compressionRatio: getCompressionRatio(bytes, sourceBytes),
+            quality: record.quality === undefined ? null : record.quality,
+            ...(record.maxBytes !== undefined ? { maxBytes: record.maxBytes, overBudget: record.overBudget } : {}),
+            ...(record.ssim !== undefined ? { ssim: record.ssim, minSsim: record.minSsim, belowSsim: record.belowSsim } : {}),
+            ...(record.frames !== undefined ? { frames: record.frames } : {}),
+            cached: true
+          });
+        }
+      }
+      continue;
+    }
+
+    durationMs += result.durationMs || 0;
+    for (const output of result.outputs || []) {
+      outputs.push({
+        scale,
+        format: output.format,
+        path: output.path,
+        width: output.width,
+        height: output.height,
+        bytes: output.bytes,
+        compressionRatio: getCompressionRatio(output.bytes, sourceBytes),
+        quality: output.quality === undefined ? null : output.quality,
+        ...(output.maxBytes !== undefined ? { maxBytes: output.maxBytes, overBudget: output.overBudget } : {}),
+        ...(output.ssim !== undefined ? { ssim: output.ssim, minSsim: output.minSsim, belowSsim: output.belowSsim } : {}),
+        ...(output.frames !== undefined ? { frames: output.frames } : {}),
+        cached: false
+      });
+    }
+    if (!result.success) {
+      errors.push({ scale, message: result.error || '未知错误' });
+    }
+  }
+
+  let status = 'success';
+  if (errors.length > 0) {
+    status = 'failed';
+  } else if (fileResults.length === 0) {
+    status = 'skipped';
+  }
+
+  return {
+    file: fileInfo.sourceKey,
+    path: file,
+    // 匹配的单图规则名称
+    rule: fileInfo.rule ? fileInfo.rule.name : null,
+    status,
+    sourceBytes,
+    outputBytes: outputs.reduce((sum, output) => sum + (output.bytes || 0), 0),
+    durationMs,
+    capped: fileResults.some(result => result.capped),
+    overBudget: outputs.some(output => output.overBudget),
+    belowSsim: outputs.some(output => output.belowSsim),
+    // 源文件损坏或超过像素上限；重试后仍超时 / 导致Worker崩溃的文件不算，超时另以 timedOut 标记
+    badInput: fileResults.some(result => result.badInput),
+    timedOut: fileResults.some(result => result.timedOut),
+    outputs,
+    errors
+  };
+}
+
+// 生成单个输入文件的报告，entry 为 { config, plan }，fileResults 为该文件本次的处理结果
+function createInputReport({ config, plan }, file, fileResults) {
+  const pendingScales = new Set(config.scales.filter(scale => (plan.scaleFileMap.get(scale) || []).includes(file)));
+  const fileInfo = plan.files.get(file);
+  const cacheEntry = plan.cacheEnabled ? plan.sources[fileInfo.sourceKey] : null;
+  return buildInputReport(file, fileInfo, fileResults, config, pendingScales, cacheEntry ? cacheEntry.outputs : {});
+}
+
+// 生成单个配置的报告，entry 为 { config, plan, results }
+function buildConfigReport({ config, plan, results = [] }) {
+  const configName = config.name || '未命名配置';
+  const inputs = [];
+
+  if (plan) {
+    const resultsByFile = new Map();
+    for (const result of results) {
+      if (!resultsByFile.has(result.file)) {
+        resultsByFile.set(result.file, []);
+      }
+      resultsByFile.get(result.file).push(result);
+    }
+
+    for (const file of plan.files.keys()) {
+      inputs.push(createInputReport({ config, plan }, file, resultsByFile.get(file) || []));
+    }
+  }
+
+  return {
+    name: configName,
+    inputDir: config.inputDir,
+    outputDir: config.outputDir,
+    durationMs: inputs.reduce((sum, input) => sum + input.durationMs, 0),
+    inputs
+  };
+}
+
+// 生成整次运行的报告，entries 为各配置的 { config, plan, results }
+function createRunReport(entries, { startedAt, finishedAt, exitCode }) {
+  const configs = entries.map(buildConfigReport);
+  const inputs = configs.flatMap(config => config.inputs);
+
+  return {
+    version: REPORT_VERSION,
+    startedAt: new Date(startedAt).toISOString(),
+    finishedAt: new Date(finishedAt).toISOString(),
+    durationMs: finishedAt - startedAt,
+    exitCode,
+    summary: {
+      configs: configs.length,
+      inputs: inputs.length,
+      succeeded: inputs.filter(input => input.status === 'success').length,
+      failed: inputs.filter(input => input.status === 'failed').length,
+      skipped: inputs.filter(input => input.status === 'skipped').length,
+      overBudget: inputs.filter(input => input.overBudget).length,
+      belowSsim: inputs.filter(input => input.belowSsim).length,
+      badInputs: inputs.filter(input => input.badInput).length,
+      outputs: inputs.reduce((sum, input) => sum + input.outputs.length, 0),
+      sourceBytes: inputs.reduce((sum, input) => sum + (input.sourceBytes || 0), 0),
+      outputBytes: inputs.reduce((sum, input) => sum + input.outputBytes, 0)
+    },
+    configs
+  };
+}
+
+// 转义XML特殊字符，并去掉XML 1.0不允许的控制字符
+function escapeXml(value) {
+  return String(value)
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// 毫秒转换为JUnit使用的秒数
+function toSeconds(durationMs) {
+  return (durationMs / 1000).toFixed(3);
+}
+
+// 输出文件的单行描述，写入 <system-out>
+function describeOutput(output) {
+  const size = output.width ? `${output.width}x${output.height}` : '尺寸未知';
+  const bytes = output.bytes === null ? '大小未知' : `${output.bytes} 字节`;
+  const ratio = output.compressionRatio === null ? '' : `，压缩率 ${output.compressionRatio}`;
+  const quality = output.quality === null ? '' : `，品质 ${output.quality}`;
+  const budget = output.overBudget ? '，超出大小预算' : '';
+  const ssim = output.ssim === undefined ? '' : `，SSIM ${output.ssim}${output.belowSsim ? '（低于阈值）' : ''}`;
+  const frames = output.frames === undefined ? '' : `，动画 ${output.frames} 帧`;
+  return `x${output.scale} ${output.format} ${output.path} ${size}，${bytes}${ratio}${quality}${budget}${ssim}${frames}${output.cached ? '（缓存）' : ''}`;
+}
+
+// 渲染为JUnit XML：每个配置一个 testsuite，每个输入文件一个 testcase
+function renderJUnitReport(report) {
+  const { summary } = report;
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="image-processor" tests="${summary.inputs}" failures="${summary.failed}" skipped="${summary.skipped}" time="${toSeconds(report.durationMs)}">`
+  ];
+
+  for (const config of report.configs) {
+    const failures = config.inputs.filter(input => input.status === 'failed').length;
+    const skipped = config.inputs.filter(input => input.status === 'skipped').length;
+    lines.push(`  <testsuite name="${escapeXml(config.name)}" tests="${config.inputs.length}" failures="${failures}" errors="0" skipped="${skipped}" time="${toSeconds(config.durationMs)}" timestamp="${report.startedAt}">`);
+
+    for (const input of config.inputs) {
+      lines.push(`    <testcase classname="${escapeXml(config.name)}" name="${escapeXml(input.file)}" time="${toSeconds(input.durationMs)}">`);
+      if (input.status === 'failed') {
+        const message = input.errors.map(error => `x${error.scale}: ${error.message}`).join('; ');
+        lines.push(`      <failure message="${escapeXml(message)}" type="ImageProcessingError">${escapeXml(`${input.path}\n${message}`)}</failure>`);
+      } else if (input.status === 'skipped') {
+        lines.push('      <skipped message="所有输出均为最新（增量缓存命中）"/>');
+      }
+      if (input.outputs.length > 0) {
+        lines.push(`      <system-out>${escapeXml(input.outputs.map(describeOutput).join('\n'))}</system-out>`);
+      }
+      lines.push('    </testcase>');
+    }
+
+    lines.push('  </testsuite>');
+  }
+
+  lines.push('</testsuites>');
+  return `${lines.join('\n')}\n`;
+}
+
+// 写入报告文件（先写临时文件再重命名，避免CI读到不完整的报告）
+function writeReportFile(filePath, content) {
+  fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, content);
+  fs.renameSync(tempPath, filePath);
+}
+
+function writeJsonReport(report, filePath) {
+  writeReportFile(filePath, `${JSON.stringify(report, null, 2)}\n`);
+}
+
+function writeJUnitReport(report, filePath) {
+  writeReportFile(filePath, renderJUnitReport(report));
+}
+
+module.exports = { createRunReport, createInputReport, renderJUnitReport, writeJsonReport, writeJUnitReport };
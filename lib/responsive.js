@@ -0,0 +1,201 @@
+const fs = require('fs');
+const path = require('path');
+
+// 响应式图片清单：按源文件列出各倍数、各格式的输出，并生成 srcset、<picture> 片段和可导入的模块
+
+const RESPONSIVE_MANIFEST_VERSION = 1;
+
+// 配置中 responsive 的默认值（设置了 responsive 时生效，未设置时不生成任何文件）
+const RESPONSIVE_DEFAULTS = {
+  fileName: 'responsive',  // 生成文件的文件名（不含扩展名，相对输出目录）
+  manifest: true,          // 生成 <fileName>.json
+  html: false,             // 生成 <fileName>.html，包含每张图片的 <img srcset> / <picture> 片段
+  module: false,           // 生成可导入的模块: 'esm'（<fileName>.js）或 'cjs'（<fileName>.cjs）
+  publicPath: '',          // 输出文件的URL前缀，如 '/static/images/' 或 CDN 地址
+  sizes: null              // <img sizes> 属性；设置后 srcset 使用宽度描述符（800w），否则使用倍数描述符（2x）
+};
+
+const MIME_TYPES = {
+  avif: 'image/avif',
+  webp: 'image/webp',
+  jpeg: 'image/jpeg',
+  png: 'image/png'
+};
+
+// <picture> 中 <source> 的顺序（压缩率从高到低）
+const SOURCE_ORDER = ['avif', 'webp', 'jpeg', 'png'];
+// <img> 回退格式的优先顺序（兼容性从高到低）
+const FALLBACK_ORDER = ['jpeg', 'png', 'webp', 'avif'];
+
+// 合并 responsive 配置与默认值；responsive 为 null 或未设置时关闭
+function getResponsiveOptions(config) {
+  if (!config.responsive) {
+    return { ...RESPONSIVE_DEFAULTS, manifest: false };
+  }
+  return { ...RESPONSIVE_DEFAULTS, ...config.responsive };
+}
+
+// 是否需要生成任何响应式文件
+function isResponsiveEnabled(options) {
+  return Boolean(options.manifest || options.html || options.module);
+}
+
+// 输出路径（相对输出目录）转换为URL：各路径段分别编码，再拼接 publicPath
+function toPublicUrl(key, publicPath) {
+  const encoded = key.split('/').map(segment => encodeURIComponent(segment)).join('/');
+  if (!publicPath) {
+    return encoded;
+  }
+  return publicPath.endsWith('/') ? `${publicPath}${encoded}` : `${publicPath}/${encoded}`;
+}
+
+// 生成某种格式的 srcset
+function buildSrcset(outputs, options) {
+  return outputs
+    .map(output => `${output.url} ${options.sizes ? `${output.width}w` : `${output.scale}x`}`)
+    .join(', ');
+}
+
+// 生成单个源文件的清单条目
+// outputs: [{ scale, format, path, width, height, bytes, hash }]，path 为相对输出目录的路径
+function buildImageEntry(outputs, options) {
+  const entryOutputs = outputs
+    .map(output => ({ ...output, url: toPublicUrl(output.path, options.publicPath) }))
+    .sort((a, b) => a.scale - b.scale || SOURCE_ORDER.indexOf(a.format) - SOURCE_ORDER.indexOf(b.format));
+  const formats = SOURCE_ORDER.filter(format => entryOutputs.some(output => output.format === format));
+  const fallbackFormat = FALLBACK_ORDER.find(format => formats.includes(format));
+  const fallbackOutputs = entryOutputs.filter(output => output.format === fallbackFormat);
+
+  // 显示尺寸按最小倍数的输出尺寸换算（适配模式为 inside / outside 时各图片不同）
+  const base = fallbackOutputs[0];
+  const srcset = {};
+  for (const format of formats) {
+    srcset[format] = buildSrcset(entryOutputs.filter(output => output.format === format), options);
+  }
+
+  return {
+    width: Math.round(base.width / base.scale),
+    height: Math.round(base.height / base.scale),
+    src: base.url,
+    type: MIME_TYPES[fallbackFormat],
+    srcset,
+    outputs: entryOutputs
+  };
+}
+
+// 生成整个配置的响应式清单，images 为 Map<源文件相对路径, outputs>
+function buildResponsiveManifest(configName, images, options) {
+  const manifest = {
+    version: RESPONSIVE_MANIFEST_VERSION,
+    config: configName,
+    publicPath: options.publicPath,
+    images: {}
+  };
+  const sourceKeys = [...images.keys()].sort();
+  for (const sourceKey of sourceKeys) {
+    const outputs = images.get(sourceKey);
+    if (outputs.length > 0) {
+      manifest.images[sourceKey] = buildImageEntry(outputs, options);
+    }
+  }
+  return manifest;
+}
+
+// 转义HTML属性值
+function escapeAttribute(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+// 生成单张图片的HTML片段：只有一种格式时为 <img srcset>，多种格式时为 <picture>
+function renderImageMarkup(image, options) {
+  const sizes = options.sizes ? ` sizes="${escapeAttribute(options.sizes)}"` : '';
+  const fallbackFormat = Object.keys(image.srcset).find(format => MIME_TYPES[format] === image.type);
+  const img = `<img src="${escapeAttribute(image.src)}" srcset="${escapeAttribute(image.srcset[fallbackFormat])}"${sizes} width="${image.width}" height="${image.height}" alt="" loading="lazy" decoding="async">`;
+
+  const sources = Object.keys(image.srcset).filter(format => format !== fallbackFormat);
+  if (sources.length === 0) {
+    return img;
+  }
+  return [
+    '<picture>',
+    ...sources.map(format => `  <source type="${MIME_TYPES[format]}" srcset="${escapeAttribute(image.srcset[format])}"${sizes}>`),
+    `  ${img}`,
+    '</picture>'
+  ].join('\n');
+}
+
+// 生成HTML片段文件
+function renderHtml(manifest, options) {
+  const blocks = Object.entries(manifest.images).map(([sourceKey, image]) => (
+    `<!-- ${sourceKey.replace(/--/g, '- -')} -->\n${renderImageMarkup(image, options)}`
+  ));
+  return `<!-- 配置 "${manifest.config.replace(/--/g, '- -')}" 的响应式图片片段（自动生成，请补充 alt 文本） -->\n\n${blocks.join('\n\n')}\n`;
+}
+
+// 生成可导入的模块
+function renderModule(manifest, moduleType) {
+  const json = JSON.stringify(manifest, null, 2);
+  const header = `// 配置 "${manifest.config}" 的响应式图片清单（自动生成，请勿手动修改）\n`;
+  return moduleType === 'cjs' ? `${header}module.exports = ${json};\n` : `${header}export default ${json};\n`;
+}
+
+// 写入文件（内容未变化时跳过，避免触发前端开发服务器的无意义重新构建）
+function writeIfChanged(filePath, content) {
+  if (fs.existsSync(filePath) && fs.readFileSync(filePath, 'utf8') === content) {
+    return false;
+  }
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, content);
+  fs.renameSync(tempPath, filePath);
+  return true;
+}
+
+// 获取需要生成的文件路径: [{ type, path }]
+function getResponsiveFiles(outputDir, options) {
+  const basePath = path.join(outputDir, options.fileName);
+  const files = [];
+  if (options.manifest) {
+    files.push({ type: 'manifest', path: `${basePath}.json` });
+  }
+  if (options.html) {
+    files.push({ type: 'html', path: `${basePath}.html` });
+  }
+  if (options.module) {
+    files.push({ type: 'module', path: `${basePath}.${options.module === 'cjs' ? 'cjs' : 'js'}` });
+  }
+  return files;
+}
+
+// 写出清单、HTML片段和模块，返回实际写入（内容有变化）的文件路径
+function writeResponsiveFiles(outputDir, manifest, options) {
+  const written = [];
+  for (const file of getResponsiveFiles(outputDir, options)) {
+    let content;
+    if (file.type === 'manifest') {
+      content = `${JSON.stringify(manifest, null, 2)}\n`;
+    } else if (file.type === 'html') {
+      content = renderHtml(manifest, options);
+    } else {
+      content = renderModule(manifest, options.module);
+    }
+    if (writeIfChanged(file.path, content)) {
+      written.push(file.path);
+    }
+  }
+  return written;
+}
+
+module.exports = {
+  RESPONSIVE_DEFAULTS,
+  getResponsiveOptions,
+  isResponsiveEnabled,
+  getResponsiveFiles,
+  buildResponsiveManifest,
+  renderImageMarkup,
+  writeResponsiveFiles
+};
@@ -0,0 +1,101 @@
+const path = require('path');
+const sharp = require('sharp');
+const { matchAnyGlob } = require('./glob');
+const { shouldAutoOrient, getOrientedMetadata } = require('./metadata');
+
+// 单图规则：配置的 rules 按顺序匹配每个源文件，ruleMatch 为 'first'（默认）时第一条匹配的规则生效，为 'last' 时最后一条生效，
+// 生效规则的 options 覆盖配置中的处理参数
+// match 中的条件须全部满足: glob（相对输入目录的路径）、regex（文件名）以及源图属性（宽高、透明通道、宽高比）
+
+// 规则可覆盖的处理参数；目录、倍数、文件名、缓存和失败处理等作用于整个配置的配置项不能按文件覆盖
+const RULE_OPTION_KEYS = [
+  'targetWidth', 'targetHeight', 'cropPosition', 'cropDebug', 'fit', 'background', 'blurSigma',
+  'withoutEnlargement', 'keepOriginalSize', 'focalPointSidecar', 'autoOrient', 'colorProfile', 'metadata',
+  'animated', 'maxFrames', 'maxAnimationPixels', 'quality', 'maxBytes', 'minQuality', 'qualityGuard',
+  'formats', 'overlays'
+];
+
+// 需要读取源图元数据的匹配条件
+const PROPERTY_CONDITIONS = ['minWidth', 'maxWidth', 'minHeight', 'maxHeight', 'hasAlpha', 'minAspectRatio', 'maxAspectRatio'];
+
+// 规则名称，未命名时使用其在 rules 中的位置
+function getRuleName(rule, index) {
+  return rule.name || `rules[${index}]`;
+}
+
+// 是否有规则按源图属性匹配（需要在主线程读取源文件头部）
+function rulesNeedMetadata(rules = []) {
+  return rules.some(rule => PROPERTY_CONDITIONS.some(key => rule.match[key] !== undefined));
+}
+
+// 读取匹配源图属性所需的元数据（未旋转，按各规则生效后的 autoOrient 取宽高，见 getRuleMetadata），读取失败时返回 null
+async function readRuleMetadata(file) {
+  try {
+    return await sharp(file).metadata();
+  } catch (error) {
+    // 损坏的源文件不匹配任何属性条件，由Worker处理时报告错误
+    return null;
+  }
+}
+
+// 规则匹配使用的元数据：该规则生效时的 autoOrient（规则可覆盖）为 true 时取旋转后的宽高
+function getRuleMetadata(config, rule, metadata) {
+  if (!metadata) {
+    return null;
+  }
+  return shouldAutoOrient(metadata, { ...config, ...rule.options }) ? getOrientedMetadata(metadata) : metadata;
+}
+
+// 源文件是否满足规则的所有匹配条件，sourceKey 为相对输入目录的 "/" 分隔路径
+function matchesRule(match, sourceKey, metadata) {
+  if (match.glob !== undefined && !matchAnyGlob(sourceKey, [].concat(match.glob))) {
+    return false;
+  }
+  if (match.regex !== undefined && !new RegExp(match.regex).test(path.posix.basename(sourceKey))) {
+    return false;
+  }
+  if (!PROPERTY_CONDITIONS.some(key => match[key] !== undefined)) {
+    return true;
+  }
+  if (!metadata) {
+    return false;
+  }
+  const { width, height } = metadata;
+  const aspectRatio = width / height;
+  return (match.minWidth === undefined || width >= match.minWidth) &&
+    (match.maxWidth === undefined || width <= match.maxWidth) &&
+    (match.minHeight === undefined || height >= match.minHeight) &&
+    (match.maxHeight === undefined || height <= match.maxHeight) &&
+    (match.hasAlpha === undefined || Boolean(metadata.hasAlpha) === match.hasAlpha) &&
+    (match.minAspectRatio === undefined || aspectRatio >= match.minAspectRatio) &&
+    (match.maxAspectRatio === undefined || aspectRatio <= match.maxAspectRatio);
+}
+
+// 按配置的 ruleMatch 查找源文件生效的规则（第一条或最后一条匹配的规则），返回 { index, name }，没有匹配时返回 null
+// metadata 为未旋转的源图元数据，只在有规则按源图属性匹配时需要（见 rulesNeedMetadata）
+function findMatchingRule(config, sourceKey, metadata = null) {
+  const rules = config.rules || [];
+  const matches = rule => matchesRule(rule.match, sourceKey, getRuleMetadata(config, rule, metadata));
+  const index = config.ruleMatch === 'last' ? rules.findLastIndex(matches) : rules.findIndex(matches);
+  return index === -1 ? null : { index, name: getRuleName(rules[index], index) };
+}
+
+// 应用规则的覆盖参数，ruleIndex 为 null 时返回原配置
+function applyRule(config, ruleIndex) {
+  if (ruleIndex === null || ruleIndex === undefined) {
+    return config;
+  }
+  return { ...config, ...config.rules[ruleIndex].options };
+}
+
+// 为单个源文件匹配规则，返回 { rule, config }，config 为应用规则后的配置
+async function resolveFileRule(config, file, sourceKey) {
+  if (!config.rules || config.rules.length === 0) {
+    return { rule: null, config };
+  }
+  const metadata = rulesNeedMetadata(config.rules) ? await readRuleMetadata(file) : null;
+  const rule = findMatchingRule(config, sourceKey, metadata);
+  return { rule, config: applyRule(config, rule && rule.index) };
+}
+
+module.exports = { RULE_OPTION_KEYS, applyRule, resolveFileRule };
@@ -0,0 +1,87 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// serve 命令按需编码的图片缓存，位于各配置输出目录的 .serve-cache/ 下
+// 文件名为 <源文件路径哈希>-<源文件内容哈希>-<输出配置哈希><扩展名>：源文件修改后，同一源文件的旧缓存在写入新缓存时删除；
+// 总大小超过上限时按最近使用时间淘汰（命中缓存时更新文件修改时间），已删除源文件的缓存不再被使用，会最先被淘汰
+
+const SERVE_CACHE_DIR = '.serve-cache';
+const ENTRY_PATTERN = /^([0-9a-f]{8})-([0-9a-f]{16})-[0-9a-f]{16}\.[a-z]+$/;
+
+// 缓存文件路径
+function getServeCachePath(outputDir, file, sourceHash, configHash, extension) {
+  const fileKey = crypto.createHash('sha256').update(path.resolve(file)).digest('hex').slice(0, 8);
+  return path.join(outputDir, SERVE_CACHE_DIR, `${fileKey}-${sourceHash.slice(0, 16)}-${configHash}${extension}`);
+}
+
+// 命中缓存时更新修改时间，作为最近使用时间
+function touchServeCacheEntry(cachePath) {
+  const now = new Date();
+  try {
+    fs.utimesSync(cachePath, now, now);
+  } catch (error) {
+    // 缓存文件刚被淘汰时忽略
+  }
+}
+
+// 清理缓存目录：latestPath 为刚写入的缓存文件，同一源文件内容哈希不同的缓存直接删除；
+// 之后总大小超过 maxBytes 时从最久未使用的开始删除（不删除 latestPath）。临时文件等不符合命名的文件不处理，返回删除的文件数
+function pruneServeCache(cacheDir, maxBytes, latestPath = null) {
+  let names;
+  try {
+    names = fs.readdirSync(cacheDir);
+  } catch (error) {
+    return 0;
+  }
+  const latest = latestPath ? path.basename(latestPath).match(ENTRY_PATTERN) : null;
+
+  const entries = [];
+  for (const name of names) {
+    const match = name.match(ENTRY_PATTERN);
+    if (!match) {
+      continue;
+    }
+    const entryPath = path.join(cacheDir, name);
+    let stats;
+    try {
+      stats = fs.statSync(entryPath);
+    } catch (error) {
+      continue;
+    }
+    entries.push({
+      path: entryPath,
+      size: stats.size,
+      mtimeMs: stats.mtimeMs,
+      latest: Boolean(latest) && name === latest[0],
+      stale: Boolean(latest) && match[1] === latest[1] && match[2] !== latest[2]
+    });
+  }
+
+  let totalSize = entries.reduce((sum, entry) => sum + entry.size, 0);
+  let removed = 0;
+  const remove = (entry) => {
+    fs.rmSync(entry.path, { force: true });
+    totalSize -= entry.size;
+    removed++;
+  };
+
+  entries.filter(entry => entry.stale).forEach(remove);
+  const candidates = entries
+    .filter(entry => !entry.stale && !entry.latest)
+    .sort((a, b) => a.mtimeMs - b.mtimeMs);
+  for (const entry of candidates) {
+    if (totalSize <= maxBytes) {
+      break;
+    }
+    remove(entry);
+  }
+  return removed;
+}
+
+module.exports = {
+  SERVE_CACHE_DIR,
+  getServeCachePath,
+  touchServeCacheEntry,
+  pruneServeCache
+};
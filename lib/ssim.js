@@ -0,0 +1,71 @@
+// 结构相似性（SSIM）：在亮度通道上以 8×8 窗口（步长 4）计算局部 SSIM 后取平均
+// 输入为相同尺寸的原始像素数据（sharp raw 输出，按行排列，每像素 channels 个字节）
+
+const WINDOW_SIZE = 8;
+const WINDOW_STEP = 4;
+// 8位图像的稳定常数 C1 = (0.01 × 255)²，C2 = (0.03 × 255)²
+const C1 = (0.01 * 255) ** 2;
+const C2 = (0.03 * 255) ** 2;
+
+// 转换为亮度（ITU-R BT.601），灰度图直接使用第一个通道
+function toLuma(data, width, height, channels) {
+  const luma = new Float32Array(width * height);
+  for (let i = 0, offset = 0; i < luma.length; i++, offset += channels) {
+    luma[i] = channels >= 3
+      ? 0.299 * data[offset] + 0.587 * data[offset + 1] + 0.114 * data[offset + 2]
+      : data[offset];
+  }
+  return luma;
+}
+
+// 计算单个窗口的 SSIM
+function windowSsim(a, b, width, left, top, windowWidth, windowHeight) {
+  const count = windowWidth * windowHeight;
+  let sumA = 0;
+  let sumB = 0;
+  let sumAA = 0;
+  let sumBB = 0;
+  let sumAB = 0;
+  for (let y = top; y < top + windowHeight; y++) {
+    const row = y * width;
+    for (let x = left; x < left + windowWidth; x++) {
+      const valueA = a[row + x];
+      const valueB = b[row + x];
+      sumA += valueA;
+      sumB += valueB;
+      sumAA += valueA * valueA;
+      sumBB += valueB * valueB;
+      sumAB += valueA * valueB;
+    }
+  }
+  const meanA = sumA / count;
+  const meanB = sumB / count;
+  const varianceA = sumAA / count - meanA * meanA;
+  const varianceB = sumBB / count - meanB * meanB;
+  const covariance = sumAB / count - meanA * meanB;
+  return ((2 * meanA * meanB + C1) * (2 * covariance + C2))
+    / ((meanA * meanA + meanB * meanB + C1) * (varianceA + varianceB + C2));
+}
+
+// 计算两张图片的平均 SSIM（1 表示完全相同），图片小于窗口时整张图作为一个窗口
+function computeSsim(dataA, dataB, { width, height, channels }) {
+  if (dataA.length !== dataB.length || dataA.length !== width * height * channels) {
+    throw new Error(`SSIM 计算失败: 像素数据与尺寸 ${width}x${height}x${channels} 不一致`);
+  }
+  const a = toLuma(dataA, width, height, channels);
+  const b = toLuma(dataB, width, height, channels);
+  const windowWidth = Math.min(WINDOW_SIZE, width);
+  const windowHeight = Math.min(WINDOW_SIZE, height);
+
+  let total = 0;
+  let windows = 0;
+  for (let top = 0; top + windowHeight <= height; top += WINDOW_STEP) {
+    for (let left = 0; left + windowWidth <= width; left += WINDOW_STEP) {
+      total += windowSsim(a, b, width, left, top, windowWidth, windowHeight);
+      windows++;
+    }
+  }
+  return total / windows;
+}
+
+module.exports = { computeSsim };
@@ -0,0 +1,192 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+// 监听模式：监听输入目录中文件的新增、修改和删除，合并短时间内的多次变化后批量回调
+
+const DEBOUNCE_MS = 300;     // 最后一次变化后等待的时间，合并连续的变化事件
+const WRITE_SETTLE_MS = 1000; // 文件修改时间距今不足该时长时视为仍在写入（拷贝大文件、设计软件导出等）
+
+// 判断路径是否位于目录内（含目录本身）
+function isInsideDir(filePath, dirPath) {
+  const relative = path.relative(dirPath, filePath);
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+// 创建输入目录监听器
+// targets: [{ dir, recursive }]，ignoreDirs 中的目录（如位于输入目录内的输出目录）不触发变化
+// onChange(paths) 在变化稳定后调用，paths 为发生变化的绝对路径（可能已被删除）；
+// 上一次回调返回的 Promise 完成前不会再次回调，期间的变化会累积到下一批
+function createInputWatcher(targets, { onChange, ignoreDirs = [], debounceMs = DEBOUNCE_MS, settleMs = WRITE_SETTLE_MS }) {
+  const watchers = new Map(); // 监听的目录 → FSWatcher
+  const pendingPaths = new Set();
+  let timer = null;
+  let running = false;
+  let closed = false;
+
+  function schedule(delay = debounceMs) {
+    if (closed) {
+      return;
+    }
+    clearTimeout(timer);
+    timer = setTimeout(flush, delay);
+  }
+
+  // 取出已写入完成的路径；仍在写入的文件留到下一批
+  function takeSettledPaths() {
+    const settled = [];
+    for (const filePath of pendingPaths) {
+      let stat = null;
+      try {
+        stat = fs.statSync(filePath);
+      } catch (error) {
+        // 文件已删除
+      }
+      if (stat && stat.isFile() && Date.now() - stat.mtimeMs < settleMs) {
+        continue;
+      }
+      pendingPaths.delete(filePath);
+      settled.push(filePath);
+    }
+    return settled;
+  }
+
+  async function flush() {
+    if (running || closed) {
+      return;
+    }
+    const paths = takeSettledPaths();
+    if (paths.length > 0) {
+      running = true;
+      try {
+        await onChange(paths);
+      } finally {
+        running = false;
+      }
+    }
+    if (pendingPaths.size > 0) {
+      schedule(paths.length > 0 ? debounceMs : settleMs);
+    }
+  }
+
+  function isIgnored(filePath) {
+    return ignoreDirs.some(ignoreDir => isInsideDir(filePath, ignoreDir));
+  }
+
+  function addPath(filePath) {
+    if (!isIgnored(filePath)) {
+      pendingPaths.add(filePath);
+      schedule();
+    }
+  }
+
+  function addWatcher(dir, options, onEvent) {
+    const watcher = fs.watch(dir, options, onEvent);
+    watcher.on('error', (error) => {
+      // 逐目录监听时子目录被删除也会触发错误，此时只移除其监听器
+      if (watchers.get(dir) === watcher && !fs.existsSync(dir)) {
+        unwatchTree(dir);
+        return;
+      }
+      logger.error(`❌ 监听目录失败 ${dir}:`, error.message);
+    });
+    watchers.set(dir, watcher);
+  }
+
+  // 关闭目录及其子目录的监听器（逐目录监听时目录被删除）
+  function unwatchTree(dir) {
+    for (const [watchedDir, watcher] of watchers) {
+      if (isInsideDir(watchedDir, dir)) {
+        watcher.close();
+        watchers.delete(watchedDir);
+      }
+    }
+  }
+
+  // 逐目录监听：平台不支持递归监听时（Linux 上 Node 20 之前的版本）为目录及其所有子目录分别创建非递归监听器
+  // 新出现的子目录在事件中补充监听，其中已有的文件（如整个目录拷贝进来）一并作为变化处理
+  function watchTree(dir, addExisting = false) {
+    if (closed || watchers.has(dir) || isIgnored(dir)) {
+      return;
+    }
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch (error) {
+      return;
+    }
+    addWatcher(dir, {}, (eventType, fileName) => {
+      if (!fileName) {
+        return;
+      }
+      // 目录自身被删除（父目录的监听器会报告该目录）
+      if (!fs.existsSync(dir)) {
+        unwatchTree(dir);
+        return;
+      }
+      const filePath = path.join(dir, fileName.toString());
+      addPath(filePath);
+      let stat = null;
+      try {
+        stat = fs.lstatSync(filePath);
+      } catch (error) {
+        unwatchTree(filePath);
+      }
+      if (stat && stat.isDirectory()) {
+        watchTree(filePath, true);
+      }
+    });
+    for (const entry of entries) {
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        watchTree(entryPath, addExisting);
+      } else if (addExisting) {
+        addPath(entryPath);
+      }
+    }
+  }
+
+  for (const { dir, recursive } of targets) {
+    const onEvent = (eventType, fileName) => {
+      if (fileName) {
+        addPath(path.join(dir, fileName.toString()));
+      }
+    };
+    try {
+      addWatcher(dir, { recursive: Boolean(recursive) }, onEvent);
+    } catch (error) {
+      if (!recursive || error.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') {
+        throw error;
+      }
+      watchTree(dir);
+    }
+  }
+
+  return {
+    close() {
+      closed = true;
+      clearTimeout(timer);
+      watchers.forEach(watcher => watcher.close());
+      watchers.clear();
+    }
+  };
+}
+
+// 单行状态显示：终端中原地刷新，非终端（如重定向到日志文件）只输出最终状态
+function createStatusLine(stream = process.stdout) {
+  const interactive = Boolean(stream.isTTY);
+  return {
+    // 刷新进行中的状态
+    update(text) {
+      if (interactive) {
+        stream.write(`\x1b[2K\r${text}`);
+      }
+    },
+    // 输出一行最终状态并换行
+    done(text) {
+      stream.write(interactive ? `\x1b[2K\r${text}\n` : `${text}\n`);
+    }
+  };
+}
+
+module.exports = { createInputWatcher, createStatusLine, isInsideDir };
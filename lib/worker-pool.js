@@ -0,0 +1,246 @@
+const { Worker } = require('worker_threads');
+
+// 全局Worker线程池
+// 任务按 groupKey（源文件）分组：空闲线程优先继续处理自己当前分组的剩余任务（复用已读取的源文件），
+// 当前分组处理完后领取下一个未开始的分组，所有分组都已领取时从剩余任务最多的线程处窃取一半任务。
+// 每个线程同一时间只执行一个任务，处理完成后才会分配下一个，任务不会在消息队列中堆积。
+// 线程与主线程之间的消息: 主线程 → { type: 'job', jobId, job }，线程 → { type: 'result', jobId, result }
+// 线程初始化完成后可发送 { type: 'ready' }，主线程收到后调用 onReady(workerId)
+// 线程崩溃或任务超时（终止该线程）时会以相同编号重新创建线程，批次中的其它任务继续执行
+function createWorkerPool({ size, workerFile, workerData = {}, onReady = null }) {
+  const slots = [];
+  let running = false;
+
+  // 创建线程，按需创建，首次 run 时不超过任务数
+  function spawn(workerId) {
+    const worker = new Worker(workerFile, { workerData: { ...workerData, workerId } });
+    const slot = { workerId, worker, local: [], handlers: null, current: null, timer: null, timedOut: false, error: null };
+    worker.on('message', (message) => {
+      if (message && message.type === 'result' && slot.handlers) {
+        slot.handlers.onResult(message);
+      } else if (message && message.type === 'ready' && onReady) {
+        onReady(workerId);
+      }
+    });
+    // 'error' 之后总会触发 'exit'，统一在 exit 中处理
+    worker.on('error', (error) => {
+      slot.error = error;
+    });
+    worker.on('exit', (code) => {
+      slot.exited = true;
+      if (slot.handlers) {
+        slot.handlers.onExit(slot.error || new Error(`Worker线程 ${workerId} 异常退出，代码: ${code}`));
+      }
+    });
+    return slot;
+  }
+
+  // 执行一批任务，返回与 jobs 顺序一致的结果
+  // onResult(result, job, workerId) 在每个任务完成时调用
+  // signal 中止时不再分配新任务并以 signal.reason 拒绝，正在执行的任务需由调用方 close() 终止
+  // 失败处理（均为可选）:
+  //   timeout(job): 任务超时毫秒数，超时后终止该线程；返回 0 或 null 表示不限制
+  //   retries(job): 任务失败后的最多重试次数
+  //   shouldRetry(result, job): 任务正常返回的结果需要重试时返回原因（字符串），否则返回 null
+  //   onRetry(job, attempt, reason): 每次重试前调用，attempt 为已执行次数，reason 为重试原因
+  //   onFailure(job, error, durationMs): 线程崩溃或超时且不再重试时生成该任务的结果（超时的 error.timedOut 为 true）；未指定时以该错误拒绝整个批次
+  function run(jobs, options = {}) {
+    const {
+      groupKey = () => null,
+      onResult = null,
+      signal = null,
+      timeout = () => null,
+      retries = () => 0,
+      shouldRetry = () => null,
+      onRetry = null,
+      onFailure = null
+    } = options;
+    if (running) {
+      return Promise.reject(new Error('线程池正在执行其它任务'));
+    }
+    if (signal && signal.aborted) {
+      return Promise.reject(signal.reason);
+    }
+    if (jobs.length === 0) {
+      return Promise.resolve([]);
+    }
+
+    // 上一批次结束后退出的线程重新创建
+    slots.forEach((slot, index) => {
+      if (slot.exited) {
+        slots[index] = spawn(slot.workerId);
+      }
+    });
+    while (slots.length < Math.min(size, jobs.length)) {
+      slots.push(spawn(slots.length + 1));
+    }
+
+    // 按分组键分组，保持任务的原始顺序
+    const groups = new Map();
+    jobs.forEach((job, index) => {
+      const key = groupKey(job);
+      const groupId = key === null || key === undefined ? `#${index}` : key;
+      if (!groups.has(groupId)) {
+        groups.set(groupId, []);
+      }
+      groups.get(groupId).push(index);
+    });
+    const pendingGroups = [...groups.values()];
+
+    // 为空闲线程选择下一个任务
+    function takeJob(slot) {
+      if (slot.local.length === 0 && pendingGroups.length > 0) {
+        slot.local = pendingGroups.shift();
+      }
+      if (slot.local.length === 0) {
+        const victim = slots
+          .filter(other => other !== slot && other.local.length > 0)
+          .sort((a, b) => b.local.length - a.local.length)[0];
+        if (victim) {
+          slot.local = victim.local.splice(Math.floor(victim.local.length / 2));
+        }
+      }
+      return slot.local.length > 0 ? slot.local.shift() : null;
+    }
+
+    running = true;
+    return new Promise((resolve, reject) => {
+      const results = new Array(jobs.length);
+      const attempts = new Array(jobs.length).fill(0);
+      let completed = 0;
+      let settled = false;
+
+      const onAbort = () => finish(signal.reason);
+
+      function finish(error) {
+        if (settled) {
+          return;
+        }
+        settled = true;
+        running = false;
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+        for (const slot of slots) {
+          clearTimeout(slot.timer);
+          slot.handlers = null;
+          slot.local = [];
+          slot.current = null;
+        }
+        if (error) {
+          reject(error);
+        } else {
+          resolve(results);
+        }
+      }
+
+      function dispatch(slot) {
+        const jobIndex = takeJob(slot);
+        if (jobIndex === null) {
+          slot.busy = false;
+          return;
+        }
+        slot.busy = true;
+        slot.current = jobIndex;
+        slot.startTime = Date.now();
+        attempts[jobIndex]++;
+        const limit = timeout(jobs[jobIndex]);
+        if (limit > 0) {
+          slot.timer = setTimeout(() => {
+            slot.timedOut = true;
+            slot.worker.terminate();
+          }, limit);
+        }
+        slot.worker.postMessage({ type: 'job', jobId: jobIndex, job: jobs[jobIndex] });
+      }
+
+      // 任务完成或确定失败：记录结果
+      function complete(slot, jobIndex, result) {
+        results[jobIndex] = result;
+        completed++;
+        if (onResult) {
+          onResult(result, jobs[jobIndex], slot.workerId);
+        }
+      }
+
+      // 是否还能重试，可以时放回该线程的队列头部
+      function retry(slot, jobIndex, reason) {
+        if (attempts[jobIndex] > retries(jobs[jobIndex])) {
+          return false;
+        }
+        if (onRetry) {
+          onRetry(jobs[jobIndex], attempts[jobIndex], reason);
+        }
+        slot.local.unshift(jobIndex);
+        return true;
+      }
+
+      function attach(slot) {
+        slot.handlers = {
+          onResult: ({ jobId, result }) => {
+            clearTimeout(slot.timer);
+            slot.current = null;
+            const reason = shouldRetry(result, jobs[jobId]);
+            if (!reason || !retry(slot, jobId, reason)) {
+              complete(slot, jobId, result);
+            }
+            if (completed === jobs.length) {
+              finish(null);
+            } else if (!slot.timedOut) {
+              // 超时的线程即将退出，剩余任务由重新创建的线程继续
+              dispatch(slot);
+            }
+          },
+          onExit: (error) => {
+            clearTimeout(slot.timer);
+            const jobIndex = slot.current;
+            if (jobIndex === null && !slot.timedOut) {
+              // 空闲线程退出（如线程启动失败），重新创建也无法恢复
+              finish(error);
+              return;
+            }
+            if (jobIndex !== null) {
+              const failure = slot.timedOut ? Object.assign(new Error(`处理超时（超过 ${timeout(jobs[jobIndex])}ms）`), { timedOut: true }) : error;
+              if (!retry(slot, jobIndex, failure.message)) {
+                if (!onFailure) {
+                  finish(failure);
+                  return;
+                }
+                complete(slot, jobIndex, onFailure(jobs[jobIndex], failure, Date.now() - slot.startTime));
+              }
+            }
+            if (completed === jobs.length) {
+              finish(null);
+              return;
+            }
+            // 以相同编号重新创建线程，接管原线程的剩余任务
+            const replacement = spawn(slot.workerId);
+            replacement.local = slot.local;
+            slots[slots.indexOf(slot)] = replacement;
+            attach(replacement);
+            dispatch(replacement);
+          }
+        };
+      }
+
+      slots.forEach(attach);
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+      slots.forEach(dispatch);
+    });
+  }
+
+  // 终止所有线程
+  async function close() {
+    const workers = slots.splice(0).filter(slot => !slot.exited).map(slot => {
+      slot.handlers = null;
+      return slot.worker.terminate();
+    });
+    await Promise.all(workers);
+  }
+
+  return { run, close };
+}
+
+module.exports = { createWorkerPool };
@@ -0,0 +1,186 @@
+#!/usr/bin/env node
+// 处理流水线性能对比：以原有的按倍数分组布局（per-scale）为基线，分别以 per-scale、jobs 和 fanout 模式处理同一批图片，
+// 比较吞吐量和峰值内存
+//
+// 用法:
+//   node scripts/benchmark.js [--input <目录>] [--count <数量>] [--size <宽x高>] [--runs <次数>] [--concurrency <数量>]
+//
+// 未指定 --input 时在临时目录中生成测试图片。每次运行都在独立的子进程中进行（--force 忽略增量缓存），
+// 峰值内存取子进程的 maxRSS（包含所有Worker线程和libvips内存）。--concurrency 不作用于 per-scale 基线，
+// 基线与原版本一样为每个 (配置, 倍数) 使用一个线程。
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+// 第一个模式为基线
+const PIPELINE_MODES = ['per-scale', 'jobs', 'fanout'];
+const RESULT_MARKER = '__BENCHMARK_RESULT__';
+
+// 基准测试使用的配置：两个配置共享输入目录，各导出三个倍数
+function createBenchmarkConfig(inputDir, outputDir) {
+  return {
+    configs: [
+      {
+        name: 'benchmark-cover',
+        inputDir,
+        outputDir: path.join(outputDir, 'cover'),
+        targetWidth: 400,
+        targetHeight: 300,
+        scales: [1, 2, 3],
+        formats: ['webp', 'jpeg'],
+        cache: false
+      },
+      {
+        name: 'benchmark-square',
+        inputDir,
+        outputDir: path.join(outputDir, 'square'),
+        targetWidth: 200,
+        targetHeight: 200,
+        scales: [1, 2, 3],
+        formats: ['webp'],
+        cache: false
+      }
+    ]
+  };
+}
+
+// 解析命令行参数
+function parseArgs(argv) {
+  const options = { input: null, count: 12, width: 4000, height: 3000, runs: 1, concurrency: null };
+  for (let i = 0; i < argv.length; i++) {
+    const value = argv[i + 1];
+    switch (argv[i]) {
+      case '--input':
+        options.input = path.resolve(value);
+        i++;
+        break;
+      case '--count':
+        options.count = Number(value);
+        i++;
+        break;
+      case '--size': {
+        const [width, height] = value.split('x').map(Number);
+        options.width = width;
+        options.height = height;
+        i++;
+        break;
+      }
+      case '--runs':
+        options.runs = Number(value);
+        i++;
+        break;
+      case '--concurrency':
+        options.concurrency = Number(value);
+        i++;
+        break;
+      default:
+        throw new Error(`未知参数: ${argv[i]}`);
+    }
+  }
+  return options;
+}
+
+// 生成带噪点的测试JPEG，避免纯色图片被过度压缩导致结果失真
+async function generateImages(dir, { count, width, height }) {
+  const sharp = require('sharp');
+  fs.mkdirSync(dir, { recursive: true });
+  for (let i = 0; i < count; i++) {
+    await sharp({
+      create: { width, height, channels: 3, background: { r: (i * 40) % 256, g: 120, b: 200 }, noise: { type: 'gaussian', mean: 128, sigma: 40 } }
+    })
+      .jpeg({ quality: 90 })
+      .toFile(path.join(dir, `bench-${String(i + 1).padStart(3, '0')}.jpg`));
+  }
+  console.log(`🖼️  已生成 ${count} 张 ${width}x${height} 测试图片: ${dir}`);
+}
+
+// 子进程：运行一次处理并输出耗时和峰值内存
+async function runChild(configPath, pipeline, concurrency) {
+  const { main } = require('../index.js');
+  const argv = ['--config', configPath, '--force', '--pipeline', pipeline];
+  if (concurrency) {
+    argv.push('--concurrency', String(concurrency));
+  }
+  const startTime = process.hrtime.bigint();
+  const exitCode = await main(argv);
+  const durationMs = Number(process.hrtime.bigint() - startTime) / 1e6;
+  // maxRSS 单位为KB
+  const maxRssMB = Math.round(process.resourceUsage().maxRSS / 1024);
+  process.stdout.write(`\n${RESULT_MARKER}${JSON.stringify({ exitCode, durationMs, maxRssMB })}\n`);
+}
+
+// 在独立子进程中运行一次，返回 { exitCode, durationMs, maxRssMB }
+function runOnce(configPath, pipeline, concurrency) {
+  const args = [__filename, '--child', configPath, pipeline];
+  if (concurrency) {
+    args.push(String(concurrency));
+  }
+  const child = spawnSync(process.execPath, args, { encoding: 'utf8', maxBuffer: 256 * 1024 * 1024 });
+  const line = (child.stdout || '').split('\n').find(item => item.startsWith(RESULT_MARKER));
+  if (child.status !== 0 || !line) {
+    throw new Error(`${pipeline} 模式运行失败（退出码 ${child.status}）:\n${child.stderr}`);
+  }
+  return JSON.parse(line.slice(RESULT_MARKER.length));
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'image-benchmark-'));
+
+  try {
+    const inputDir = options.input || path.join(workDir, 'input');
+    if (!options.input) {
+      await generateImages(inputDir, options);
+    }
+    const imageCount = fs.readdirSync(inputDir).filter(name => /\.(jpe?g|png|webp|tiff?|gif|bmp)$/i.test(name)).length;
+
+    const config = createBenchmarkConfig(inputDir, path.join(workDir, 'output'));
+    const configPath = path.join(workDir, 'config.json');
+    fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
+    const outputsPerImage = config.configs.reduce((sum, item) => sum + item.scales.length * item.formats.length, 0);
+
+    console.log(`📊 ${imageCount} 张图片 × ${outputsPerImage} 个输出，每种模式运行 ${options.runs} 次`);
+
+    const rows = [];
+    for (const pipeline of PIPELINE_MODES) {
+      const runs = [];
+      for (let run = 0; run < options.runs; run++) {
+        runs.push(runOnce(configPath, pipeline, pipeline === 'per-scale' ? null : options.concurrency));
+        fs.rmSync(path.join(workDir, 'output'), { recursive: true, force: true });
+      }
+      const durationMs = Math.min(...runs.map(item => item.durationMs));
+      const maxRssMB = Math.max(...runs.map(item => item.maxRssMB));
+      rows.push({
+        pipeline,
+        durationMs,
+        imagesPerSecond: imageCount / (durationMs / 1000),
+        outputsPerSecond: (imageCount * outputsPerImage) / (durationMs / 1000),
+        maxRssMB
+      });
+    }
+
+    const baseline = rows[0];
+    console.log('\n模式         耗时(s)   图片/s   输出/s   峰值RSS(MB)   加速比');
+    for (const row of rows) {
+      console.log(
+        `${row.pipeline.padEnd(11)}  ${(row.durationMs / 1000).toFixed(2).padStart(7)}  ${row.imagesPerSecond.toFixed(2).padStart(7)}  ${row.outputsPerSecond.toFixed(2).padStart(7)}  ${String(row.maxRssMB).padStart(11)}  ${`${(baseline.durationMs / row.durationMs).toFixed(2)}x`.padStart(7)}`
+      );
+    }
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+if (process.argv[2] === '--child') {
+  runChild(process.argv[3], process.argv[4], Number(process.argv[5]) || null).catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  });
+} else {
+  main().catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { createTempDir } = require('./helpers');
+const { ATLAS_DEFAULTS, getAtlasOptions, isAtlasFileName, writeAtlasFiles } = require('../lib/atlas');
+
+// 生成纯色 PNG 图片；inset 大于 0 时四周留出该宽度的透明边缘
+async function createSprite(dir, name, size, color, inset = 0) {
+  const file = path.join(dir, name);
+  const inner = await sharp({ create: { width: size - inset * 2, height: size - inset * 2, channels: 4, background: color } }).png().toBuffer();
+  await sharp({ create: { width: size, height: size, channels: 4, background: { r: 0, g: 0, b: 0, alpha: 0 } } })
+    .composite([{ input: inner, left: inset, top: inset }])
+    .png()
+    .toFile(file);
+  return { name, file, hash: `${name}-${size}-${inset}` };
+}
+
+// 读取图集中某个像素的 RGBA
+async function readPixel(imagePath, x, y) {
+  const { data } = await sharp(imagePath).extract({ left: x, top: y, width: 1, height: 1 }).raw().toBuffer({ resolveWithObject: true });
+  return [...data];
+}
+
+function readSheet(outputDir, jsonName) {
+  return JSON.parse(fs.readFileSync(path.join(outputDir, jsonName), 'utf8'));
+}
+
+// 两个矩形（含间距）是否重叠
+function overlaps(a, b, padding) {
+  return a.x < b.x + b.w + padding && b.x < a.x + a.w + padding && a.y < b.y + b.h + padding && b.y < a.y + a.h + padding;
+}
+
+test('未配置 atlas 时不生成', () => {
+  assert.equal(getAtlasOptions({}), null);
+  assert.deepEqual(getAtlasOptions({ atlas: { padding: 0 } }), { ...ATLAS_DEFAULTS, padding: 0 });
+});
+
+test('识别图集相关文件', () => {
+  const options = { ...ATLAS_DEFAULTS, fileName: 'ui.icons' };
+  for (const name of ['ui.icons.png', 'ui.icons@2x.json', 'ui.icons-1@3x.png', 'ui.icons.css']) {
+    assert.ok(isAtlasFileName(name, options), name);
+  }
+  for (const name of ['ui.icons.webp', 'uiXicons.png', 'ui.icons-a.png', 'ui.icons@2x.css', 'responsive.json']) {
+    assert.ok(!isAtlasFileName(name, options), name);
+  }
+});
+
+test('按倍数打包为不重叠的图集，坐标文件为 TexturePacker JSON (Hash) 格式', async (t) => {
+  const dir = createTempDir(t, 'atlas-test');
+  const colors = { 'a.png': { r: 255, g: 0, b: 0, alpha: 1 }, 'b.png': { r: 0, g: 255, b: 0, alpha: 1 }, 'c.png': { r: 0, g: 0, b: 255, alpha: 1 } };
+  const spritesByScale = new Map();
+  for (const scale of [1, 2]) {
+    const scaleDir = path.join(dir, `x${scale}`);
+    fs.mkdirSync(scaleDir);
+    spritesByScale.set(scale, await Promise.all(Object.entries(colors).map(([name, color]) => createSprite(scaleDir, name, 10 * scale, color))));
+  }
+  const outputDir = path.join(dir, 'out');
+  fs.mkdirSync(outputDir);
+  const options = { ...ATLAS_DEFAULTS };
+
+  const result = await writeAtlasFiles(outputDir, spritesByScale, options);
+  assert.deepEqual(result.updated.map(item => item.scale), [1, 2]);
+  assert.deepEqual(result.oversized, []);
+  assert.equal(result.css, null);
+  assert.deepEqual(fs.readdirSync(outputDir).sort(), ['atlas.json', 'atlas.png', 'atlas@2x.json', 'atlas@2x.png']);
+
+  for (const [scale, jsonName] of [[1, 'atlas.json'], [2, 'atlas@2x.json']]) {
+    const sheet = readSheet(outputDir, jsonName);
+    assert.equal(sheet.meta.scale, String(scale));
+    assert.deepEqual(Object.keys(sheet.frames), ['a.png', 'b.png', 'c.png']);
+    const frames = Object.values(sheet.frames).map(frame => frame.frame);
+    frames.forEach((frame, index) => {
+      assert.deepEqual([frame.w, frame.h], [10 * scale, 10 * scale]);
+      assert.ok(frame.x + frame.w <= sheet.meta.size.w && frame.y + frame.h <= sheet.meta.size.h);
+      frames.slice(index + 1).forEach(other => assert.ok(!overlaps(frame, other, options.padding)));
+    });
+    // 图集中每个位置的像素为对应图片的颜色
+    for (const [name, color] of Object.entries(colors)) {
+      const { x, y, w, h } = sheet.frames[name].frame;
+      assert.deepEqual(await readPixel(path.join(outputDir, sheet.meta.image), x + w - 1, y + h - 1), [color.r, color.g, color.b, 255]);
+    }
+  }
+
+  // 图片和参数未变化时沿用已有图集
+  const again = await writeAtlasFiles(outputDir, spritesByScale, options);
+  assert.deepEqual(again.updated, []);
+  assert.deepEqual(again.files.sort(), result.files.sort());
+});
+
+test('超出最大尺寸时拆分为多张图集，单张放不下的图片单独报告', async (t) => {
+  const dir = createTempDir(t, 'atlas-test');
+  const sprites = [];
+  for (const name of ['a.png', 'b.png', 'c.png']) {
+    sprites.push(await createSprite(dir, name, 16, { r: 10, g: 20, b: 30, alpha: 1 }));
+  }
+  sprites.push(await createSprite(dir, 'huge.png', 40, { r: 10, g: 20, b: 30, alpha: 1 }));
+  const outputDir = path.join(dir, 'out');
+  fs.mkdirSync(outputDir);
+
+  const result = await writeAtlasFiles(outputDir, new Map([[1, sprites]]), { ...ATLAS_DEFAULTS, maxWidth: 32, maxHeight: 32 });
+  assert.deepEqual(result.oversized, [{ scale: 1, names: ['huge.png'] }]);
+  const first = readSheet(outputDir, 'atlas-0.json');
+  const related = first.meta.related_multi_packs;
+  assert.ok(related.length > 0);
+  const names = [first, ...related.map(jsonName => readSheet(outputDir, jsonName))].flatMap(sheet => Object.keys(sheet.frames));
+  assert.deepEqual(names.sort(), ['a.png', 'b.png', 'c.png']);
+});
+
+test('trim 记录原始尺寸和偏移，CSS 按原始尺寸占位', async (t) => {
+  const dir = createTempDir(t, 'atlas-test');
+  fs.mkdirSync(path.join(dir, 'icons'));
+  const sprite = await createSprite(dir, 'icons/home.png', 20, { r: 200, g: 100, b: 0, alpha: 1 }, 3);
+  const outputDir = path.join(dir, 'out');
+  fs.mkdirSync(outputDir);
+
+  const result = await writeAtlasFiles(outputDir, new Map([[1, [sprite]]]), { ...ATLAS_DEFAULTS, trim: true, css: true });
+  const frame = readSheet(outputDir, 'atlas.json').frames['icons/home.png'];
+  assert.equal(frame.trimmed, true);
+  assert.deepEqual(frame.spriteSourceSize, { x: 3, y: 3, w: 14, h: 14 });
+  assert.deepEqual(frame.sourceSize, { w: 20, h: 20 });
+  assert.deepEqual([frame.frame.w, frame.frame.h], [14, 14]);
+
+  assert.equal(result.css, path.join(outputDir, 'atlas.css'));
+  const css = fs.readFileSync(result.css, 'utf8');
+  const rule = css.split('\n').find(line => line.startsWith('.atlas-icons-home '));
+  assert.ok(rule, css);
+  // 内容区为 trim 后的尺寸，padding 补齐裁掉的透明边缘，整体仍为 20x20
+  assert.match(rule, /width: 14px; height: 14px;/);
+  assert.match(rule, /padding: 3px 3px 3px 3px;/);
+  assert.match(rule, /background-origin: content-box; background-clip: content-box;/);
+  assert.match(rule, new RegExp(`background-position: ${-frame.frame.x}px ${-frame.frame.y}px;`));
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createTempDir } = require('./helpers');
+const { silentLogger, runWithLogger } = require('../lib/logger');
+const {
+  MANIFEST_FILE,
+  loadManifest,
+  saveManifest,
+  hashSourceFile,
+  hashFile,
+  hashBuffer,
+  hashOutputConfig,
+  stableStringify
+} = require('../lib/cache-manifest');
+
+const WEBP = { format: 'webp', extension: '.webp', options: { quality: 80 } };
+
+test('stableStringify 与键的顺序无关', () => {
+  assert.equal(stableStringify({ b: 1, a: [{ d: 2, c: undefined }] }), '{"a":[{"c":null,"d":2}],"b":1}');
+  assert.equal(stableStringify({ a: 1, b: 2 }), stableStringify({ b: 2, a: 1 }));
+});
+
+test('hashOutputConfig 忽略不影响输出内容的配置项', () => {
+  const base = { targetWidth: 800, targetHeight: 400, quality: 80, cropPosition: 'center' };
+  const hash = hashOutputConfig(base, 1, WEBP);
+  assert.match(hash, /^[0-9a-f]{16}$/);
+  assert.equal(hashOutputConfig({
+    ...base,
+    name: 'hero',
+    outputDir: './other',
+    include: ['*.jpg'],
+    filenameTemplate: '{name}@{scale}x.{format}',
+    onConflict: 'suffix',
+    cropDebug: true,
+    rules: [{ match: { glob: '*' }, options: { quality: 90 } }],
+    ruleMatch: 'last',
+    jobTimeout: 0,
+    responsive: {}
+  }, 1, WEBP), hash);
+});
+
+test('hashOutputConfig 随处理参数、倍数和格式变化', () => {
+  const base = { targetWidth: 800, targetHeight: 400, quality: 80 };
+  const hash = hashOutputConfig(base, 1, WEBP);
+  assert.notEqual(hashOutputConfig({ ...base, quality: 70 }, 1, WEBP), hash);
+  assert.notEqual(hashOutputConfig({ ...base, fit: 'contain' }, 1, WEBP), hash);
+  assert.notEqual(hashOutputConfig(base, 2, WEBP), hash);
+  assert.notEqual(hashOutputConfig(base, 1, { ...WEBP, options: { quality: 80, effort: 6 } }), hash);
+});
+
+test('saveManifest 保留共享输出目录中其它配置的记录', (t) => {
+  const outputDir = path.join(createTempDir(t, 'cache-manifest-test'), 'out');
+  const hero = { sources: { 'a.jpg': { hash: 'h1', size: 1, mtimeMs: 1, outputs: {} } } };
+  const thumb = { sources: { 'b.jpg': { hash: 'h2', size: 2, mtimeMs: 2, outputs: {} } } };
+  saveManifest(outputDir, 'hero', hero);
+  saveManifest(outputDir, 'thumb', thumb);
+  assert.deepEqual(loadManifest(outputDir, 'hero'), hero);
+  assert.deepEqual(loadManifest(outputDir, 'thumb'), thumb);
+  assert.deepEqual(loadManifest(outputDir, 'other'), { sources: {} });
+  assert.deepEqual(fs.readdirSync(outputDir), [MANIFEST_FILE]);
+});
+
+test('清单不存在、版本不符或损坏时返回空记录', (t) => {
+  const outputDir = createTempDir(t, 'cache-manifest-test');
+  assert.deepEqual(loadManifest(outputDir, 'hero'), { sources: {} });
+
+  const manifestPath = path.join(outputDir, MANIFEST_FILE);
+  fs.writeFileSync(manifestPath, JSON.stringify({ version: 999, configs: { hero: { sources: { 'a.jpg': {} } } } }));
+  assert.deepEqual(loadManifest(outputDir, 'hero'), { sources: {} });
+
+  fs.writeFileSync(manifestPath, '{ not json');
+  assert.deepEqual(runWithLogger(silentLogger, () => loadManifest(outputDir, 'hero')), { sources: {} });
+});
+
+test('hashSourceFile 在大小和修改时间未变时复用上次的哈希', (t) => {
+  const file = path.join(createTempDir(t, 'cache-manifest-test'), 'a.jpg');
+  fs.writeFileSync(file, 'first');
+  const first = hashSourceFile(file, null);
+  assert.equal(first.hash, hashFile(file));
+  assert.equal(hashBuffer(Buffer.from('first')), first.hash);
+  assert.equal(first.size, 5);
+
+  // 大小和修改时间一致时不重新读取文件
+  assert.equal(hashSourceFile(file, { ...first, hash: 'cached' }).hash, 'cached');
+
+  fs.writeFileSync(file, 'second');
+  const second = hashSourceFile(file, first);
+  assert.notEqual(second.hash, first.hash);
+  assert.equal(second.hash, hashFile(file));
+});
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { createTempDir } = require('./helpers');
+const { silentLogger, runWithLogger } = require('../lib/logger');
+const { parseCliArgs } = require('../lib/cli');
+const { main } = require('..');
+
+test('未指定参数时使用默认值', () => {
+  assert.deepEqual(parseCliArgs([]), {
+    command: 'run',
+    configPath: null,
+    only: [],
+    overrides: {},
+    force: false,
+    dryRun: false,
+    watch: false,
+    concurrency: null,
+    nice: null,
+    pipeline: 'jobs',
+    reportPath: null,
+    junitPath: null,
+    port: null,
+    host: null,
+    help: false
+  });
+});
+
+test('解析子命令、覆盖参数和 --name=value 写法', () => {
+  const options = parseCliArgs(['validate', '-c', 'a.json', '--only', 'hero,thumb', '--only=icons', '--scales', '1, 2', '--quality=0', '--width', '800', '--dry-run']);
+  assert.equal(options.command, 'validate');
+  assert.equal(options.configPath, 'a.json');
+  assert.deepEqual(options.only, ['hero', 'thumb', 'icons']);
+  assert.deepEqual(options.overrides, { scales: [1, 2], quality: 0, targetWidth: 800 });
+  assert.equal(options.dryRun, true);
+  assert.equal(parseCliArgs(['serve', '--port', '8080']).port, 8080);
+  assert.equal(parseCliArgs(['--pipeline', 'per-scale']).pipeline, 'per-scale');
+});
+
+test('参数错误时抛出异常', () => {
+  const invalid = [
+    [['--bogus'], /未知参数: --bogus/],
+    [['--config'], /--config 缺少取值/],
+    [['--width', '--force'], /--width 缺少取值/],
+    [['--force=yes'], /--force 不接受取值/],
+    [['--width', '0'], /--width 需要正整数/],
+    [['--scales', '1,x'], /--scales 需要正整数/],
+    [['--scales', '1,2,1'], /--scales 不能包含重复的倍数/],
+    [['--quality', '101'], /--quality 需要 0-100 的整数/],
+    [['--nice', '20'], /--nice 需要 0-19 的整数/],
+    [['--port', '70000'], /--port 需要 1-65535 的整数/],
+    [['--pipeline', 'fast'], /--pipeline 可选/],
+    [['validate', 'foo', 'bar'], /多余的参数: foo bar/]
+  ];
+  for (const [argv, message] of invalid) {
+    assert.throws(() => parseCliArgs(argv), message, argv.join(' '));
+  }
+});
+
+// 静默运行主函数，返回退出码
+function runMain(argv) {
+  return runWithLogger(silentLogger, () => main(argv));
+}
+
+test('退出码：帮助为 0，参数错误和未知命令为 1', async () => {
+  assert.equal(await runMain(['--help']), 0);
+  assert.equal(await runMain(['--bogus']), 1);
+  assert.equal(await runMain(['validate', 'foo']), 1);
+  assert.equal(await runMain(['--scales', '1,1']), 1);
+  assert.equal(await runMain(['frobnicate']), 1);
+  assert.equal(await runMain(['--watch', '--dry-run']), 1);
+});
+
+// 在子进程中运行命令行（Worker线程的日志不经过当前进程的 logger），返回退出码
+function runCli(argv) {
+  return spawnSync(process.execPath, [path.join(__dirname, '..', 'index.js'), ...argv], { stdio: 'ignore', timeout: 60000 }).status;
+}
+
+test('退出码：全部成功为 0，部分文件失败为 2，配置错误为 1', async (t) => {
+  const dir = createTempDir(t, 'cli-test');
+  const inputDir = path.join(dir, 'in');
+  fs.mkdirSync(inputDir);
+  await sharp({ create: { width: 40, height: 30, channels: 3, background: { r: 200, g: 100, b: 50 } } }).png().toFile(path.join(inputDir, 'good.png'));
+  const configPath = path.join(dir, 'config.json');
+  fs.writeFileSync(configPath, JSON.stringify({
+    configs: [{ name: 'cli', inputDir, outputDir: path.join(dir, 'out'), targetWidth: 20, targetHeight: 20, scales: [1], formats: ['png'] }]
+  }));
+
+  assert.equal(runCli(['--config', configPath]), 0);
+  assert.ok(fs.existsSync(path.join(dir, 'out', 'x1', 'good.png')));
+
+  fs.writeFileSync(path.join(inputDir, 'bad.jpg'), 'not an image');
+  assert.equal(runCli(['--config', configPath]), 2);
+
+  assert.equal(runCli(['--config', path.join(dir, 'missing.json')]), 1);
+});
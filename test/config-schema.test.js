@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateConfig, validateConfigFile, formatValidationErrors } = require('../lib/config-schema');
+
+// 只比较错误位置，错误信息的措辞由各用例单独断言
+const paths = errors => errors.map(error => error.path);
+
+test('合法的配置数组没有错误', () => {
+  const errors = validateConfigFile({
+    configs: [
+      { name: 'hero', inputDir: './in', outputDir: './out', targetWidth: 800, targetHeight: 400, formats: ['webp', { format: 'avif', quality: 50 }] },
+      { name: 'thumb', scales: [1, 2], cropPosition: { x: 0.3, y: 0.6 }, rules: [{ match: { glob: 'people/**' }, options: { quality: 90 } }] }
+    ]
+  });
+  assert.deepEqual(errors, []);
+});
+
+test('兼容旧的单一配置格式', () => {
+  assert.deepEqual(validateConfigFile({ targetWidth: 100, targetHeight: 100 }), []);
+  assert.deepEqual(paths(validateConfigFile({ targetWidth: '100' })), ['$.targetWidth']);
+});
+
+test('顶层结构错误', () => {
+  assert.deepEqual(paths(validateConfigFile([])), ['$']);
+  assert.deepEqual(paths(validateConfigFile({ configs: {} })), ['configs']);
+  assert.deepEqual(paths(validateConfigFile({ configs: [] })), ['configs']);
+  assert.deepEqual(paths(validateConfigFile({ configs: [{}], extra: true })), ['extra']);
+});
+
+test('类型、取值范围和枚举错误给出完整路径', () => {
+  const errors = validateConfig({
+    targetWidth: 0,
+    quality: 101,
+    scales: [1, 1],
+    layout: 'flat',
+    formats: [{ format: 'gif' }]
+  }, 'configs[0]');
+  assert.deepEqual(paths(errors).sort(), [
+    'configs[0].formats[0].format',
+    'configs[0].layout',
+    'configs[0].quality',
+    'configs[0].scales',
+    'configs[0].targetWidth'
+  ]);
+  assert.match(errors.find(error => error.path === 'configs[0].layout').message, /"folders"/);
+});
+
+test('未知配置项提示相近的名称', () => {
+  const [error] = validateConfig({ targetWidht: 100 }, '$');
+  assert.equal(error.path, '$.targetWidht');
+  assert.match(error.message, /targetWidth/);
+});
+
+test('配置名称必须唯一', () => {
+  const errors = validateConfigFile({ configs: [{ name: 'a' }, { name: 'a' }] });
+  assert.deepEqual(paths(errors), ['configs[1].name']);
+  assert.equal(errors[0].configName, 'a');
+});
+
+test('单图规则只能覆盖处理参数', () => {
+  const errors = validateConfig({
+    rules: [
+      { match: { glob: '*.png' }, options: { outputDir: './other' } },
+      { match: { minWidth: 100 }, options: { quality: 'high' } },
+      { options: {} }
+    ]
+  }, '$');
+  assert.deepEqual(paths(errors).sort(), ['$.rules[0].options', '$.rules[1].options.quality', '$.rules[2].match']);
+  assert.deepEqual(validateConfig({ ruleMatch: 'last' }, '$'), []);
+  assert.deepEqual(paths(validateConfig({ rules: [{ match: { glob: ['*.png', '[z-a].png'] }, options: {} }] }, '$')), ['$.rules[0].match.glob[1]']);
+  assert.deepEqual(paths(validateConfig({ ruleMatch: 'all' }, '$')), ['$.ruleMatch']);
+});
+
+test('include / exclude 中的glob模式需要能转换为正则表达式', () => {
+  const errors = validateConfig({ include: ['*.{jpg,png}', '*.{jpg'], exclude: ['[z-a]*'] }, '$');
+  assert.deepEqual(paths(errors), ['$.exclude[0]']);
+  assert.match(errors[0].message, /无效的glob模式/);
+});
+
+test('错误列表格式化为带配置名的多行文本', () => {
+  const text = formatValidationErrors([
+    { configName: 'hero', path: 'configs[0].quality', message: '应为整数' },
+    { configName: null, path: 'configs', message: '应为数组' }
+  ]);
+  assert.equal(text, '   配置 "hero" configs[0].quality: 应为整数\n   configs: 应为数组');
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { CROP_GRAVITY, resolveCropAnchor, calculateCropArea, resolveCropArea } = require('../lib/crop');
+
+test('裁剪框的宽高比与目标一致，并尽量保留原图', () => {
+  // 原图更宽：保留全部高度
+  assert.deepEqual(calculateCropArea(1000, 500, 400, 400, 'center'), { left: 250, top: 0, width: 500, height: 500 });
+  // 原图更高：保留全部宽度
+  assert.deepEqual(calculateCropArea(600, 1200, 300, 200, 'center'), { left: 0, top: 400, width: 600, height: 400 });
+  // 宽高比一致时不裁剪
+  assert.deepEqual(calculateCropArea(800, 400, 400, 200, 'top-left'), { left: 0, top: 0, width: 800, height: 400 });
+});
+
+test('九宫格方位按锚点比例分配多余的宽高', () => {
+  const area = position => calculateCropArea(1000, 500, 400, 400, position);
+  assert.equal(area('left').left, 0);
+  assert.equal(area('top').left, 250);
+  assert.equal(area('right').left, 500);
+  assert.equal(area('bottom-right').left, 500);
+  assert.equal(calculateCropArea(500, 1000, 400, 400, 'top').top, 0);
+  assert.equal(calculateCropArea(500, 1000, 400, 400, 'bottom-left').top, 500);
+  // 未设置时居中
+  assert.deepEqual(calculateCropArea(1000, 500, 400, 400, undefined), area('center'));
+  assert.equal(Object.keys(CROP_GRAVITY).length, 9);
+});
+
+test('焦点坐标使裁剪框中心对准焦点，超出边缘时贴边', () => {
+  assert.deepEqual(calculateCropArea(1000, 500, 400, 400, { x: 0.4, y: 0.5 }), { left: 150, top: 0, width: 500, height: 500 });
+  assert.equal(calculateCropArea(1000, 500, 400, 400, { x: 0.05, y: 0.5 }).left, 0);
+  assert.equal(calculateCropArea(1000, 500, 400, 400, { x: 1, y: 0.5 }).left, 500);
+  assert.equal(calculateCropArea(500, 1000, 400, 200, { x: 0.5, y: 0.9 }).top, 750);
+});
+
+test('无效的裁剪位置报告来源', () => {
+  assert.deepEqual(resolveCropAnchor('entropy'), { x: 0.5, y: 0.5, focal: false });
+  assert.deepEqual(resolveCropAnchor({ x: 0, y: 1 }), { x: 0, y: 1, focal: true });
+  assert.throws(() => resolveCropAnchor('middle', 'a.jpg.json'), /a\.jpg\.json 中的裁剪位置无效: middle/);
+  assert.throws(() => resolveCropAnchor({ x: 1.5, y: 0 }), /cropPosition 中的焦点坐标无效/);
+  assert.throws(() => resolveCropAnchor({ x: 0.5 }), /焦点坐标无效/);
+});
+
+test('智能裁剪选中图像中的显著区域', async () => {
+  // 灰色背景右侧有一块高对比度的棋盘格
+  const width = 300;
+  const height = 100;
+  const data = Buffer.alloc(width * height * 3, 128);
+  for (let y = 0; y < height; y++) {
+    for (let x = 200; x < width; x++) {
+      data.fill((Math.floor(x / 5) + Math.floor(y / 5)) % 2 ? 255 : 0, (y * width + x) * 3, (y * width + x) * 3 + 3);
+    }
+  }
+  const input = await sharp(data, { raw: { width, height, channels: 3 } }).png().toBuffer();
+
+  const area = await resolveCropArea(input, width, height, 100, 100, 'entropy');
+  assert.deepEqual([area.width, area.height, area.top], [100, 100, 0]);
+  assert.ok(area.left >= 150, `left = ${area.left}`);
+
+  // 宽高比一致时不分析图像
+  assert.deepEqual(await resolveCropArea(null, 300, 100, 60, 20, 'attention'), { left: 0, top: 0, width: 300, height: 100 });
+  // 非智能裁剪按几何计算
+  assert.deepEqual(await resolveCropArea(null, width, height, 100, 100, 'left'), { left: 0, top: 0, width: 100, height: 100 });
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { normalizeFormats, getSizeBudget, encodeAtQuality, encodeWithinBudget, DEFAULT_MIN_QUALITY } = require('../lib/encoders');
+
+// 96x96 的伪随机噪声图：压缩后的大小随品质明显变化
+function createNoise() {
+  const size = 96;
+  const data = Buffer.alloc(size * size * 3);
+  let seed = 1;
+  for (let i = 0; i < data.length; i++) {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    data[i] = seed >> 23;
+  }
+  return sharp(data, { raw: { width: size, height: size, channels: 3 } });
+}
+
+// 记录编码次数（每次编码从 clone() 开始）
+function countEncodes(pipeline) {
+  const counter = { count: 0, pipeline: { clone: () => { counter.count++; return pipeline.clone(); } } };
+  return counter;
+}
+
+const [JPEG] = normalizeFormats({ formats: [{ format: 'jpg', quality: 90 }] });
+
+test('按倍数取大小预算，未设置时为 null', () => {
+  assert.equal(getSizeBudget({}, 1), null);
+  assert.deepEqual(getSizeBudget({ maxBytes: 5000 }, 2), { maxBytes: 5000, minQuality: DEFAULT_MIN_QUALITY });
+  assert.deepEqual(getSizeBudget({ maxBytes: { 1: 5000, 2: 9000 }, minQuality: { 2: 50 } }, 2), { maxBytes: 9000, minQuality: 50 });
+  assert.equal(getSizeBudget({ maxBytes: { 1: 5000 } }, 3), null);
+});
+
+test('配置的品质满足预算时只编码一次', async () => {
+  const counter = countEncodes(createNoise());
+  const result = await encodeWithinBudget(counter.pipeline, JPEG, { maxBytes: 10 * 1024 * 1024, minQuality: 30 });
+  assert.equal(result.quality, 90);
+  assert.equal(result.overBudget, false);
+  assert.equal(counter.count, 1);
+});
+
+test('超出预算时查找满足预算的最高品质', async () => {
+  const pipeline = createNoise();
+  const high = (await encodeAtQuality(pipeline, JPEG, 90)).data.length;
+  const low = (await encodeAtQuality(pipeline, JPEG, 30)).data.length;
+  const maxBytes = Math.round((high + low) / 2);
+
+  const result = await encodeWithinBudget(pipeline, JPEG, { maxBytes, minQuality: 30 });
+  assert.equal(result.overBudget, false);
+  assert.ok(result.quality > 30 && result.quality < 90, `quality = ${result.quality}`);
+  assert.ok(result.data.length <= maxBytes);
+  assert.equal(result.info.size, result.data.length);
+  // 高一级的品质超出预算
+  assert.ok((await encodeAtQuality(pipeline, JPEG, result.quality + 1)).data.length > maxBytes);
+});
+
+test('最低品质仍超出预算时返回最低品质的结果并标记', async () => {
+  const result = await encodeWithinBudget(createNoise(), JPEG, { maxBytes: 100, minQuality: 40 });
+  assert.equal(result.quality, 40);
+  assert.equal(result.overBudget, true);
+
+  // 配置的品质低于最低品质时以配置的品质为准
+  const [lowJpeg] = normalizeFormats({ formats: [{ format: 'jpeg', quality: 20 }] });
+  assert.equal((await encodeWithinBudget(createNoise(), lowJpeg, { maxBytes: 100, minQuality: 40 })).quality, 20);
+});
+
+test('无损编码或未指定品质的PNG只编码一次', async () => {
+  const [png, lossless] = normalizeFormats({ quality: 80, formats: ['png', { format: 'webp', lossless: true }] });
+  for (const spec of [png, lossless]) {
+    const counter = countEncodes(createNoise());
+    const result = await encodeWithinBudget(counter.pipeline, spec, { maxBytes: 100, minQuality: 30 });
+    assert.equal(result.quality, null);
+    assert.equal(result.overBudget, true);
+    assert.equal(counter.count, 1);
+  }
+});
@@ -0,0 +1,23 @@
+const fs = require('fs');
+const { parentPort, workerData, threadId } = require('worker_threads');
+
+// worker-pool 测试使用的Worker：按任务的 action 正常返回、崩溃或不响应
+// flaky 任务在计数文件中累加执行次数，前 failTimes 次崩溃
+
+parentPort.on('message', ({ jobId, job }) => {
+  if (job.action === 'crash') {
+    process.exit(3);
+  }
+  if (job.action === 'hang') {
+    return;
+  }
+  if (job.action === 'flaky') {
+    const count = fs.existsSync(job.counterFile) ? Number(fs.readFileSync(job.counterFile, 'utf8')) + 1 : 1;
+    fs.writeFileSync(job.counterFile, String(count));
+    if (count <= job.failTimes) {
+      process.exit(3);
+    }
+  }
+  parentPort.postMessage({ type: 'result', jobId, result: { value: job.value, workerId: workerData.workerId, threadId } });
+});
+parentPort.postMessage({ type: 'ready' });
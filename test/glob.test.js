@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { globToRegExp, checkGlob, matchGlob, matchAnyGlob } = require('../lib/glob');
+
+test('* 和 ? 不跨越目录', () => {
+  assert.ok(matchGlob('icons/home.png', 'icons/*.png'));
+  assert.ok(!matchGlob('icons/ui/home.png', 'icons/*.png'));
+  assert.ok(matchGlob('icons/a1.png', 'icons/a?.png'));
+  assert.ok(!matchGlob('icons/a/.png', 'icons/a?.png'));
+});
+
+test('**/ 匹配零个或多个目录', () => {
+  assert.ok(matchGlob('people/a.jpg', 'people/**/*.jpg'));
+  assert.ok(matchGlob('people/2024/summer/a.jpg', 'people/**/*.jpg'));
+  assert.ok(!matchGlob('places/a.jpg', 'people/**/*.jpg'));
+  assert.ok(matchGlob('people/2024/a.jpg', 'people/**'));
+});
+
+test('字符集与花括号', () => {
+  assert.ok(matchGlob('a.png', '[ab].png'));
+  assert.ok(!matchGlob('c.png', '[ab].png'));
+  assert.ok(matchGlob('c.png', '[!ab].png'));
+  assert.ok(matchGlob('banner.jpeg', '*.{jpg,jpeg}'));
+  assert.ok(!matchGlob('banner.png', '*.{jpg,jpeg}'));
+  // 未闭合的 "[" 按字面匹配
+  assert.ok(matchGlob('[draft.png', '[draft.png'));
+});
+
+test('未闭合的 "{" 按字面匹配', () => {
+  assert.ok(matchGlob('a.{jpg', '*.{jpg'));
+  assert.ok(!matchGlob('a.jpg', '*.{jpg'));
+  // 只有外层未闭合时，内层花括号仍然生效
+  assert.ok(matchGlob('{draft-a.png', '{draft-{a,b}.png'));
+  // 字符集中的 "{" 不参与配对
+  assert.ok(matchGlob('{x}.png', '[{]*}.png'));
+  assert.equal(checkGlob('*.{jpg'), null);
+});
+
+test('checkGlob 报告无法转换的模式', () => {
+  assert.equal(checkGlob('people/**/*.{jpg,png}'), null);
+  assert.match(checkGlob('[z-a].png'), /无效的glob模式/);
+});
+
+test('不含 "/" 的模式只匹配文件名，可出现在任意层级', () => {
+  assert.ok(matchGlob('a/b/draft-1.png', 'draft-*'));
+  assert.ok(matchGlob('draft-1.png', 'draft-*'));
+  assert.ok(!matchGlob('drafts/final.png', 'draft*'));
+});
+
+test('路径统一为 "/" 分隔，忽略模式开头的 "./"', () => {
+  assert.ok(matchGlob('icons\\home.png', 'icons/*.png'));
+  assert.ok(matchGlob('icons/home.png', './icons/*.png'));
+});
+
+test('正则特殊字符按字面匹配', () => {
+  assert.ok(matchGlob('a+b (1).png', 'a+b (1).png'));
+  assert.ok(!matchGlob('aab (1).png', 'a+b (1).png'));
+  assert.ok(globToRegExp('x.png').test('x.png'));
+  assert.ok(!globToRegExp('x.png').test('xpng'));
+});
+
+test('matchAnyGlob 满足任意一个模式即可', () => {
+  assert.ok(matchAnyGlob('a/b.jpg', ['*.png', 'a/*.jpg']));
+  assert.ok(!matchAnyGlob('a/b.gif', ['*.png', 'a/*.jpg']));
+  assert.ok(!matchAnyGlob('a/b.gif', []));
+});
@@ -0,0 +1,16 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// 测试共用的辅助函数（不含 .test.js 后缀，不会被 node --test 当作测试文件运行）
+
+// 每个用例使用独立的临时目录，结束后删除
+function createTempDir(t, prefix = 'test') {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), `${prefix}-`));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+module.exports = {
+  createTempDir
+};
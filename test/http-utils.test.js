@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseImageRoute, negotiateFormat, parseVariantQuery } = require('../lib/http-utils');
+
+const ALL_FORMATS = ['avif', 'webp', 'jpeg', 'png'];
+
+test('解析图片路由，扩展名决定输出格式', () => {
+  assert.deepEqual(parseImageRoute('/img/hero/x2/people/a.webp'), { configName: 'hero', scale: 2, relativePath: 'people/a', format: 'webp' });
+  assert.deepEqual(parseImageRoute('/img/my%20hero/x1/banner.v2'), { configName: 'my hero', scale: 1, relativePath: 'banner.v2', format: null });
+  assert.equal(parseImageRoute('/other/hero/x1/a.webp'), null);
+  assert.equal(parseImageRoute('/img/hero/2x/a.webp'), null);
+  for (const pathname of ['/img/hero/x1/../secret.webp', '/img/hero/x1/.env', '/img/hero/x1/a//b.webp', '/img/hero/x1/a%2Fb.webp']) {
+    assert.throws(() => parseImageRoute(pathname), { statusCode: 400 }, pathname);
+  }
+});
+
+test('avif / webp 只在 Accept 中明确列出时使用', () => {
+  assert.equal(negotiateFormat('image/avif,image/webp,*/*;q=0.8', ALL_FORMATS), 'avif');
+  assert.equal(negotiateFormat('image/webp,image/*', ALL_FORMATS), 'webp');
+  assert.equal(negotiateFormat('image/*', ALL_FORMATS), 'jpeg');
+  assert.equal(negotiateFormat(undefined, ALL_FORMATS), 'jpeg');
+});
+
+test('按 q 值选择格式，q=0 表示不接受', () => {
+  assert.equal(negotiateFormat('image/avif;q=0.5,image/webp', ALL_FORMATS), 'webp');
+  assert.equal(negotiateFormat('image/avif;q=0,image/png', ['avif', 'png']), 'png');
+  assert.equal(negotiateFormat('image/png;q=0,image/*', ['png', 'jpeg']), 'jpeg');
+  assert.equal(negotiateFormat('text/html', ALL_FORMATS), null);
+});
+
+test('只启用了 avif / webp 时按通配符选择', () => {
+  assert.equal(negotiateFormat('*/*', ['webp']), 'webp');
+  assert.equal(negotiateFormat('image/*', ['avif', 'webp']), 'avif');
+  assert.equal(negotiateFormat('image/avif;q=0,*/*', ['avif']), null);
+});
+
+test('查询参数只允许白名单中的 w 和 q', () => {
+  const allowed = { widths: [400, 800], qualities: [60, 80] };
+  assert.deepEqual(parseVariantQuery(new URLSearchParams(''), allowed), { width: null, quality: null });
+  assert.deepEqual(parseVariantQuery(new URLSearchParams('w=400&q=60'), allowed), { width: 400, quality: 60 });
+  for (const query of ['w=500', 'w=400.0', 'w=+400', 'q=', 'q=abc', 'h=100']) {
+    assert.throws(() => parseVariantQuery(new URLSearchParams(query), allowed), { statusCode: 400 }, query);
+  }
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { getMetadataOptions, parseExif, pickExifTags, applyOutputMetadata } = require('../lib/metadata');
+
+// 手工构造大端序（"MM"）的 EXIF：IFD0 含 Make 和指向 Exif IFD 的指针，Exif IFD 含 FNumber（RATIONAL）和 ISO（SHORT，值存放在条目中）
+function createBigEndianExif() {
+  const tiff = Buffer.alloc(82);
+  tiff.write('MM', 0, 'latin1');
+  tiff.writeUInt16BE(42, 2);
+  tiff.writeUInt32BE(8, 4);
+  const writeEntry = (offset, tag, type, count, value) => {
+    tiff.writeUInt16BE(tag, offset);
+    tiff.writeUInt16BE(type, offset + 2);
+    tiff.writeUInt32BE(count, offset + 4);
+    if (type === 3) {
+      tiff.writeUInt16BE(value, offset + 8);
+    } else {
+      tiff.writeUInt32BE(value, offset + 8);
+    }
+  };
+  tiff.writeUInt16BE(2, 8);
+  writeEntry(10, 0x010f, 2, 6, 68);
+  writeEntry(22, 0x8769, 4, 1, 38);
+  tiff.writeUInt16BE(2, 38);
+  writeEntry(40, 0x829d, 5, 1, 74);
+  writeEntry(52, 0x8827, 3, 1, 400);
+  tiff.write('Canon\0', 68, 'latin1');
+  tiff.writeUInt32BE(28, 74);
+  tiff.writeUInt32BE(10, 78);
+  return Buffer.concat([Buffer.from('Exif\0\0', 'latin1'), tiff]);
+}
+
+// 带 EXIF 的 JPEG 源图
+function createJpegWithExif() {
+  return sharp({ create: { width: 16, height: 16, channels: 3, background: '#808080' } })
+    .withExif({
+      IFD0: { Make: 'TestMake', Model: 'TestModel', Copyright: 'ACME' },
+      IFD2: { DateTimeOriginal: '2024:05:01 10:00:00', BodySerialNumber: 'SN123' },
+      IFD3: { GPSLatitudeRef: 'N' }
+    })
+    .jpeg()
+    .toBuffer();
+}
+
+test('metadata 配置转换为 EXIF / XMP 选项', () => {
+  assert.deepEqual(getMetadataOptions({}), { exif: false, xmp: false });
+  assert.deepEqual(getMetadataOptions({ metadata: 'keep' }), { exif: true, xmp: true });
+  assert.deepEqual(getMetadataOptions({ metadata: { exif: ['Copyright'] } }), { exif: ['Copyright'], xmp: false });
+  assert.deepEqual(getMetadataOptions({ metadata: { xmp: true } }), { exif: false, xmp: true });
+});
+
+test('解析大端序 EXIF 中的字符串、有理数和短整数', () => {
+  assert.deepEqual(parseExif(createBigEndianExif()), {
+    IFD0: { Make: 'Canon' },
+    IFD2: { FNumber: '28/10', ISOSpeedRatings: '400' },
+    IFD3: {}
+  });
+});
+
+test('解析 sharp 写入的小端序 EXIF', async () => {
+  const { exif } = await sharp(await createJpegWithExif()).metadata();
+  const parsed = parseExif(exif);
+  assert.deepEqual(parsed.IFD0, { Make: 'TestMake', Model: 'TestModel', Copyright: 'ACME' });
+  assert.equal(parsed.IFD2.DateTimeOriginal, '2024:05:01 10:00:00');
+  assert.equal(parsed.IFD2.BodySerialNumber, 'SN123');
+});
+
+test('缺失或损坏的 EXIF 返回已解析的部分', () => {
+  const empty = { IFD0: {}, IFD2: {}, IFD3: {} };
+  assert.deepEqual(parseExif(undefined), empty);
+  assert.deepEqual(parseExif(Buffer.from('Exif\0\0XX\0*\0\0\0\0\0\0')), empty);
+  // 截断在 FNumber 的值之前：跳过越界的字段
+  const exif = createBigEndianExif();
+  assert.deepEqual(parseExif(exif.subarray(0, 6 + 74)), { IFD0: { Make: 'Canon' }, IFD2: { ISOSpeedRatings: '400' }, IFD3: {} });
+  // Exif IFD 指针越界：保留 IFD0 中的字段
+  const corrupt = Buffer.from(exif);
+  corrupt.writeUInt32BE(1000, 6 + 22 + 8);
+  assert.deepEqual(parseExif(corrupt), { IFD0: { Make: 'Canon' }, IFD2: {}, IFD3: {} });
+});
+
+test('只挑出白名单中的字段', () => {
+  const exif = createBigEndianExif();
+  assert.deepEqual(pickExifTags(exif, ['Make', 'FNumber']), { IFD0: { Make: 'Canon' }, IFD2: { FNumber: '28/10' } });
+  assert.equal(pickExifTags(exif, ['Copyright', 'GPSLatitude']), null);
+});
+
+test('输出默认移除 EXIF，白名单只保留列出的字段', async () => {
+  const input = await createJpegWithExif();
+  const sourceMetadata = await sharp(input).metadata();
+  const outputExif = async config => parseExif((await sharp(await applyOutputMetadata(sharp(input), config, sourceMetadata).jpeg().toBuffer()).metadata()).exif);
+
+  assert.deepEqual(await outputExif({}), { IFD0: {}, IFD2: {}, IFD3: {} });
+  const picked = await outputExif({ metadata: { exif: ['Copyright', 'DateTimeOriginal'] } });
+  assert.equal(picked.IFD0.Copyright, 'ACME');
+  assert.equal(picked.IFD2.DateTimeOriginal, '2024:05:01 10:00:00');
+  assert.equal(picked.IFD0.Make, undefined);
+  assert.equal(picked.IFD2.BodySerialNumber, undefined);
+  assert.deepEqual(picked.IFD3, {});
+});
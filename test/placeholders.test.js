@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { createTempDir } = require('./helpers');
+const {
+  PLACEHOLDER_DEFAULTS,
+  getPlaceholderOptions,
+  hashPlaceholderOptions,
+  generatePlaceholder,
+  getPlaceholdersPath,
+  readPlaceholders,
+  writePlaceholders
+} = require('../lib/placeholders');
+
+// 48x32 的渐变图：红色随 x、绿色随 y 递减，蓝色固定。尺寸小于采样尺寸，不经过缩放，结果不受 libvips 版本影响
+const WIDTH = 48;
+const HEIGHT = 32;
+function createGradient(alpha = 255) {
+  const data = Buffer.alloc(WIDTH * HEIGHT * 4);
+  for (let y = 0; y < HEIGHT; y++) {
+    for (let x = 0; x < WIDTH; x++) {
+      const i = (y * WIDTH + x) * 4;
+      data[i] = 255 - Math.round(x * 255 / (WIDTH - 1));
+      data[i + 1] = 255 - Math.round(y * 255 / (HEIGHT - 1));
+      data[i + 2] = 96;
+      data[i + 3] = alpha;
+    }
+  }
+  return sharp(data, { raw: { width: WIDTH, height: HEIGHT, channels: 4 } });
+}
+
+test('未配置 placeholders 时不生成', () => {
+  assert.equal(getPlaceholderOptions({}), null);
+  assert.equal(getPlaceholderOptions({ placeholders: null }), null);
+  assert.deepEqual(getPlaceholderOptions({ placeholders: { lqipSize: 8 } }), { ...PLACEHOLDER_DEFAULTS, lqipSize: 8 });
+});
+
+test('参数哈希不包含侧车文件名', () => {
+  const options = getPlaceholderOptions({ placeholders: {} });
+  assert.equal(hashPlaceholderOptions({ ...options, fileName: 'other' }), hashPlaceholderOptions(options));
+  assert.notEqual(hashPlaceholderOptions({ ...options, lqipQuality: 60 }), hashPlaceholderOptions(options));
+});
+
+// npm blurhash 按 AC 分量的最大值（而非 C 参考实现的最大绝对值）量化，该图最大绝对值的分量为正数，两者结果相同
+test('BlurHash 和 ThumbHash 与参考实现（npm blurhash / thumbhash）一致', async () => {
+  const placeholder = await generatePlaceholder(createGradient(), { ...PLACEHOLDER_DEFAULTS, types: ['blurhash', 'thumbhash'] });
+  assert.deepEqual(placeholder, {
+    aspectRatio: 1.5,
+    blurhash: 'L.Hev+|^$5xFq7oKjtj@gcfjfQfj',
+    thumbhash: '3QgKPZp/eIiPh4d4iIiIiI+P9wiH'
+  });
+});
+
+test('只生成 types 中列出的数据，宽高比总是生成', async () => {
+  const placeholder = await generatePlaceholder(createGradient(), { ...PLACEHOLDER_DEFAULTS, types: ['lqip', 'color'] });
+  assert.deepEqual(Object.keys(placeholder).sort(), ['aspectRatio', 'averageColor', 'dominantColor', 'lqip']);
+  assert.match(placeholder.lqip, /^data:image\/webp;base64,/);
+  assert.match(placeholder.dominantColor, /^#[0-9a-f]{6}$/);
+  assert.match(placeholder.averageColor, /^#[0-9a-f]{6}$/);
+
+  // LQIP 的最长边为 lqipSize
+  const lqip = Buffer.from(placeholder.lqip.split(',')[1], 'base64');
+  const { width, height } = await sharp(lqip).metadata();
+  assert.equal(Math.max(width, height), PLACEHOLDER_DEFAULTS.lqipSize);
+});
+
+test('完全透明的画面没有颜色', async () => {
+  const placeholder = await generatePlaceholder(createGradient(0), { ...PLACEHOLDER_DEFAULTS, types: ['color'] });
+  assert.deepEqual(placeholder, { aspectRatio: 1.5, dominantColor: null, averageColor: null });
+});
+
+test('不修改传入的pipeline', async () => {
+  const pipeline = createGradient().resize(24, 16);
+  const placeholder = await generatePlaceholder(pipeline, { ...PLACEHOLDER_DEFAULTS, types: [] });
+  assert.deepEqual(placeholder, { aspectRatio: 1.5 });
+  const { info } = await pipeline.png().toBuffer({ resolveWithObject: true });
+  assert.deepEqual([info.width, info.height], [24, 16]);
+});
+
+test('侧车文件按输出路径排序写入，内容未变化时跳过', (t) => {
+  const outputDir = createTempDir(t, 'placeholders-test');
+  const options = getPlaceholderOptions({ placeholders: { fileName: 'lqip' } });
+  const images = { 'x1/b.webp': { aspectRatio: 1 }, 'x1/a.webp': { aspectRatio: 2 } };
+
+  assert.deepEqual(readPlaceholders(outputDir, options), {});
+  assert.equal(writePlaceholders(outputDir, 'hero', images, options), true);
+  assert.equal(writePlaceholders(outputDir, 'hero', images, options), false);
+
+  const filePath = getPlaceholdersPath(outputDir, options);
+  assert.equal(filePath, path.join(outputDir, 'lqip.json'));
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  assert.equal(data.config, 'hero');
+  assert.deepEqual(Object.keys(data.images), ['x1/a.webp', 'x1/b.webp']);
+  assert.deepEqual(readPlaceholders(outputDir, options), images);
+
+  fs.writeFileSync(filePath, '{ broken');
+  assert.deepEqual(readPlaceholders(outputDir, options), {});
+});
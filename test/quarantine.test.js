@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { createTempDir } = require('./helpers');
+const { QUARANTINE_FILE, isBadInputError, quarantineInputs } = require('../lib/quarantine');
+
+test('sharp 读取源文件失败的错误判定为源文件损坏', async () => {
+  const error = await sharp(Buffer.from('not an image')).metadata().catch(readError => readError);
+  assert.ok(isBadInputError(error), error.message);
+  for (const message of [
+    'Input file has corrupt header: VipsJpeg: Premature end of input file',
+    'Input image exceeds pixel limit',
+    'pngload_buffer: libspng read error',
+    'VipsJpeg: Corrupt JPEG data: 4 extraneous bytes before marker 0xd9'
+  ]) {
+    assert.ok(isBadInputError(new Error(message)), message);
+  }
+});
+
+test('编码、写入、超时和叠加层错误不判定为源文件损坏', () => {
+  for (const message of [
+    'VipsForeignSaveWebp: unable to write',
+    'ENOSPC: no space left on device, write',
+    '处理超时（超过 1000ms）',
+    '叠加层图片读取失败 logo.png: Input file is missing: logo.png',
+    'Worker线程 1 异常退出，代码: 1'
+  ]) {
+    assert.ok(!isBadInputError(new Error(message)), message);
+  }
+  assert.ok(!isBadInputError(null));
+});
+
+// 创建输入目录中的源文件和隔离配置
+function setup(t, quarantineMode) {
+  const dir = createTempDir(t, 'quarantine-test');
+  const inputDir = path.join(dir, 'in');
+  fs.mkdirSync(path.join(inputDir, 'people'), { recursive: true });
+  const file = path.join(inputDir, 'people', 'a.jpg');
+  fs.writeFileSync(file, 'broken');
+  return { file, config: { name: 'hero', inputDir, quarantineDir: path.join(dir, 'quarantine'), quarantineMode } };
+}
+
+const readList = config => JSON.parse(fs.readFileSync(path.join(config.quarantineDir, QUARANTINE_FILE), 'utf8'));
+
+test('list 模式只记录到隔离清单，处理成功后移除', (t) => {
+  const { file, config } = setup(t, 'list');
+  const [item] = quarantineInputs(config, new Map([[file, '损坏']]));
+  assert.deepEqual(item, { file, error: '损坏', movedTo: undefined });
+  assert.ok(fs.existsSync(file));
+  const [record] = Object.values(readList(config).files);
+  assert.equal(record.config, 'hero');
+  assert.equal(record.error, '损坏');
+
+  quarantineInputs(config, new Map(), [file]);
+  assert.deepEqual(readList(config).files, {});
+});
+
+test('move 模式按相对路径移动源文件，已有同名文件时追加序号', (t) => {
+  const { file, config } = setup(t, 'move');
+  const first = quarantineInputs(config, new Map([[file, '损坏']]));
+  assert.equal(first[0].movedTo, path.relative(process.cwd(), path.join(config.quarantineDir, 'people', 'a.jpg')).split(path.sep).join('/'));
+  assert.ok(!fs.existsSync(file));
+
+  // 同一路径又出现了损坏的源文件
+  fs.writeFileSync(file, 'broken again');
+  quarantineInputs(config, new Map([[file, '损坏']]));
+  fs.writeFileSync(file, 'broken third');
+  quarantineInputs(config, new Map([[file, '损坏']]));
+
+  const quarantined = path.join(config.quarantineDir, 'people');
+  assert.deepEqual(fs.readdirSync(quarantined).sort(), ['a-1.jpg', 'a-2.jpg', 'a.jpg']);
+  assert.equal(fs.readFileSync(path.join(quarantined, 'a.jpg'), 'utf8'), 'broken');
+  assert.equal(fs.readFileSync(path.join(quarantined, 'a-2.jpg'), 'utf8'), 'broken third');
+  assert.match(Object.values(readList(config).files)[0].movedTo, /people\/a-2\.jpg$/);
+});
@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { createTempDir } = require('./helpers');
+const { applyRule, resolveFileRule } = require('../lib/rules');
+
+// 在输入目录中创建纯色图片，options.orientation 为 EXIF 方向
+async function createImage(dir, name, width, height, { alpha = false, orientation } = {}) {
+  const file = path.join(dir, name);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  let image = sharp({ create: { width, height, channels: alpha ? 4 : 3, background: { r: 10, g: 20, b: 30, alpha: 0.5 } } });
+  if (orientation) {
+    image = image.withMetadata({ orientation });
+  }
+  await (alpha ? image.png() : image.jpeg()).toFile(file);
+  return file;
+}
+
+// 匹配规则，返回生效规则的名称（没有匹配时为 null）
+async function matchedRule(config, dir, sourceKey) {
+  const { rule } = await resolveFileRule(config, path.join(dir, sourceKey), sourceKey);
+  return rule && rule.name;
+}
+
+test('没有规则时返回原配置', async () => {
+  const config = { quality: 80 };
+  assert.deepEqual(await resolveFileRule(config, '/in/a.jpg', 'a.jpg'), { rule: null, config });
+  assert.equal(applyRule(config, null), config);
+});
+
+test('按 glob 和文件名正则匹配，生效规则的 options 覆盖配置', async () => {
+  const config = {
+    quality: 80,
+    targetWidth: 400,
+    rules: [
+      { name: '人像', match: { glob: ['people/**', 'team/*.jpg'] }, options: { cropPosition: 'attention' } },
+      { match: { regex: '^banner-' }, options: { targetWidth: 1200, quality: 90 } }
+    ]
+  };
+  const people = await resolveFileRule(config, '/in/people/2024/a.jpg', 'people/2024/a.jpg');
+  assert.deepEqual(people.rule, { index: 0, name: '人像' });
+  assert.equal(people.config.cropPosition, 'attention');
+  assert.equal(people.config.quality, 80);
+  assert.equal(config.cropPosition, undefined);
+
+  const banner = await resolveFileRule(config, '/in/home/banner-1.jpg', 'home/banner-1.jpg');
+  assert.deepEqual(banner.rule, { index: 1, name: 'rules[1]' });
+  assert.equal(banner.config.targetWidth, 1200);
+  assert.equal(banner.config.quality, 90);
+
+  assert.equal((await resolveFileRule(config, '/in/home/a-banner-1.jpg', 'home/a-banner-1.jpg')).rule, null);
+});
+
+test('ruleMatch 决定第一条还是最后一条匹配的规则生效', async () => {
+  const rules = [
+    { name: 'jpg', match: { glob: '*.jpg' }, options: { quality: 70 } },
+    { name: 'hero', match: { glob: 'hero/*' }, options: { quality: 95 } }
+  ];
+  assert.equal(await matchedRule({ rules }, '/in', 'hero/a.jpg'), 'jpg');
+  assert.equal(await matchedRule({ rules, ruleMatch: 'first' }, '/in', 'hero/a.jpg'), 'jpg');
+  assert.equal(await matchedRule({ rules, ruleMatch: 'last' }, '/in', 'hero/a.jpg'), 'hero');
+  assert.equal(await matchedRule({ rules, ruleMatch: 'last' }, '/in', 'other/a.jpg'), 'jpg');
+});
+
+test('按源图尺寸、透明通道和宽高比匹配，所有条件都需满足', async (t) => {
+  const dir = createTempDir(t, 'rules-test');
+  await createImage(dir, 'wide.jpg', 300, 100);
+  await createImage(dir, 'small.jpg', 50, 50);
+  await createImage(dir, 'icons/logo.png', 64, 64, { alpha: true });
+  await createImage(dir, 'logo.png', 64, 64, { alpha: true });
+  const config = {
+    rules: [
+      { name: 'icons', match: { glob: 'icons/**', hasAlpha: true, maxWidth: 128 }, options: { fit: 'contain' } },
+      { name: 'panorama', match: { minAspectRatio: 2 }, options: { cropPosition: 'entropy' } },
+      { name: 'tiny', match: { maxWidth: 64, maxHeight: 64 }, options: { withoutEnlargement: true } }
+    ]
+  };
+  assert.equal(await matchedRule(config, dir, 'wide.jpg'), 'panorama');
+  assert.equal(await matchedRule(config, dir, 'small.jpg'), 'tiny');
+  assert.equal(await matchedRule(config, dir, 'icons/logo.png'), 'icons');
+  // 不在 icons/ 下，只满足 tiny 的条件
+  assert.equal(await matchedRule(config, dir, 'logo.png'), 'tiny');
+});
+
+test('按旋转后的宽高匹配，规则关闭 autoOrient 时按原始宽高', async (t) => {
+  const dir = createTempDir(t, 'rules-test');
+  // 原始像素为横图，EXIF 方向 6 表示需要顺时针旋转 90° 显示为竖图
+  await createImage(dir, 'rotated.jpg', 300, 100, { orientation: 6 });
+  const portrait = { match: { maxAspectRatio: 1 }, options: {} };
+  assert.equal(await matchedRule({ rules: [{ name: 'portrait', ...portrait }] }, dir, 'rotated.jpg'), 'portrait');
+  assert.equal(await matchedRule({ autoOrient: false, rules: [{ name: 'portrait', ...portrait }] }, dir, 'rotated.jpg'), null);
+  assert.equal(await matchedRule({ rules: [{ name: 'portrait', match: portrait.match, options: { autoOrient: false } }] }, dir, 'rotated.jpg'), null);
+});
+
+test('无法读取的源文件不匹配按属性的规则', async (t) => {
+  const dir = createTempDir(t, 'rules-test');
+  fs.writeFileSync(path.join(dir, 'broken.jpg'), 'not an image');
+  const config = {
+    rules: [
+      { name: 'large', match: { minWidth: 1 }, options: { quality: 60 } },
+      { name: 'all', match: { glob: '*' }, options: { quality: 70 } }
+    ]
+  };
+  assert.equal(await matchedRule(config, dir, 'broken.jpg'), 'all');
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createTempDir } = require('./helpers');
+const { SERVE_CACHE_DIR, getServeCachePath, pruneServeCache } = require('../lib/serve-cache');
+
+const SOURCE_HASH = 'a'.repeat(64);
+const NEW_SOURCE_HASH = 'b'.repeat(64);
+
+// 写入指定大小的缓存文件，修改时间为 age 秒之前
+function writeEntry(outputDir, file, sourceHash, configHash, size, age) {
+  const cachePath = getServeCachePath(outputDir, file, sourceHash, configHash, '.webp');
+  fs.mkdirSync(path.dirname(cachePath), { recursive: true });
+  fs.writeFileSync(cachePath, Buffer.alloc(size));
+  const time = new Date(Date.now() - age * 1000);
+  fs.utimesSync(cachePath, time, time);
+  return cachePath;
+}
+
+test('缓存文件名由源文件路径、源文件内容和输出配置决定', () => {
+  const cachePath = getServeCachePath('/out', '/in/a.jpg', SOURCE_HASH, '0123456789abcdef', '.webp');
+  assert.equal(path.dirname(cachePath), path.join('/out', SERVE_CACHE_DIR));
+  assert.match(path.basename(cachePath), /^[0-9a-f]{8}-a{16}-0123456789abcdef\.webp$/);
+  assert.notEqual(getServeCachePath('/out', '/in/b.jpg', SOURCE_HASH, '0123456789abcdef', '.webp'), cachePath);
+});
+
+test('写入新缓存时删除同一源文件修改前的缓存', (t) => {
+  const outputDir = createTempDir(t, 'serve-cache-test');
+  const stale = writeEntry(outputDir, '/in/a.jpg', SOURCE_HASH, '1'.repeat(16), 10, 10);
+  const other = writeEntry(outputDir, '/in/b.jpg', SOURCE_HASH, '1'.repeat(16), 10, 10);
+  const latest = writeEntry(outputDir, '/in/a.jpg', NEW_SOURCE_HASH, '1'.repeat(16), 10, 0);
+
+  assert.equal(pruneServeCache(path.dirname(latest), Infinity, latest), 1);
+  assert.ok(!fs.existsSync(stale));
+  assert.ok(fs.existsSync(other));
+  assert.ok(fs.existsSync(latest));
+});
+
+test('超过大小上限时从最久未使用的开始删除，不删除刚写入的缓存和其它文件', (t) => {
+  const outputDir = createTempDir(t, 'serve-cache-test');
+  const oldest = writeEntry(outputDir, '/in/a.jpg', SOURCE_HASH, '1'.repeat(16), 100, 30);
+  const older = writeEntry(outputDir, '/in/b.jpg', SOURCE_HASH, '1'.repeat(16), 100, 20);
+  const recent = writeEntry(outputDir, '/in/c.jpg', SOURCE_HASH, '1'.repeat(16), 100, 10);
+  const latest = writeEntry(outputDir, '/in/d.jpg', SOURCE_HASH, '1'.repeat(16), 100, 40);
+  const cacheDir = path.dirname(latest);
+  const tempFile = path.join(cacheDir, 'partial.webp.tmp');
+  fs.writeFileSync(tempFile, Buffer.alloc(1000));
+
+  assert.equal(pruneServeCache(cacheDir, 250, latest), 2);
+  assert.deepEqual([oldest, older, recent, latest, tempFile].map(file => fs.existsSync(file)), [false, false, true, true, true]);
+
+  // 不指定刚写入的缓存时（服务启动时清理）只按使用时间淘汰
+  assert.equal(pruneServeCache(cacheDir, 100), 1);
+  assert.ok(!fs.existsSync(latest));
+  assert.ok(fs.existsSync(recent));
+});
+
+test('缓存目录不存在时不做处理', (t) => {
+  assert.equal(pruneServeCache(path.join(createTempDir(t, 'serve-cache-test'), SERVE_CACHE_DIR), 0), 0);
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { computeSsim } = require('../lib/ssim');
+
+// 生成 width×height 的像素数据，pixel(x, y) 返回该像素各通道的值
+function createImage(width, height, channels, pixel) {
+  const data = Buffer.alloc(width * height * channels);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      data.fill(pixel(x, y), (y * width + x) * channels, (y * width + x + 1) * channels);
+    }
+  }
+  return data;
+}
+
+const info = { width: 32, height: 24, channels: 3 };
+const checker = (x, y) => ((Math.floor(x / 4) + Math.floor(y / 4)) % 2 ? 220 : 30);
+
+test('相同图片的 SSIM 为 1', () => {
+  const data = createImage(info.width, info.height, info.channels, checker);
+  assert.equal(computeSsim(data, Buffer.from(data), info), 1);
+});
+
+test('纯色图片的 SSIM 只取决于亮度差', () => {
+  const a = createImage(info.width, info.height, info.channels, () => 100);
+  const b = createImage(info.width, info.height, info.channels, () => 110);
+  const c1 = (0.01 * 255) ** 2;
+  const expected = (2 * 100 * 110 + c1) / (100 * 100 + 110 * 110 + c1);
+  assert.ok(Math.abs(computeSsim(a, b, info) - expected) < 1e-4);
+});
+
+test('失真越大 SSIM 越低，结果与参数顺序无关', () => {
+  const original = createImage(info.width, info.height, info.channels, checker);
+  const slight = createImage(info.width, info.height, info.channels, (x, y) => checker(x, y) + ((x + y) % 2 ? 6 : -6));
+  const inverted = createImage(info.width, info.height, info.channels, (x, y) => 250 - checker(x, y));
+  const slightSsim = computeSsim(original, slight, info);
+  const invertedSsim = computeSsim(original, inverted, info);
+  assert.ok(slightSsim > 0.9 && slightSsim < 1, `slight = ${slightSsim}`);
+  assert.ok(invertedSsim < 0, `inverted = ${invertedSsim}`);
+  assert.equal(computeSsim(slight, original, info), slightSsim);
+});
+
+test('支持单通道和小于窗口的图片', () => {
+  const gray = { width: 5, height: 3, channels: 1 };
+  const a = createImage(gray.width, gray.height, 1, (x, y) => x * 40 + y);
+  assert.equal(computeSsim(a, Buffer.from(a), gray), 1);
+  assert.ok(computeSsim(a, createImage(gray.width, gray.height, 1, (x, y) => x * 40 + y + 20), gray) < 1);
+});
+
+test('像素数据与尺寸不一致时抛出异常', () => {
+  const data = createImage(info.width, info.height, info.channels, checker);
+  assert.throws(() => computeSsim(data, data.subarray(3), info), /像素数据与尺寸 32x24x3 不一致/);
+  assert.throws(() => computeSsim(data, data, { ...info, channels: 4 }), /不一致/);
+});
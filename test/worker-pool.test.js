@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { createTempDir } = require('./helpers');
+const { createWorkerPool } = require('../lib/worker-pool');
+
+const WORKER_FILE = path.join(__dirname, 'fixtures', 'pool-worker.js');
+
+// 创建线程池，用例结束后关闭
+function createPool(t, size, options = {}) {
+  const pool = createWorkerPool({ size, workerFile: WORKER_FILE, ...options });
+  t.after(() => pool.close());
+  return pool;
+}
+
+const echo = value => ({ action: 'echo', value });
+
+test('结果与任务顺序一致，线程初始化完成后调用 onReady', async (t) => {
+  const ready = [];
+  const pool = createPool(t, 2, { onReady: workerId => ready.push(workerId) });
+  const jobs = [1, 2, 3, 4, 5].map(echo);
+  const results = await pool.run(jobs);
+  assert.deepEqual(results.map(result => result.value), [1, 2, 3, 4, 5]);
+  assert.deepEqual(ready.sort(), [1, 2]);
+
+  // 线程常驻，下一批次复用
+  const again = await pool.run([echo(6)]);
+  assert.deepEqual(again.map(result => result.value), [6]);
+  assert.deepEqual(ready.sort(), [1, 2]);
+});
+
+test('线程崩溃时重试，以相同编号重新创建线程并继续剩余任务', async (t) => {
+  const counterFile = path.join(createTempDir(t, 'worker-pool-test'), 'count');
+  const pool = createPool(t, 1);
+  const retried = [];
+  const results = await pool.run([echo(1), { action: 'flaky', failTimes: 2, counterFile, value: 2 }, echo(3)], {
+    retries: () => 2,
+    onRetry: (job, attempt, reason) => retried.push([job.value, attempt, reason])
+  });
+  assert.deepEqual(results.map(result => result.value), [1, 2, 3]);
+  assert.deepEqual(results.map(result => result.workerId), [1, 1, 1]);
+  // 每次崩溃后都是新的线程
+  assert.equal(new Set(results.map(result => result.threadId)).size, 2);
+  assert.deepEqual(retried.map(([value, attempt]) => [value, attempt]), [[2, 1], [2, 2]]);
+  assert.match(retried[0][2], /异常退出，代码: 3/);
+});
+
+test('超过重试次数后由 onFailure 生成结果，未指定时拒绝整个批次', async (t) => {
+  const pool = createPool(t, 1);
+  const failures = [];
+  const results = await pool.run([{ action: 'crash', value: 1 }, echo(2)], {
+    retries: () => 1,
+    onFailure: (job, error) => {
+      failures.push(job.value);
+      return { value: job.value, error: error.message };
+    }
+  });
+  assert.deepEqual(failures, [1]);
+  assert.match(results[0].error, /异常退出/);
+  assert.equal(results[1].value, 2);
+
+  await assert.rejects(pool.run([{ action: 'crash' }]), /异常退出，代码: 3/);
+});
+
+test('任务超时时终止线程，超时错误带有 timedOut 标记', async (t) => {
+  const pool = createPool(t, 1);
+  let failure = null;
+  const results = await pool.run([{ action: 'hang', value: 1 }, echo(2)], {
+    timeout: job => (job.action === 'hang' ? 100 : 0),
+    onFailure: (job, error, durationMs) => {
+      failure = { error, durationMs };
+      return { value: job.value, timedOut: true };
+    }
+  });
+  assert.equal(failure.error.timedOut, true);
+  assert.match(failure.error.message, /处理超时（超过 100ms）/);
+  assert.ok(failure.durationMs >= 100);
+  assert.deepEqual(results[0], { value: 1, timedOut: true });
+  // 剩余任务由重新创建的线程继续
+  assert.equal(results[1].value, 2);
+});
+
+test('shouldRetry 对正常返回的结果重试', async (t) => {
+  const pool = createPool(t, 1);
+  const reasons = [];
+  let attempts = 0;
+  const results = await pool.run([echo(1)], {
+    retries: () => 1,
+    shouldRetry: () => (++attempts === 1 ? '结果不完整' : null),
+    onRetry: (job, attempt, reason) => reasons.push(reason)
+  });
+  assert.equal(results[0].value, 1);
+  assert.deepEqual(reasons, ['结果不完整']);
+});
+
+test('中止信号触发时拒绝批次，不再分配新任务', async (t) => {
+  const pool = createPool(t, 1);
+  const controller = new AbortController();
+  const running = pool.run([{ action: 'hang' }, echo(2)], { signal: controller.signal });
+  controller.abort(new Error('已中止'));
+  await assert.rejects(running, /已中止/);
+  await assert.rejects(pool.run([echo(1)], { signal: controller.signal }), /已中止/);
+});